@@ -0,0 +1,49 @@
+// Shared viem client setup for the Node bot scripts
+// Works against Sepolia as well as local Anvil/Hardhat nodes
+
+import {
+  createPublicClient,
+  createWalletClient,
+  defineChain,
+  http,
+} from "viem";
+import { privateKeyToAccount } from "viem/accounts";
+import { anvil, mainnet, sepolia } from "viem/chains";
+
+// Chains we have metadata for; anything else gets a generic definition
+const KNOWN_CHAINS = [sepolia, mainnet, anvil];
+
+// First funded account of every Anvil/Hardhat node (public test key)
+export const LOCAL_DEV_PRIVATE_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+
+/**
+ * Create public and wallet clients for an RPC endpoint
+ * @param {Object} options - Connection options
+ * @param {string} options.rpcUrl - JSON-RPC endpoint
+ * @param {string} options.privateKey - Hex private key of the signing wallet
+ * @returns {Promise<Object>} { account, chain, publicClient, walletClient }
+ */
+export const createClients = async ({ rpcUrl, privateKey }) => {
+  const transport = http(rpcUrl);
+
+  // Ask the node which chain it is so local chains just work
+  const chainId = await createPublicClient({ transport }).getChainId();
+  const chain =
+    KNOWN_CHAINS.find((known) => known.id === chainId) ||
+    defineChain({
+      id: chainId,
+      name: `Chain ${chainId}`,
+      nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+      rpcUrls: { default: { http: [rpcUrl] } },
+    });
+
+  const account = privateKeyToAccount(privateKey);
+
+  return {
+    account,
+    chain,
+    publicClient: createPublicClient({ chain, transport }),
+    walletClient: createWalletClient({ account, chain, transport }),
+  };
+};
@@ -0,0 +1,138 @@
+// Deploy AmigoChat with mock Chainlink feeds to a local Anvil/Hardhat node
+// Prints the environment variables needed by the app and the price bot
+//
+// Usage:
+//   anvil                      # in another terminal
+//   npm run bot:deploy-local
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import solc from "solc";
+import { createClients, LOCAL_DEV_PRIVATE_KEY } from "./chain.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Chainlink import used by the contracts, served from our vendored copy
+const CHAINLINK_INTERFACE =
+  "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+// Starting prices for the mock feeds (8 decimals, like Chainlink USD pairs)
+const MOCK_FEEDS = [
+  { env: "VITE_CHAINLINK_BTC_USD_FEED", answer: 65000_00000000n },
+  { env: "VITE_CHAINLINK_ETH_USD_FEED", answer: 3500_00000000n },
+  { env: "VITE_CHAINLINK_LINK_USD_FEED", answer: 25_00000000n },
+];
+
+const config = {
+  rpcUrl: process.env.BOT_RPC_URL || "http://127.0.0.1:8545",
+  privateKey: process.env.DEPLOYER_PRIVATE_KEY || LOCAL_DEV_PRIVATE_KEY,
+};
+
+/**
+ * Compile the contracts in contracts/ with solc-js
+ * @returns {Object} Compiled contracts keyed by name ({ abi, bytecode })
+ */
+const compileContracts = () => {
+  const sources = {
+    "AmigoChat.sol": "contracts/AmigoChat.sol",
+    "MockV3Aggregator.sol": "contracts/mocks/MockV3Aggregator.sol",
+  };
+
+  const input = {
+    language: "Solidity",
+    sources: Object.fromEntries(
+      Object.entries(sources).map(([name, file]) => [
+        name,
+        { content: fs.readFileSync(path.join(ROOT, file), "utf8") },
+      ])
+    ),
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { "*": { "*": ["abi", "evm.bytecode.object"] } },
+    },
+  };
+
+  const findImports = (importPath) =>
+    importPath === CHAINLINK_INTERFACE
+      ? {
+          contents: fs.readFileSync(
+            path.join(ROOT, "contracts/interfaces/AggregatorV3Interface.sol"),
+            "utf8"
+          ),
+        }
+      : { error: `Import not found: ${importPath}` };
+
+  const output = JSON.parse(
+    solc.compile(JSON.stringify(input), { import: findImports })
+  );
+
+  const errors = (output.errors || []).filter((e) => e.severity === "error");
+  if (errors.length > 0) {
+    throw new Error(errors.map((e) => e.formattedMessage).join("\n"));
+  }
+
+  const contracts = {};
+  Object.values(output.contracts).forEach((file) =>
+    Object.entries(file).forEach(([name, contract]) => {
+      contracts[name] = {
+        abi: contract.abi,
+        bytecode: `0x${contract.evm.bytecode.object}`,
+      };
+    })
+  );
+  return contracts;
+};
+
+/**
+ * Deploy a compiled contract and wait for its address
+ * @param {Object} clients - viem clients from createClients
+ * @param {Object} contract - Compiled contract ({ abi, bytecode })
+ * @param {Array} args - Constructor arguments
+ * @returns {Promise<Object>} { address, blockNumber }
+ */
+const deploy = async ({ publicClient, walletClient }, contract, args) => {
+  const hash = await walletClient.deployContract({
+    abi: contract.abi,
+    bytecode: contract.bytecode,
+    args,
+  });
+  const receipt = await publicClient.waitForTransactionReceipt({ hash });
+  return { address: receipt.contractAddress, blockNumber: receipt.blockNumber };
+};
+
+const main = async () => {
+  const clients = await createClients(config);
+  console.log(
+    `Deploying to chain ${clients.chain.id} from ${clients.account.address}`
+  );
+
+  const contracts = compileContracts();
+
+  const feeds = [];
+  for (const feed of MOCK_FEEDS) {
+    const { address } = await deploy(clients, contracts.MockV3Aggregator, [
+      8,
+      feed.answer,
+    ]);
+    feeds.push({ ...feed, address });
+  }
+
+  const amigoChat = await deploy(
+    clients,
+    contracts.AmigoChat,
+    feeds.map((feed) => feed.address)
+  );
+
+  console.log("\nAdd these to your .env:\n");
+  console.log(`VITE_AMIGO_CHAT_CONTRACT_ADDRESS=${amigoChat.address}`);
+  console.log(`VITE_AMIGO_CHAT_DEPLOYMENT_BLOCK=${amigoChat.blockNumber}`);
+  feeds.forEach((feed) => console.log(`${feed.env}=${feed.address}`));
+  console.log(`BOT_CONTRACT_ADDRESS=${amigoChat.address}`);
+  console.log(`BOT_RPC_URL=${config.rpcUrl}`);
+};
+
+main().catch((error) => {
+  console.error(error.shortMessage || error.message || error);
+  process.exit(1);
+});
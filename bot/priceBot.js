@@ -0,0 +1,216 @@
+// AmigoChat price bot
+// Posts Chainlink price updates to #general from its own wallet on its own
+// schedule, so chat clients never have to auto-post (or pay gas for) them
+//
+// Usage:
+//   BOT_PRIVATE_KEY=0x... BOT_CONTRACT_ADDRESS=0x... npm run bot
+//   npm run bot -- --once   # post a single update and exit
+
+import { AMIGO_CHAT_ABI } from "../src/contracts/AmigoChat.js";
+import { CHAINLINK_ABI } from "../src/contracts/Chainlink.js";
+import {
+  PRICE_FEED_HEARTBEAT,
+  parseRoundData,
+  validateRound,
+} from "../src/utils/chainlink.js";
+import {
+  createPriceUpdateMessage,
+  formatFeedAnswer,
+  hasPrices,
+} from "../src/utils/priceMessage.js";
+import { createClients } from "./chain.js";
+
+// Bot configuration from environment variables
+const config = {
+  rpcUrl: process.env.BOT_RPC_URL || "http://127.0.0.1:8545",
+  privateKey: process.env.BOT_PRIVATE_KEY,
+  contractAddress:
+    process.env.BOT_CONTRACT_ADDRESS ||
+    process.env.VITE_AMIGO_CHAT_CONTRACT_ADDRESS,
+  username: process.env.BOT_USERNAME || "pricebot",
+  intervalMinutes: Number(process.env.BOT_INTERVAL_MINUTES || 60),
+  // Seconds without an update before a feed is left out of a post
+  heartbeat: Number(
+    process.env.BOT_PRICE_FEED_HEARTBEAT || PRICE_FEED_HEARTBEAT
+  ),
+  runOnce: process.argv.includes("--once"),
+};
+
+/**
+ * Register the bot wallet on first run so it can post messages
+ * @param {Object} clients - viem clients from createClients
+ */
+const ensureRegistered = async ({ account, publicClient, walletClient }) => {
+  const isRegistered = await publicClient.readContract({
+    address: config.contractAddress,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "isUserRegistered",
+    args: [account.address],
+  });
+
+  if (isRegistered) return;
+
+  console.log(`Registering bot as "${config.username}"...`);
+  const hash = await walletClient.writeContract({
+    address: config.contractAddress,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "registerUser",
+    args: [config.username, ""],
+  });
+  await publicClient.waitForTransactionReceipt({ hash });
+};
+
+/**
+ * Read the latest round of a registry feed straight from its aggregator
+ * getLatestPrice leaves out the round ids the carried-over check needs
+ * @param {Object} publicClient - viem public client
+ * @param {string} pair - Trading pair, e.g. "BTC/USD"
+ * @returns {Promise<Object>} { round, decimals } with round from parseRoundData
+ */
+const readFeedRound = async (publicClient, pair) => {
+  const feed = await publicClient.readContract({
+    address: config.contractAddress,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "getPriceFeed",
+    args: [pair],
+  });
+
+  const [data, decimals] = await Promise.all([
+    publicClient.readContract({
+      address: feed,
+      abi: CHAINLINK_ABI,
+      functionName: "latestRoundData",
+    }),
+    publicClient.readContract({
+      address: feed,
+      abi: CHAINLINK_ABI,
+      functionName: "decimals",
+    }),
+  ]);
+
+  return { round: parseRoundData(data), decimals: Number(decimals) };
+};
+
+/**
+ * Read the current USD prices from every feed in the contract's registry
+ * Feeds that fail to read, or whose round is invalid or stale, are left out
+ * (and logged) so one bad feed doesn't hold back the others
+ * @param {Object} publicClient - viem public client
+ * @returns {Promise<Object>} USD prices keyed by asset ({ btc, eth, ... })
+ */
+const readPrices = async (publicClient) => {
+  const pairs = await publicClient.readContract({
+    address: config.contractAddress,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "getPriceFeedPairs",
+  });
+
+  // Price cards are quoted in USD, so only post USD pairs
+  const usdPairs = pairs.filter((pair) => pair.endsWith("/USD"));
+
+  const results = await Promise.allSettled(
+    usdPairs.map((pair) => readFeedRound(publicClient, pair))
+  );
+
+  const prices = {};
+  results.forEach((result, index) => {
+    const pair = usdPairs[index];
+    if (result.status === "rejected") {
+      console.warn(
+        `Skipping ${pair}: ${result.reason.shortMessage || result.reason}`
+      );
+      return;
+    }
+
+    const { round, decimals } = result.value;
+    const { isValid, isStale, issue } = validateRound(round, {
+      heartbeat: config.heartbeat,
+    });
+    if (!isValid || isStale) {
+      console.warn(`Skipping ${pair}: unusable round (${issue})`);
+      return;
+    }
+
+    prices[pair.split("/")[0].toLowerCase()] = formatFeedAnswer(
+      round.answer,
+      decimals
+    );
+  });
+
+  return prices;
+};
+
+/**
+ * Post one price update and wait for it to be mined
+ * @param {Object} clients - viem clients from createClients
+ */
+const postPriceUpdate = async ({ publicClient, walletClient }) => {
+  const prices = await readPrices(publicClient);
+
+  if (!hasPrices(prices)) {
+    console.warn("No valid prices from the feeds, skipping this update");
+    return;
+  }
+
+  const hash = await walletClient.writeContract({
+    address: config.contractAddress,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "sendMessage",
+    args: [createPriceUpdateMessage(prices)],
+  });
+  await publicClient.waitForTransactionReceipt({ hash });
+
+  console.log(`Posted price update ${hash}`, prices);
+};
+
+const main = async () => {
+  if (!config.privateKey) {
+    throw new Error("Missing BOT_PRIVATE_KEY");
+  }
+  if (!config.contractAddress) {
+    throw new Error("Missing BOT_CONTRACT_ADDRESS");
+  }
+  if (!(config.intervalMinutes > 0)) {
+    throw new Error("BOT_INTERVAL_MINUTES must be a positive number");
+  }
+  if (!(config.heartbeat > 0)) {
+    throw new Error("BOT_PRICE_FEED_HEARTBEAT must be a positive number");
+  }
+
+  const clients = await createClients(config);
+  console.log(
+    `Price bot ${clients.account.address} on ${clients.chain.name} (${clients.chain.id})`
+  );
+
+  await ensureRegistered(clients);
+
+  // Skip a tick instead of stacking transactions if one is still pending
+  let isPosting = false;
+  const tick = async () => {
+    if (isPosting) return;
+    isPosting = true;
+    try {
+      await postPriceUpdate(clients);
+    } catch (error) {
+      console.error("Error posting price update:", error.shortMessage || error);
+    } finally {
+      isPosting = false;
+    }
+  };
+
+  await tick();
+  if (config.runOnce) return;
+
+  console.log(`Posting every ${config.intervalMinutes} minute(s)`);
+  const interval = setInterval(tick, config.intervalMinutes * 60 * 1000);
+
+  process.on("SIGINT", () => {
+    clearInterval(interval);
+    process.exit(0);
+  });
+};
+
+main().catch((error) => {
+  console.error(error.shortMessage || error.message || error);
+  process.exit(1);
+});
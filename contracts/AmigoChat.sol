@@ -23,10 +23,13 @@ contract AmigoChat {
     // Counter to track total number of messages sent
     uint256 public totalMessages;
 
-    // Chainlink price feed interfaces for different trading pairs
-    AggregatorV3Interface internal priceFeedBTCUSD;
-    AggregatorV3Interface internal priceFeedETHUSD;
-    AggregatorV3Interface internal priceFeedLINKUSD;
+    // Trading pairs seeded by the constructor and the legacy getters
+    string internal constant PAIR_BTC_USD = "BTC/USD";
+    string internal constant PAIR_ETH_USD = "ETH/USD";
+    string internal constant PAIR_LINK_USD = "LINK/USD";
+
+    // Longest reaction in bytes (room for multi-codepoint emoji)
+    uint256 internal constant MAX_REACTION_LENGTH = 32;
 
     // ==================================================
     // STRUCTS AND ENUMS
@@ -39,6 +42,7 @@ contract AmigoChat {
      * @param isRegistered Boolean flag to check if user is registered
      * @param registrationTimestamp When the user registered
      * @param totalMessagesSent Number of messages sent by this user
+     * @param encryptionKey X25519 public key for encrypted direct messages (zero if unset)
      */
     struct UserProfile {
         string username;
@@ -46,6 +50,7 @@ contract AmigoChat {
         bool isRegistered;
         uint256 registrationTimestamp;
         uint256 totalMessagesSent;
+        bytes32 encryptionKey;
     }
 
     /**
@@ -54,12 +59,50 @@ contract AmigoChat {
      * @param content The message content
      * @param timestamp When the message was sent
      * @param messageId Unique identifier for the message
+     * @param editCount Number of times the sender edited the message
+     * @param isDeleted Whether the sender deleted the message (content is cleared)
      */
     struct Message {
         address sender;
         string content;
         uint256 timestamp;
         uint256 messageId;
+        uint256 editCount;
+        bool isDeleted;
+    }
+
+    /**
+     * @dev Where a general chat or channel message is stored
+     * @param channelId 0 for #general, otherwise the channel's position in channelNames plus one
+     * @param index Position in generalChatMessages or the channel's message array
+     */
+    struct MessageLocation {
+        uint128 channelId;
+        uint128 index;
+    }
+
+    /**
+     * @dev Struct to store channel information
+     * @param name Unique lowercase channel name (e.g. "trading")
+     * @param creator Address of the user who created the channel
+     * @param createdAt When the channel was created
+     * @param messageCount Number of messages sent to the channel
+     */
+    struct Channel {
+        string name;
+        address creator;
+        uint256 createdAt;
+        uint256 messageCount;
+    }
+
+    /**
+     * @dev Struct to store the reactions of one kind on a message
+     * @param emoji The reaction emoji
+     * @param reactors Addresses that reacted with this emoji
+     */
+    struct Reaction {
+        string emoji;
+        address[] reactors;
     }
 
     /**
@@ -97,6 +140,23 @@ contract AmigoChat {
     // Maps user address to their conversation partners
     mapping(address => address[]) public userConversations;
 
+    // Maps channel name to its info and messages (#general uses generalChatMessages)
+    mapping(string => Channel) internal channels;
+    mapping(string => Message[]) internal channelMessages;
+    mapping(string => uint128) internal channelIds;
+
+    // Maps messageId to where the message is stored, for edits and deletes
+    mapping(uint256 => MessageLocation) internal messageLocations;
+
+    // Maps messageId to its reactions (one entry per emoji in use)
+    mapping(uint256 => Reaction[]) internal messageReactions;
+
+    // Maps trading pair (e.g. "BTC/USD") to its Chainlink price feed
+    mapping(string => AggregatorV3Interface) internal priceFeeds;
+
+    // Maps conversation hash and reader to how many of its messages they've read
+    mapping(bytes32 => mapping(address => uint256)) internal readCounts;
+
     // ==================================================
     // ARRAYS
     // ==================================================
@@ -107,6 +167,12 @@ contract AmigoChat {
     // Array to store all registered user addresses
     address[] public registeredUsers;
 
+    // Array of created channel names, in creation order
+    string[] internal channelNames;
+
+    // Array of trading pairs that have a price feed
+    string[] internal priceFeedPairs;
+
     // ==================================================
     // EVENTS
     // ==================================================
@@ -153,6 +219,79 @@ contract AmigoChat {
         uint256 indexed messageId
     );
 
+    /**
+     * @dev Emitted when a channel is created
+     * @param channel The channel name (indexed as a hash)
+     * @param name The channel name
+     * @param creator The wallet address of the creator
+     * @param timestamp When the channel was created
+     */
+    event ChannelCreated(
+        string indexed channel,
+        string name,
+        address indexed creator,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a message is sent to a channel
+     * @param channel The channel name (indexed as a hash)
+     * @param sender The wallet address of the sender
+     * @param content The message content
+     * @param timestamp When the message was sent
+     * @param messageId Unique identifier for the message
+     */
+    event ChannelMessageSent(
+        string indexed channel,
+        address indexed sender,
+        string content,
+        uint256 timestamp,
+        uint256 indexed messageId
+    );
+
+    /**
+     * @dev Emitted when a sender edits a message; together with the original
+     * MessageSent or ChannelMessageSent event this is the full edit history
+     * @param messageId The edited message
+     * @param sender The wallet address of the sender
+     * @param content The new message content
+     * @param editCount Number of edits so far, including this one
+     * @param timestamp When the message was edited
+     */
+    event MessageEdited(
+        uint256 indexed messageId,
+        address indexed sender,
+        string content,
+        uint256 editCount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a sender deletes a message
+     * @param messageId The deleted message
+     * @param sender The wallet address of the sender
+     * @param timestamp When the message was deleted
+     */
+    event MessageDeleted(
+        uint256 indexed messageId,
+        address indexed sender,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a reaction is added to or removed from a message
+     * @param messageId The message reacted to
+     * @param user The wallet address of the reacting user
+     * @param emoji The reaction emoji
+     * @param added True if the reaction was added, false if removed
+     */
+    event ReactionToggled(
+        uint256 indexed messageId,
+        address indexed user,
+        string emoji,
+        bool added
+    );
+
     /**
      * @dev Emitted when a direct message is sent
      * @param sender The wallet address of the sender
@@ -167,6 +306,25 @@ contract AmigoChat {
         uint256 timestamp
     );
 
+    /**
+     * @dev Emitted when a user publishes a new encryption key
+     * @param userAddress The wallet address of the user
+     * @param encryptionKey The X25519 public key
+     */
+    event EncryptionKeySet(address indexed userAddress, bytes32 encryptionKey);
+
+    /**
+     * @dev Emitted when a user reads further into a direct message thread
+     * @param reader The wallet address of the reader
+     * @param peer The other participant of the conversation
+     * @param readCount How many messages of the conversation have been read
+     */
+    event ConversationRead(
+        address indexed reader,
+        address indexed peer,
+        uint256 readCount
+    );
+
     /**
      * @dev Emitted when price data is updated (for future automation)
      * @param pair The trading pair (e.g., "BTC/USD")
@@ -175,6 +333,13 @@ contract AmigoChat {
      */
     event PriceUpdate(string indexed pair, uint256 price, uint256 timestamp);
 
+    /**
+     * @dev Emitted when a price feed is added, replaced or removed
+     * @param pair The trading pair (e.g., "BTC/USD")
+     * @param feed The Chainlink aggregator address (zero when removed)
+     */
+    event PriceFeedSet(string pair, address feed);
+
     // ==================================================
     // MODIFIERS
     // ==================================================
@@ -214,6 +379,30 @@ contract AmigoChat {
         _;
     }
 
+    /**
+     * @dev Modifier to check that a channel exists
+     * @param _channel The channel name
+     */
+    modifier channelExists(string memory _channel) {
+        require(
+            channels[_channel].createdAt != 0,
+            "Channel does not exist"
+        );
+        _;
+    }
+
+    /**
+     * @dev Modifier to check that the caller sent a message that still exists
+     * @param _messageId The message ID
+     */
+    modifier onlyMessageSender(uint256 _messageId) {
+        require(_messageId < totalMessages, "Message does not exist");
+        Message storage message = _getStoredMessage(_messageId);
+        require(message.sender == msg.sender, "Only the sender can do this");
+        require(!message.isDeleted, "Message was deleted");
+        _;
+    }
+
     /**
      * @dev Modifier to check if message content is not empty
      * @param _content The message content to validate
@@ -246,10 +435,10 @@ contract AmigoChat {
         totalUsers = 0;
         totalMessages = 0;
 
-        // Initialize Chainlink price feeds for Sepolia testnet
-        priceFeedBTCUSD = AggregatorV3Interface(_priceFeedBTCUSD);
-        priceFeedETHUSD = AggregatorV3Interface(_priceFeedETHUSD);
-        priceFeedLINKUSD = AggregatorV3Interface(_priceFeedLINKUSD);
+        // Seed the price feed registry with the default pairs
+        _setPriceFeed(PAIR_BTC_USD, _priceFeedBTCUSD);
+        _setPriceFeed(PAIR_ETH_USD, _priceFeedETHUSD);
+        _setPriceFeed(PAIR_LINK_USD, _priceFeedLINKUSD);
     }
 
     // ==================================================
@@ -280,7 +469,8 @@ contract AmigoChat {
             ipfsProfilePicHash: _ipfsProfilePicHash,
             isRegistered: true,
             registrationTimestamp: block.timestamp,
-            totalMessagesSent: 0
+            totalMessagesSent: 0,
+            encryptionKey: bytes32(0)
         });
 
         // Update username mapping
@@ -367,6 +557,20 @@ contract AmigoChat {
         users[msg.sender].ipfsProfilePicHash = _ipfsProfilePicHash;
     }
 
+    /**
+     * @dev Publish the public key others use to encrypt direct messages to you
+     * @param _encryptionKey X25519 public key derived from a wallet signature
+     */
+    function setEncryptionKey(
+        bytes32 _encryptionKey
+    ) external onlyRegisteredUser {
+        require(_encryptionKey != bytes32(0), "Encryption key cannot be empty");
+
+        users[msg.sender].encryptionKey = _encryptionKey;
+
+        emit EncryptionKeySet(msg.sender, _encryptionKey);
+    }
+
     /**
      * @dev Get user profile information
      * @param _userAddress Address of the user
@@ -402,11 +606,17 @@ contract AmigoChat {
             sender: msg.sender,
             content: _content,
             timestamp: block.timestamp,
-            messageId: totalMessages
+            messageId: totalMessages,
+            editCount: 0,
+            isDeleted: false
         });
 
         // Add message to general chat
         generalChatMessages.push(newMessage);
+        messageLocations[totalMessages] = MessageLocation({
+            channelId: 0,
+            index: uint128(generalChatMessages.length - 1)
+        });
 
         // Update user's message count
         users[msg.sender].totalMessagesSent++;
@@ -423,6 +633,75 @@ contract AmigoChat {
         );
     }
 
+    /**
+     * @dev Create a new channel
+     * @param _name Channel name: 1-32 characters of a-z, 0-9 and "-"
+     */
+    function createChannel(string memory _name) external onlyRegisteredUser {
+        require(isValidChannelName(_name), "Invalid channel name");
+        require(
+            keccak256(bytes(_name)) != keccak256(bytes("general")),
+            "Channel already exists"
+        );
+        require(channels[_name].createdAt == 0, "Channel already exists");
+
+        channels[_name] = Channel({
+            name: _name,
+            creator: msg.sender,
+            createdAt: block.timestamp,
+            messageCount: 0
+        });
+        channelNames.push(_name);
+        channelIds[_name] = uint128(channelNames.length);
+
+        emit ChannelCreated(_name, _name, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Send a message to a channel
+     * @param _channel The channel name
+     * @param _content Message content
+     */
+    function sendChannelMessage(
+        string memory _channel,
+        string memory _content
+    )
+        external
+        onlyRegisteredUser
+        channelExists(_channel)
+        validMessage(_content)
+    {
+        channelMessages[_channel].push(
+            Message({
+                sender: msg.sender,
+                content: _content,
+                timestamp: block.timestamp,
+                messageId: totalMessages,
+                editCount: 0,
+                isDeleted: false
+            })
+        );
+        channels[_channel].messageCount++;
+        messageLocations[totalMessages] = MessageLocation({
+            channelId: channelIds[_channel],
+            index: uint128(channelMessages[_channel].length - 1)
+        });
+
+        // Update user's message count
+        users[msg.sender].totalMessagesSent++;
+
+        // Channel messages share the global message id space
+        totalMessages++;
+
+        emit ChannelMessageSent(
+            _channel,
+            msg.sender,
+            _content,
+            block.timestamp,
+            totalMessages - 1
+        );
+    }
+
     /**
      * @dev Send a direct message to another user
      * @param _receiver Address of the message receiver
@@ -435,10 +714,15 @@ contract AmigoChat {
         // Check if receiver is registered
         require(users[_receiver].isRegistered, "Receiver must be registered");
 
-        // Create conversation hash (smaller address first for consistency)
-        bytes32 conversationHash = msg.sender < _receiver
-            ? keccak256(abi.encodePacked(msg.sender, _receiver))
-            : keccak256(abi.encodePacked(_receiver, msg.sender));
+        bytes32 conversationHash = _getConversationHash(msg.sender, _receiver);
+
+        // Replying means the sender has seen everything before it
+        _markRead(
+            conversationHash,
+            msg.sender,
+            _receiver,
+            conversations[conversationHash].length
+        );
 
         // Create new direct message
         DirectMessage memory newDM = DirectMessage({
@@ -467,6 +751,191 @@ contract AmigoChat {
         );
     }
 
+    /**
+     * @dev Mark a direct message thread as read up to and including a message
+     * @param _peer The other participant of the conversation
+     * @param _upToIndex Index of the last message read
+     */
+    function markConversationRead(
+        address _peer,
+        uint256 _upToIndex
+    ) external onlyRegisteredUser {
+        bytes32 conversationHash = _getConversationHash(msg.sender, _peer);
+        require(
+            _upToIndex < conversations[conversationHash].length,
+            "Message does not exist"
+        );
+
+        _markRead(conversationHash, msg.sender, _peer, _upToIndex + 1);
+    }
+
+    /**
+     * @dev Advance a reader's read count and flag the messages they received
+     * @param _conversationHash The conversation being read
+     * @param _reader The wallet address of the reader
+     * @param _peer The other participant of the conversation
+     * @param _readCount How many messages have now been read
+     */
+    function _markRead(
+        bytes32 _conversationHash,
+        address _reader,
+        address _peer,
+        uint256 _readCount
+    ) internal {
+        uint256 previous = readCounts[_conversationHash][_reader];
+        if (_readCount <= previous) return;
+
+        DirectMessage[] storage messages = conversations[_conversationHash];
+        for (uint256 i = previous; i < _readCount; i++) {
+            if (messages[i].receiver == _reader) {
+                messages[i].isRead = true;
+            }
+        }
+
+        readCounts[_conversationHash][_reader] = _readCount;
+        emit ConversationRead(_reader, _peer, _readCount);
+    }
+
+    /**
+     * @dev Edit one of your own general chat or channel messages
+     * @param _messageId The message to edit
+     * @param _content New message content
+     */
+    function editMessage(
+        uint256 _messageId,
+        string memory _content
+    )
+        external
+        onlyRegisteredUser
+        onlyMessageSender(_messageId)
+        validMessage(_content)
+    {
+        Message storage message = _getStoredMessage(_messageId);
+        message.content = _content;
+        message.editCount++;
+
+        emit MessageEdited(
+            _messageId,
+            msg.sender,
+            _content,
+            message.editCount,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Delete one of your own general chat or channel messages
+     * The content is cleared from storage; earlier events still hold it
+     * @param _messageId The message to delete
+     */
+    function deleteMessage(
+        uint256 _messageId
+    ) external onlyRegisteredUser onlyMessageSender(_messageId) {
+        Message storage message = _getStoredMessage(_messageId);
+        message.content = "";
+        message.isDeleted = true;
+
+        emit MessageDeleted(_messageId, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Get a general chat or channel message by ID
+     * @param _messageId The message ID
+     * @return Message The message as currently stored
+     */
+    function getMessage(
+        uint256 _messageId
+    ) external view returns (Message memory) {
+        require(_messageId < totalMessages, "Message does not exist");
+        return _getStoredMessage(_messageId);
+    }
+
+    /**
+     * @dev Look up where a message is stored
+     * @param _messageId The message ID (must be below totalMessages)
+     * @return Message storage pointer to the message
+     */
+    function _getStoredMessage(
+        uint256 _messageId
+    ) internal view returns (Message storage) {
+        MessageLocation memory location = messageLocations[_messageId];
+        if (location.channelId == 0) {
+            return generalChatMessages[location.index];
+        }
+        return
+            channelMessages[channelNames[location.channelId - 1]][
+                location.index
+            ];
+    }
+
+    /**
+     * @dev Add a reaction to a message, or remove it if already there
+     * @param _messageId The general chat or channel message to react to
+     * @param _emoji The reaction emoji
+     */
+    function toggleReaction(
+        uint256 _messageId,
+        string memory _emoji
+    ) external onlyRegisteredUser {
+        require(_messageId < totalMessages, "Message does not exist");
+        require(
+            !_getStoredMessage(_messageId).isDeleted,
+            "Message was deleted"
+        );
+        require(
+            bytes(_emoji).length > 0 &&
+                bytes(_emoji).length <= MAX_REACTION_LENGTH,
+            "Invalid reaction"
+        );
+
+        Reaction[] storage reactions = messageReactions[_messageId];
+        bytes32 emojiHash = keccak256(bytes(_emoji));
+
+        for (uint256 i = 0; i < reactions.length; i++) {
+            if (keccak256(bytes(reactions[i].emoji)) != emojiHash) continue;
+
+            address[] storage reactors = reactions[i].reactors;
+            for (uint256 j = 0; j < reactors.length; j++) {
+                if (reactors[j] != msg.sender) continue;
+
+                // Already reacted: remove (swap and pop)
+                reactors[j] = reactors[reactors.length - 1];
+                reactors.pop();
+
+                // Drop the emoji once nobody is left on it
+                if (reactors.length == 0) {
+                    reactions[i] = reactions[reactions.length - 1];
+                    reactions.pop();
+                }
+
+                emit ReactionToggled(_messageId, msg.sender, _emoji, false);
+                return;
+            }
+
+            reactors.push(msg.sender);
+            emit ReactionToggled(_messageId, msg.sender, _emoji, true);
+            return;
+        }
+
+        // First reaction with this emoji
+        Reaction storage reaction = reactions.push();
+        reaction.emoji = _emoji;
+        reaction.reactors.push(msg.sender);
+
+        emit ReactionToggled(_messageId, msg.sender, _emoji, true);
+    }
+
+    /**
+     * @dev Get the reactions on a message
+     * @param _messageId The message ID
+     * @return Reaction[] One entry per emoji with the addresses that used it
+     */
+    function getReactions(
+        uint256 _messageId
+    ) external view returns (Reaction[] memory) {
+        return messageReactions[_messageId];
+    }
+
     /**
      * @dev Get general chat messages
      * @return Message[] Array of all general chat messages
@@ -475,6 +944,52 @@ contract AmigoChat {
         return generalChatMessages;
     }
 
+    /**
+     * @dev Get a page of general chat messages, oldest first
+     * @param _offset Index of the first message to return
+     * @param _limit Maximum number of messages to return
+     * @return messages Messages from _offset up to _offset + _limit (fewer at the end)
+     * @return total Number of general chat messages
+     */
+    function getGeneralChatMessagesRange(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Message[] memory messages, uint256 total) {
+        total = generalChatMessages.length;
+        if (_offset >= total) return (new Message[](0), total);
+
+        uint256 count = total - _offset;
+        if (_limit < count) count = _limit;
+
+        messages = new Message[](count);
+        for (uint256 i = 0; i < count; i++) {
+            messages[i] = generalChatMessages[_offset + i];
+        }
+    }
+
+    /**
+     * @dev Get all channels except #general, in creation order
+     * @return Channel[] Array of channels
+     */
+    function getChannels() external view returns (Channel[] memory) {
+        Channel[] memory result = new Channel[](channelNames.length);
+        for (uint256 i = 0; i < channelNames.length; i++) {
+            result[i] = channels[channelNames[i]];
+        }
+        return result;
+    }
+
+    /**
+     * @dev Get the messages of a channel
+     * @param _channel The channel name
+     * @return Message[] Array of all messages in the channel
+     */
+    function getChannelMessages(
+        string memory _channel
+    ) external view channelExists(_channel) returns (Message[] memory) {
+        return channelMessages[_channel];
+    }
+
     /**
      * @dev Get conversation between two users
      * @param _user1 First user address
@@ -485,11 +1000,61 @@ contract AmigoChat {
         address _user1,
         address _user2
     ) external view returns (DirectMessage[] memory) {
-        bytes32 conversationHash = _user1 < _user2
-            ? keccak256(abi.encodePacked(_user1, _user2))
-            : keccak256(abi.encodePacked(_user2, _user1));
+        return conversations[_getConversationHash(_user1, _user2)];
+    }
+
+    /**
+     * @dev Get how many messages of a conversation a user has read
+     * @param _reader The wallet address of the reader
+     * @param _peer The other participant of the conversation
+     * @return uint256 Number of messages read, from the start of the thread
+     */
+    function getReadCount(
+        address _reader,
+        address _peer
+    ) external view returns (uint256) {
+        return readCounts[_getConversationHash(_reader, _peer)][_reader];
+    }
+
+    /**
+     * @dev Count the messages a user received from a peer and hasn't read
+     * @param _user The wallet address of the receiver
+     * @param _peer The other participant of the conversation
+     * @param _fromIndex Skip messages before this index (read on another device)
+     * @return uint256 Number of unread messages
+     */
+    function getUnreadCount(
+        address _user,
+        address _peer,
+        uint256 _fromIndex
+    ) external view returns (uint256) {
+        bytes32 conversationHash = _getConversationHash(_user, _peer);
+        DirectMessage[] storage messages = conversations[conversationHash];
+        uint256 start = readCounts[conversationHash][_user];
+        if (_fromIndex > start) start = _fromIndex;
+
+        uint256 unread = 0;
+        for (uint256 i = start; i < messages.length; i++) {
+            if (messages[i].receiver == _user) unread++;
+        }
+        return unread;
+    }
 
-        return conversations[conversationHash];
+    /**
+     * @dev Hash identifying the conversation between two users
+     * @param _user1 First user address
+     * @param _user2 Second user address
+     * @return bytes32 Same hash for either argument order
+     */
+    function _getConversationHash(
+        address _user1,
+        address _user2
+    ) internal pure returns (bytes32) {
+        // Smaller address first for consistency
+        return
+            _user1 < _user2
+                ? keccak256(abi.encodePacked(_user1, _user2))
+                : keccak256(abi.encodePacked(_user2, _user1));
     }
 
     /**
@@ -526,20 +1091,52 @@ contract AmigoChat {
     // CHAINLINK PRICE FEED FUNCTIONS
     // ==================================================
 
+    /**
+     * @dev Get the latest answer for any registered trading pair
+     * @param _pair The trading pair (e.g., "BTC/USD")
+     * @return price Latest answer from the feed
+     * @return decimals Decimals used by the feed
+     * @return updatedAt When the answer was last updated
+     */
+    function getLatestPrice(
+        string memory _pair
+    )
+        public
+        view
+        returns (int256 price, uint8 decimals, uint256 updatedAt)
+    {
+        AggregatorV3Interface feed = priceFeeds[_pair];
+        require(address(feed) != address(0), "Price feed not found");
+
+        (, price, , updatedAt, ) = feed.latestRoundData();
+        decimals = feed.decimals();
+    }
+
+    /**
+     * @dev Get all trading pairs that have a price feed
+     * @return string[] Array of trading pairs
+     */
+    function getPriceFeedPairs() external view returns (string[] memory) {
+        return priceFeedPairs;
+    }
+
+    /**
+     * @dev Get the Chainlink aggregator address for a trading pair
+     * @param _pair The trading pair (e.g., "BTC/USD")
+     * @return address Feed address (zero if the pair is not registered)
+     */
+    function getPriceFeed(
+        string memory _pair
+    ) external view returns (address) {
+        return address(priceFeeds[_pair]);
+    }
+
     /**
      * @dev Get latest BTC/USD price from Chainlink oracle
      * @return int256 Latest BTC price in USD (8 decimals)
      */
     function getLatestPriceBTCUSD() public view returns (int256) {
-        (
-            ,
-            /* uint80 roundID */ int256 price,
-            ,
-            ,
-
-        ) = /* uint256 startedAt */ /* uint256 timeStamp */ /* uint80 answeredInRound */
-            priceFeedBTCUSD.latestRoundData();
-
+        (int256 price, , ) = getLatestPrice(PAIR_BTC_USD);
         return price;
     }
 
@@ -548,15 +1145,7 @@ contract AmigoChat {
      * @return int256 Latest ETH price in USD (8 decimals)
      */
     function getLatestPriceETHUSD() public view returns (int256) {
-        (
-            ,
-            /* uint80 roundID */ int256 price,
-            ,
-            ,
-
-        ) = /* uint256 startedAt */ /* uint256 timeStamp */ /* uint80 answeredInRound */
-            priceFeedETHUSD.latestRoundData();
-
+        (int256 price, , ) = getLatestPrice(PAIR_ETH_USD);
         return price;
     }
 
@@ -565,15 +1154,7 @@ contract AmigoChat {
      * @return int256 Latest LINK price in USD (8 decimals)
      */
     function getLatestPriceLINKUSD() public view returns (int256) {
-        (
-            ,
-            /* uint80 roundID */ int256 price,
-            ,
-            ,
-
-        ) = /* uint256 startedAt */ /* uint256 timeStamp */ /* uint80 answeredInRound */
-            priceFeedLINKUSD.latestRoundData();
-
+        (int256 price, , ) = getLatestPrice(PAIR_LINK_USD);
         return price;
     }
 
@@ -597,6 +1178,26 @@ contract AmigoChat {
     // UTILITY AND ADMIN FUNCTIONS
     // ==================================================
 
+    /**
+     * @dev Check that a channel name is 1-32 characters of a-z, 0-9 and "-"
+     * @param _name The channel name to check
+     * @return bool True if the name is valid
+     */
+    function isValidChannelName(
+        string memory _name
+    ) public pure returns (bool) {
+        bytes memory name = bytes(_name);
+        if (name.length == 0 || name.length > 32) return false;
+
+        for (uint256 i = 0; i < name.length; i++) {
+            bytes1 char = name[i];
+            bool isLetter = char >= 0x61 && char <= 0x7A; // a-z
+            bool isDigit = char >= 0x30 && char <= 0x39; // 0-9
+            if (!isLetter && !isDigit && char != 0x2D) return false; // "-"
+        }
+        return true;
+    }
+
     /**
      * @dev Get contract statistics
      * @return totalUsers_ Total number of registered users
@@ -644,8 +1245,52 @@ contract AmigoChat {
         address _priceFeedETHUSD,
         address _priceFeedLINKUSD
     ) external onlyOwner {
-        priceFeedBTCUSD = AggregatorV3Interface(_priceFeedBTCUSD);
-        priceFeedETHUSD = AggregatorV3Interface(_priceFeedETHUSD);
-        priceFeedLINKUSD = AggregatorV3Interface(_priceFeedLINKUSD);
+        _setPriceFeed(PAIR_BTC_USD, _priceFeedBTCUSD);
+        _setPriceFeed(PAIR_ETH_USD, _priceFeedETHUSD);
+        _setPriceFeed(PAIR_LINK_USD, _priceFeedLINKUSD);
+    }
+
+    /**
+     * @dev Add, replace or remove the price feed for a trading pair
+     * @param _pair The trading pair (e.g., "SOL/USD")
+     * @param _feed Chainlink aggregator address (zero address removes the pair)
+     */
+    function setPriceFeed(
+        string memory _pair,
+        address _feed
+    ) external onlyOwner {
+        require(bytes(_pair).length > 0, "Pair cannot be empty");
+        _setPriceFeed(_pair, _feed);
+    }
+
+    /**
+     * @dev Internal function to update the price feed registry
+     * @param _pair The trading pair
+     * @param _feed Chainlink aggregator address (zero address removes the pair)
+     */
+    function _setPriceFeed(string memory _pair, address _feed) internal {
+        bool exists = address(priceFeeds[_pair]) != address(0);
+
+        if (_feed == address(0)) {
+            if (!exists) return;
+
+            // Swap-and-pop the pair out of the list
+            bytes32 pairHash = keccak256(bytes(_pair));
+            for (uint256 i = 0; i < priceFeedPairs.length; i++) {
+                if (keccak256(bytes(priceFeedPairs[i])) == pairHash) {
+                    priceFeedPairs[i] = priceFeedPairs[
+                        priceFeedPairs.length - 1
+                    ];
+                    priceFeedPairs.pop();
+                    break;
+                }
+            }
+            delete priceFeeds[_pair];
+        } else {
+            if (!exists) priceFeedPairs.push(_pair);
+            priceFeeds[_pair] = AggregatorV3Interface(_feed);
+        }
+
+        emit PriceFeedSet(_pair, _feed);
     }
 }
\ No newline at end of file
@@ -0,0 +1,392 @@
+// AmigoChat upload proxy
+// Holds the pinning credentials so they never ship to the browser. Clients
+// sign an upload message (EIP-191) with their wallet; the proxy checks the
+// signature, that the wallet is registered on AmigoChat, per-wallet daily
+// quotas and the shared size and type limits, then pins the file with
+// Pinata or a Kubo node.
+//
+// Usage:
+//   PINATA_JWT=... UPLOAD_PROXY_CONTRACT_ADDRESS=0x... \
+//   UPLOAD_PROXY_PUBLIC_URL=https://uploads.example npm run upload-proxy
+//   UPLOAD_BACKEND=kubo npm run upload-proxy   # pin on a local IPFS node
+
+import http from "node:http";
+import { Readable } from "node:stream";
+import { createPublicClient, http as httpTransport, isAddress } from "viem";
+import { AMIGO_CHAT_ABI } from "../src/contracts/AmigoChat.js";
+import { createKuboProvider } from "../src/utils/storage/kubo.js";
+import { createPinataProvider } from "../src/utils/storage/pinata.js";
+import {
+  DEFAULT_UPLOAD_TYPE,
+  UPLOAD_AUTH_HEADERS,
+  UPLOAD_AUTH_TTL,
+  getUploadAuthMessage,
+  getUploadLimit,
+  isAllowedUploadType,
+} from "../src/utils/uploadPolicy.js";
+
+// Proxy configuration from environment variables
+const port = Number(process.env.UPLOAD_PROXY_PORT || 8787);
+const config = {
+  port,
+  // URL the app reaches the proxy at; upload signatures must name it
+  publicUrl: (
+    process.env.UPLOAD_PROXY_PUBLIC_URL || `http://localhost:${port}`
+  ).replace(/\/+$/, ""),
+  rpcUrl:
+    process.env.UPLOAD_PROXY_RPC_URL ||
+    process.env.BOT_RPC_URL ||
+    "http://127.0.0.1:8545",
+  contractAddress:
+    process.env.UPLOAD_PROXY_CONTRACT_ADDRESS ||
+    process.env.BOT_CONTRACT_ADDRESS ||
+    process.env.VITE_AMIGO_CHAT_CONTRACT_ADDRESS,
+  backend: (process.env.UPLOAD_BACKEND || "pinata").toLowerCase(),
+  pinataJwt: process.env.PINATA_JWT,
+  pinataApiUrl: process.env.PINATA_API_URL,
+  kuboApiUrl: process.env.KUBO_API_URL,
+  allowedOrigins: (process.env.UPLOAD_PROXY_ALLOWED_ORIGINS || "*")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean),
+  dailyFiles: Number(process.env.UPLOAD_DAILY_FILES || 50),
+  dailyBytes: Number(process.env.UPLOAD_DAILY_BYTES || 100 * 1024 * 1024),
+};
+
+// Multipart boundaries and the metadata field on top of the file itself
+const MULTIPART_OVERHEAD = 64 * 1024;
+const MAX_BODY_SIZE =
+  Math.max(getUploadLimit("image/"), getUploadLimit(DEFAULT_UPLOAD_TYPE)) +
+  MULTIPART_OVERHEAD;
+
+// Registered wallets are remembered for a while; unregistered ones are
+// asked again every time, since they may have just registered
+const REGISTRATION_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Create the pinning backend named by UPLOAD_BACKEND
+ * @returns {Object} Storage provider from src/utils/storage
+ */
+const createBackend = () => {
+  if (config.backend === "kubo") {
+    return createKuboProvider(
+      config.kuboApiUrl ? { apiUrl: config.kuboApiUrl } : {}
+    );
+  }
+  if (config.backend === "pinata") {
+    return createPinataProvider({
+      jwt: config.pinataJwt,
+      ...(config.pinataApiUrl ? { apiUrl: config.pinataApiUrl } : {}),
+    });
+  }
+  throw new Error(`Unknown UPLOAD_BACKEND "${config.backend}"`);
+};
+
+/**
+ * Check uploader registration, caching wallets that are registered
+ * @param {Object} publicClient - viem public client
+ * @returns {Function} async (address) => boolean
+ */
+const createRegistrationCheck = (publicClient) => {
+  const registeredAt = new Map();
+
+  return async (address) => {
+    const key = address.toLowerCase();
+    if (Date.now() - (registeredAt.get(key) || 0) < REGISTRATION_CACHE_MS) {
+      return true;
+    }
+
+    const isRegistered = await publicClient.readContract({
+      address: config.contractAddress,
+      abi: AMIGO_CHAT_ABI,
+      functionName: "isUserRegistered",
+      args: [address],
+    });
+    if (isRegistered) registeredAt.set(key, Date.now());
+
+    return isRegistered;
+  };
+};
+
+/**
+ * Track how many files and bytes each wallet pinned today (UTC)
+ * Uploads reserve their share up front, so parallel requests can't overrun
+ * @returns {Object} { reserve(address, size), release(address, size) }
+ */
+const createQuotas = () => {
+  const usage = new Map();
+
+  const getUsage = (address) => {
+    const day = new Date().toISOString().slice(0, 10);
+    const current = usage.get(address);
+    if (current?.day === day) return current;
+
+    const fresh = { day, files: 0, bytes: 0 };
+    usage.set(address, fresh);
+    return fresh;
+  };
+
+  return {
+    reserve: (address, size) => {
+      const current = getUsage(address);
+      if (current.files + 1 > config.dailyFiles) {
+        throw new HttpError(
+          429,
+          `Daily upload limit reached (${config.dailyFiles} files)`
+        );
+      }
+      if (current.bytes + size > config.dailyBytes) {
+        throw new HttpError(429, "Daily upload size limit reached");
+      }
+
+      current.files += 1;
+      current.bytes += size;
+    },
+    // Give back a reservation whose upload failed
+    release: (address, size) => {
+      const current = getUsage(address);
+      current.files = Math.max(0, current.files - 1);
+      current.bytes = Math.max(0, current.bytes - size);
+    },
+  };
+};
+
+/**
+ * Verify the upload signature headers of a request
+ * The signed message has to name this proxy, its chain and contract, so
+ * signatures collected by other sites or for other deployments are refused
+ * @param {Object} headers - Node request headers
+ * @param {Object} chain - { publicClient, chainId } of the contract's chain
+ * @returns {Promise<string>} Lowercased address of the signer
+ */
+const verifyUploader = async (headers, { publicClient, chainId }) => {
+  const address = headers[UPLOAD_AUTH_HEADERS.address];
+  const expires = Number(headers[UPLOAD_AUTH_HEADERS.expires]);
+  const signature = headers[UPLOAD_AUTH_HEADERS.signature];
+
+  if (!address || !isAddress(address) || !signature) {
+    throw new HttpError(401, "Missing upload signature");
+  }
+
+  // Signatures can't be made to last longer than UPLOAD_AUTH_TTL
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(expires) || expires <= now) {
+    throw new HttpError(401, "Upload signature expired");
+  }
+  if (expires > now + UPLOAD_AUTH_TTL + 60) {
+    throw new HttpError(401, "Upload signature lasts too long");
+  }
+
+  // Handles smart-contract wallets (ERC-1271) as well as plain accounts
+  const isValid = await publicClient
+    .verifyMessage({
+      address,
+      message: getUploadAuthMessage({
+        address,
+        expires,
+        proxyUrl: config.publicUrl,
+        chainId,
+        contractAddress: config.contractAddress,
+      }),
+      signature,
+    })
+    .catch(() => false);
+  if (!isValid) {
+    throw new HttpError(401, "Invalid upload signature");
+  }
+
+  return address.toLowerCase();
+};
+
+/**
+ * Read the multipart form of an upload request
+ * @param {http.IncomingMessage} req - Node request
+ * @returns {Promise<FormData>} Parsed form
+ */
+const readForm = async (req) => {
+  const length = Number(req.headers["content-length"]);
+  if (!Number.isFinite(length)) {
+    throw new HttpError(411, "Content-Length is required");
+  }
+  if (length > MAX_BODY_SIZE) {
+    throw new HttpError(413, "File is too large");
+  }
+
+  try {
+    return await new Request("http://upload-proxy/upload", {
+      method: "POST",
+      headers: { "content-type": req.headers["content-type"] || "" },
+      body: Readable.toWeb(req),
+      duplex: "half",
+    }).formData();
+  } catch {
+    throw new HttpError(400, "Expected a multipart form with a file");
+  }
+};
+
+/**
+ * Keep only flat string/number/boolean metadata from the client
+ * @param {string} value - JSON metadata field of the form
+ * @returns {Object} Sanitized key-values
+ */
+const parseMetadata = (value) => {
+  try {
+    const parsed = JSON.parse(typeof value === "string" ? value : "{}");
+    return Object.fromEntries(
+      Object.entries(parsed || {})
+        .filter(([, entry]) =>
+          ["string", "number", "boolean"].includes(typeof entry)
+        )
+        .slice(0, 8)
+    );
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Send a JSON response with CORS headers
+ * @param {http.IncomingMessage} req - Node request
+ * @param {http.ServerResponse} res - Node response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+const sendJson = (req, res, status, body) => {
+  const origin = req.headers.origin;
+  const allowOrigin = config.allowedOrigins.includes("*")
+    ? "*"
+    : config.allowedOrigins.includes(origin)
+    ? origin
+    : null;
+
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    ...(allowOrigin
+      ? {
+          "Access-Control-Allow-Origin": allowOrigin,
+          "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+          "Access-Control-Allow-Headers": [
+            "Content-Type",
+            ...Object.values(UPLOAD_AUTH_HEADERS),
+          ].join(", "),
+          Vary: "Origin",
+        }
+      : {}),
+  });
+  res.end(status === 204 ? undefined : JSON.stringify(body));
+};
+
+const main = async () => {
+  if (!config.contractAddress) {
+    throw new Error("Missing UPLOAD_PROXY_CONTRACT_ADDRESS");
+  }
+  if (!(config.dailyFiles > 0) || !(config.dailyBytes > 0)) {
+    throw new Error(
+      "UPLOAD_DAILY_FILES and UPLOAD_DAILY_BYTES must be positive"
+    );
+  }
+
+  const backend = createBackend();
+  const publicClient = createPublicClient({
+    transport: httpTransport(config.rpcUrl),
+  });
+  const chainId = await publicClient.getChainId();
+  const isRegistered = createRegistrationCheck(publicClient);
+  const quotas = createQuotas();
+
+  // Verify, check limits, then pin
+  const handleUpload = async (req) => {
+    const address = await verifyUploader(req.headers, {
+      publicClient,
+      chainId,
+    });
+    if (!(await isRegistered(address))) {
+      throw new HttpError(403, "Only registered AmigoChat members can upload");
+    }
+
+    const form = await readForm(req);
+    const file = form.get("file");
+    if (!(file instanceof Blob)) {
+      throw new HttpError(400, "Expected a multipart form with a file");
+    }
+
+    const type = file.type || DEFAULT_UPLOAD_TYPE;
+    if (!isAllowedUploadType(type)) {
+      throw new HttpError(415, `Files of type ${type} can't be uploaded`);
+    }
+    if (file.size === 0 || file.size > getUploadLimit(type)) {
+      throw new HttpError(413, "File is empty or too large");
+    }
+    quotas.reserve(address, file.size);
+
+    let result;
+    try {
+      result = await backend.upload(file, {
+        fileName: file.name || "upload",
+        metadata: { ...parseMetadata(form.get("metadata")), uploader: address },
+      });
+    } catch (error) {
+      quotas.release(address, file.size);
+      throw new HttpError(502, error.message);
+    }
+
+    console.log(`Pinned ${result.cid} (${file.size} bytes) for ${address}`);
+    return result;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://upload-proxy");
+
+    try {
+      if (req.method === "OPTIONS") {
+        sendJson(req, res, 204);
+      } else if (req.method === "GET" && pathname === "/health") {
+        sendJson(req, res, 200, { ok: true, backend: backend.name });
+      } else if (req.method === "POST" && pathname === "/upload") {
+        sendJson(req, res, 200, await handleUpload(req));
+      } else {
+        sendJson(req, res, 404, { error: "Not found" });
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error("Upload error:", error.shortMessage || error);
+      }
+      // Stop reading a body we won't use
+      if (!req.complete) req.resume();
+      sendJson(req, res, error.status || 500, {
+        error: error instanceof HttpError ? error.message : "Upload failed",
+      });
+    }
+  });
+
+  server.listen(config.port, () => {
+    console.log(
+      `Upload proxy on ${config.publicUrl} (chain ${chainId}) pinning with ${backend.name}`
+    );
+    if (config.allowedOrigins.includes("*")) {
+      console.warn(
+        'UPLOAD_PROXY_ALLOWED_ORIGINS is "*": any site can call the proxy; list the app\'s origins in production'
+      );
+    }
+  });
+
+  process.on("SIGINT", () => {
+    server.close();
+    process.exit(0);
+  });
+};
+
+main().catch((error) => {
+  console.error(error.shortMessage || error.message || error);
+  process.exit(1);
+});
@@ -90,6 +90,19 @@ function App() {
                     }
                   />
 
+                  {/* Channel view - same page, opened on a named channel */}
+                  <Route
+                    path="/chat/:channel"
+                    element={
+                      <ProtectedRoute
+                        requireConnection={true}
+                        requireRegistration={true}
+                      >
+                        <ChatPage />
+                      </ProtectedRoute>
+                    }
+                  />
+
                   {/* Profile Page - user profile management */}
                   <Route
                     path="/profile"
@@ -0,0 +1,72 @@
+// Image Lightbox - Full-size view of an image attachment
+
+import React, { useEffect } from "react";
+import { motion as Motion, AnimatePresence } from "framer-motion";
+
+/**
+ * ImageLightbox Component
+ * @param {string} src - Image URL
+ * @param {string} name - File name, shown as the caption
+ * @param {function} onClose - Function to close the lightbox
+ */
+const ImageLightbox = ({ src, name, onClose }) => {
+  // Close lightbox on Escape key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 z-50 flex items-center justify-center">
+        {/* Backdrop */}
+        <Motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="absolute inset-0 bg-black bg-opacity-90 backdrop-blur-sm"
+          onClick={onClose}
+        />
+
+        {/* Image */}
+        <Motion.div
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.9 }}
+          className="relative flex flex-col items-center max-w-[90vw] max-h-[90vh]"
+        >
+          <img
+            src={src}
+            alt={name}
+            className="max-w-[90vw] max-h-[80vh] object-contain rounded-lg border border-amigo-green"
+          />
+          <div className="flex items-center mt-3 space-x-4 font-mono text-sm">
+            <span className="text-amigo-white truncate max-w-xs">{name}</span>
+            <a
+              href={src}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-amigo-green hover:underline"
+            >
+              Open original
+            </a>
+            <button
+              onClick={onClose}
+              className="text-amigo-gray-light hover:text-amigo-white transition-colors"
+            >
+              ✕ Close
+            </button>
+          </div>
+        </Motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
+
+export default ImageLightbox;
@@ -0,0 +1,154 @@
+// Markdown Component - Renders chat message markdown as React elements
+// Built from the parse tree in utils/markdown.js, never from HTML strings
+
+import React from "react";
+import { getMentionLabel, parseMarkdown } from "../utils/markdown.js";
+import { highlightCode } from "../utils/syntaxHighlight.js";
+
+// Colors for highlighted code tokens
+const TOKEN_CLASSES = {
+  keyword: "text-amigo-green",
+  literal: "text-sky-300",
+  string: "text-yellow-300",
+  number: "text-orange-300",
+  comment: "text-amigo-gray-light italic",
+};
+
+// Only web links are clickable
+const isSafeHref = (href) => /^https?:\/\//i.test(href);
+
+/**
+ * Render inline nodes
+ * @param {Array} nodes - Nodes from parseInline
+ * @param {function} [getUsername] - Resolves mentions to current usernames
+ * @returns {Array} React elements
+ */
+const renderInline = (nodes, getUsername) =>
+  nodes.map((node, index) => {
+    switch (node.type) {
+      case "strong":
+        return (
+          <strong key={index} className="font-bold">
+            {renderInline(node.children, getUsername)}
+          </strong>
+        );
+      case "em":
+        return (
+          <em key={index} className="italic">
+            {renderInline(node.children, getUsername)}
+          </em>
+        );
+      case "code":
+        return (
+          <code
+            key={index}
+            className="px-1 py-0.5 rounded bg-amigo-black/60 text-amigo-green text-xs"
+          >
+            {node.text}
+          </code>
+        );
+      case "link":
+        return isSafeHref(node.href) ? (
+          <a
+            key={index}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-amigo-green underline break-all hover:text-amigo-white"
+          >
+            {node.text}
+          </a>
+        ) : (
+          <React.Fragment key={index}>{node.text}</React.Fragment>
+        );
+      case "mention":
+        return (
+          <span
+            key={index}
+            title={node.address}
+            className="px-1 rounded bg-amigo-green/15 text-amigo-green font-semibold"
+          >
+            {getMentionLabel(node.address, getUsername)}
+          </span>
+        );
+      case "break":
+        return <br key={index} />;
+      default:
+        return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+  });
+
+/**
+ * Render block nodes
+ * @param {Array} blocks - Blocks from parseMarkdown
+ * @param {function} [getUsername] - Resolves mentions to current usernames
+ * @returns {Array} React elements
+ */
+const renderBlocks = (blocks, getUsername) =>
+  blocks.map((block, index) => {
+    switch (block.type) {
+      case "code":
+        return (
+          <div key={index} className="relative">
+            {block.lang && (
+              <span className="absolute top-1 right-2 text-amigo-gray-light text-xs">
+                {block.lang}
+              </span>
+            )}
+            <pre className="bg-amigo-black/70 border border-amigo-gray rounded p-3 overflow-x-auto text-xs leading-relaxed">
+              <code>
+                {highlightCode(block.code, block.lang).map((token, i) =>
+                  TOKEN_CLASSES[token.type] ? (
+                    <span key={i} className={TOKEN_CLASSES[token.type]}>
+                      {token.text}
+                    </span>
+                  ) : (
+                    <React.Fragment key={i}>{token.text}</React.Fragment>
+                  )
+                )}
+              </code>
+            </pre>
+          </div>
+        );
+      case "blockquote":
+        return (
+          <blockquote
+            key={index}
+            className="border-l-2 border-amigo-gray-light pl-3 text-amigo-gray-light space-y-1"
+          >
+            {renderBlocks(block.children, getUsername)}
+          </blockquote>
+        );
+      case "list": {
+        const List = block.ordered ? "ol" : "ul";
+        return (
+          <List
+            key={index}
+            start={block.ordered ? block.start : undefined}
+            className={`pl-5 space-y-0.5 ${
+              block.ordered ? "list-decimal" : "list-disc"
+            }`}
+          >
+            {block.items.map((item, i) => (
+              <li key={i}>{renderInline(item, getUsername)}</li>
+            ))}
+          </List>
+        );
+      }
+      default:
+        return <p key={index}>{renderInline(block.children, getUsername)}</p>;
+    }
+  });
+
+/**
+ * Markdown Component
+ * @param {string} text - Markdown source
+ * @param {function} getUsername - Address -> username, for @mentions
+ */
+const Markdown = ({ text, getUsername }) => (
+  <div className="space-y-2">
+    {renderBlocks(parseMarkdown(text), getUsername)}
+  </div>
+);
+
+export default Markdown;
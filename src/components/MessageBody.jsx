@@ -0,0 +1,25 @@
+// Message Body - Renders a decoded message envelope via the renderer registry
+
+import React from "react";
+import { getMessageRenderer } from "./messageRenderers.js";
+
+/**
+ * MessageBody Component
+ * @param {Object} envelope - Decoded message from decodeMessage
+ * @param {boolean} isVerifiedBot - Whether the sender is a known bot address
+ * @param {function} getUsername - Address -> username, for @mentions
+ */
+const MessageBody = ({ envelope, isVerifiedBot = false, getUsername }) => {
+  const Renderer = getMessageRenderer(envelope.type);
+
+  return (
+    <Renderer
+      envelope={envelope}
+      data={envelope.data}
+      isVerifiedBot={isVerifiedBot}
+      getUsername={getUsername}
+    />
+  );
+};
+
+export default MessageBody;
@@ -0,0 +1,224 @@
+// Message Cards - Renderers for structured chat messages
+// Each card receives the decoded envelope data for one message type
+
+import React, { useState } from "react";
+import { getAssetIcon } from "../config/priceFeeds.js";
+import { getAttachment, isImageAttachment } from "../utils/attachments.js";
+import { formatFileSize } from "../utils/ipfs.js";
+import { useAttachmentUrl } from "../hooks/useAmigoContract.js";
+import Markdown from "./Markdown.jsx";
+import ImageLightbox from "./ImageLightbox.jsx";
+
+/**
+ * Text message, rendered as markdown
+ * @param {Object} data - { text }
+ * @param {function} getUsername - Address -> username, for @mentions
+ */
+export const TextMessage = ({ data, getUsername }) => (
+  <Markdown text={String(data.text ?? "")} getUsername={getUsername} />
+);
+
+/**
+ * Price update card posted by the price bot
+ * @param {Object} data - { prices: [{ symbol, price }], source, timestamp }
+ * @param {boolean} isVerifiedBot - Whether the sender is a known bot
+ */
+export const PriceUpdateCard = ({ data, isVerifiedBot }) => {
+  const prices = Array.isArray(data.prices) ? data.prices : [];
+  const time = Number.isFinite(data.timestamp)
+    ? new Date(data.timestamp * 1000).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: true,
+      })
+    : "";
+
+  // Format a USD price string for display
+  const formatPrice = (price) => {
+    const num = parseFloat(price);
+    return isNaN(num) ? String(price) : num.toLocaleString();
+  };
+
+  return (
+    <div
+      className={`bg-amigo-gray/30 rounded-lg p-3 border ${
+        isVerifiedBot ? "border-amigo-green/30" : "border-amigo-gray-light/30"
+      }`}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-center mb-3">
+        <span className="text-amigo-green font-mono font-bold text-sm">
+          {isVerifiedBot ? "🤖 " : ""}Price Update {time} 📊
+        </span>
+      </div>
+
+      {/* Price Grid */}
+      <div className="grid grid-cols-1 gap-2 mb-3">
+        {prices
+          .filter((entry) => entry && entry.symbol && entry.price)
+          .map((entry) => (
+            <div
+              key={entry.symbol}
+              className="flex items-center justify-between bg-amigo-black/50 rounded px-3 py-2"
+            >
+              <span className="text-amigo-white font-mono text-sm font-semibold">
+                {getAssetIcon(entry.symbol)} {entry.symbol}
+              </span>
+              <span className="text-amigo-green font-mono text-sm font-bold">
+                ${formatPrice(entry.price)}
+              </span>
+            </div>
+          ))}
+      </div>
+
+      {/* Footer */}
+      <div className="text-center text-amigo-gray-light font-mono text-xs">
+        {isVerifiedBot
+          ? `📡 Powered by ${data.source || "Chainlink"} Oracles`
+          : "⚠️ Posted by a member, not the price bot"}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * System notice (maintenance windows, announcements, ...)
+ * @param {Object} data - { text, level }
+ * @param {boolean} isVerifiedBot - Whether the sender is a known bot
+ */
+export const SystemNoticeCard = ({ data, isVerifiedBot }) => (
+  <div
+    className={`rounded-lg px-3 py-2 border font-mono text-sm ${
+      data.level === "warning"
+        ? "bg-yellow-900/30 border-yellow-500/40 text-yellow-200"
+        : "bg-amigo-gray/30 border-amigo-green/30 text-amigo-white"
+    }`}
+  >
+    <span className="mr-2">{data.level === "warning" ? "⚠️" : "📢"}</span>
+    {String(data.text || "")}
+    {!isVerifiedBot && (
+      <span className="block text-amigo-gray-light text-xs mt-1">
+        Unverified notice from a member
+      </span>
+    )}
+  </div>
+);
+
+/**
+ * File attached via IPFS, with an optional caption
+ * Images preview inline and open a lightbox; other files get a download card
+ * @param {Object} data - { cid, mime, size, name, text }, plus { key, iv }
+ * for files encrypted in a DM
+ * @param {function} getUsername - Address -> username, for @mentions
+ */
+export const AttachmentCard = ({ data, getUsername }) => {
+  const [showLightbox, setShowLightbox] = useState(false);
+  const attachment = getAttachment(data);
+  // Encrypted files are decrypted in the browser first
+  const { url, isLoading, error } = useAttachmentUrl(attachment);
+
+  if (!attachment) {
+    return (
+      <span className="text-amigo-gray-light font-mono text-xs italic">
+        📎 Attachment unavailable
+      </span>
+    );
+  }
+
+  const caption =
+    typeof data.text === "string" && data.text ? (
+      <div className="mb-2">
+        <Markdown text={data.text} getUsername={getUsername} />
+      </div>
+    ) : null;
+
+  if (!url) {
+    return (
+      <div>
+        {caption}
+        <span className="text-amigo-gray-light font-mono text-xs italic">
+          🔒 {isLoading ? `Decrypting ${attachment.name}...` : error}
+        </span>
+      </div>
+    );
+  }
+
+  if (isImageAttachment(attachment.mime)) {
+    return (
+      <div>
+        {caption}
+        <button
+          onClick={() => setShowLightbox(true)}
+          className="block rounded-lg overflow-hidden border border-amigo-gray-light/30 hover:border-amigo-green transition-colors"
+          title={attachment.name}
+        >
+          <img
+            src={url}
+            alt={attachment.name}
+            loading="lazy"
+            className="max-w-xs max-h-64 object-contain bg-amigo-black/50"
+          />
+        </button>
+        {showLightbox && (
+          <ImageLightbox
+            src={url}
+            name={attachment.name}
+            onClose={() => setShowLightbox(false)}
+          />
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {caption}
+      <a
+        href={url}
+        download={attachment.name}
+        target="_blank"
+        rel="noopener noreferrer"
+        className="flex items-center max-w-xs px-3 py-2 bg-amigo-gray/30 border border-amigo-gray-light/30 rounded-lg hover:border-amigo-green transition-colors font-mono"
+      >
+        <span className="text-2xl mr-3">
+          {attachment.mime === "application/pdf" ? "📄" : "📎"}
+        </span>
+        <span className="flex-1 min-w-0">
+          <span className="block text-amigo-white text-sm truncate">
+            {attachment.name}
+          </span>
+          <span className="block text-amigo-gray-light text-xs">
+            {[
+              attachment.mime || "file",
+              attachment.size !== null && formatFileSize(attachment.size),
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+          </span>
+        </span>
+        <span className="ml-3 text-amigo-green text-sm">⬇</span>
+      </a>
+    </div>
+  );
+};
+
+/**
+ * Encrypted direct message that couldn't be decrypted (yet)
+ * Decrypted messages render as their original content instead
+ */
+export const EncryptedMessage = () => (
+  <span className="text-amigo-gray-light font-mono text-xs italic">
+    🔒 Encrypted message. Unlock encryption on this device to read it.
+  </span>
+);
+
+/**
+ * Fallback for envelope types this client doesn't know yet
+ * @param {Object} envelope - Decoded envelope
+ */
+export const UnsupportedMessage = ({ envelope }) => (
+  <span className="text-amigo-gray-light font-mono text-xs italic">
+    Unsupported message type "{envelope.type}" (v{envelope.version}). Update
+    AmigoChat to view it.
+  </span>
+);
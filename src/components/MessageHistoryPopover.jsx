@@ -0,0 +1,91 @@
+// Message History Popover - Every version of an edited message
+
+import React, { useEffect, useRef } from "react";
+import { useMessageHistory } from "../hooks/useAmigoContract.js";
+import { decodeMessage } from "../utils/messageEnvelope.js";
+import { getMessagePreview } from "../utils/threads.js";
+
+/**
+ * MessageHistoryPopover Component
+ * @param {bigint} messageId - Edited message
+ * @param {bigint|number} editCount - Edits so far (refetches when it changes)
+ * @param {function} formatTime - Format a message timestamp
+ * @param {function} getUsername - Address -> username, for @mentions
+ * @param {function} onClose - Close the popover
+ */
+const MessageHistoryPopover = ({
+  messageId,
+  editCount,
+  formatTime,
+  getUsername,
+  onClose,
+}) => {
+  const popoverRef = useRef(null);
+  const { versions, isLoading, isError } = useMessageHistory(
+    messageId,
+    editCount
+  );
+
+  // Close on Escape or a click outside
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    const handleClick = (e) => {
+      if (popoverRef.current && !popoverRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    document.addEventListener("mousedown", handleClick);
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+      document.removeEventListener("mousedown", handleClick);
+    };
+  }, [onClose]);
+
+  return (
+    <div
+      ref={popoverRef}
+      className="absolute top-full left-0 mt-1 z-30 w-72 max-h-64 overflow-y-auto bg-amigo-black border border-amigo-gray-light rounded-lg shadow-2xl p-3 space-y-2"
+    >
+      <h4 className="text-amigo-gray-light font-mono text-xs font-semibold uppercase tracking-wide">
+        Edit history
+      </h4>
+
+      {isLoading ? (
+        <p className="text-amigo-gray-light font-mono text-xs">
+          Reading events...
+        </p>
+      ) : isError || versions.length === 0 ? (
+        <p className="text-amigo-gray-light font-mono text-xs">
+          Couldn't load the edit history
+        </p>
+      ) : (
+        [...versions].reverse().map((version) => (
+          <div
+            key={String(version.editCount)}
+            className="border-l-2 border-amigo-gray-light pl-2"
+          >
+            <div className="text-amigo-gray-light font-mono text-xs">
+              {Number(version.editCount) === 0
+                ? "Original"
+                : `Edit ${version.editCount}`}{" "}
+              · {formatTime(version.timestamp)}
+            </div>
+            <p className="text-amigo-white font-mono text-xs break-words">
+              {getMessagePreview(
+                decodeMessage(version.content),
+                500,
+                getUsername
+              )}
+            </p>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default MessageHistoryPopover;
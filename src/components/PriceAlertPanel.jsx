@@ -0,0 +1,229 @@
+// Price Alert Panel - Create, edit, snooze and delete price alerts
+// Lives under the price cards in the chat sidebar
+
+import React, { useState } from "react";
+import {
+  ALERT_KINDS,
+  MOVE_WINDOWS,
+  describeAlert,
+} from "../utils/priceAlerts.js";
+
+// Snooze lengths offered in the list (minutes)
+const SNOOZE_OPTIONS = [60, 1440];
+
+/**
+ * PriceAlertPanel Component
+ * @param {Array} feeds - Feeds from usePriceFeeds
+ * @param {Array} alerts - Alerts from usePriceAlerts
+ * @param {function} onAdd - Create an alert ({ pairId, kind, value, windowMinutes })
+ * @param {function} onUpdate - Edit an alert (id, changes)
+ * @param {function} onRemove - Delete an alert (id)
+ * @param {function} onSnooze - Snooze an alert (id, minutes; 0 to resume)
+ */
+const PriceAlertPanel = ({
+  feeds,
+  alerts,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onSnooze,
+}) => {
+  const [pairId, setPairId] = useState("");
+  const [kind, setKind] = useState(ALERT_KINDS.below);
+  const [value, setValue] = useState("");
+  const [windowMinutes, setWindowMinutes] = useState(60);
+  const [editingId, setEditingId] = useState(null);
+  const [editValue, setEditValue] = useState("");
+
+  const selectedPair = pairId || feeds[0]?.pairId || "";
+  const isValidValue = Number(value) > 0;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!selectedPair || !isValidValue) return;
+
+    onAdd({ pairId: selectedPair, kind, value, windowMinutes });
+    setValue("");
+  };
+
+  const handleSaveEdit = (id) => {
+    if (Number(editValue) > 0) {
+      onUpdate(id, { value: Number(editValue) });
+    }
+    setEditingId(null);
+  };
+
+  const formatSnooze = (snoozedUntil) =>
+    new Date(snoozedUntil * 1000).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const now = Math.floor(Date.now() / 1000);
+  const inputClass =
+    "bg-amigo-black border border-amigo-gray rounded px-1 py-1 text-amigo-white font-mono text-xs focus:border-amigo-green focus:outline-none";
+
+  return (
+    <div className="pt-3 border-t border-amigo-gray space-y-2">
+      <h3 className="text-amigo-gray-light font-mono text-xs font-semibold uppercase tracking-wide">
+        🔔 Price Alerts
+      </h3>
+
+      {/* New alert */}
+      <form onSubmit={handleAdd} className="space-y-1">
+        <div className="flex space-x-1">
+          <select
+            value={selectedPair}
+            onChange={(e) => setPairId(e.target.value)}
+            className={`${inputClass} flex-1`}
+          >
+            {feeds.map((feed) => (
+              <option key={feed.pairId} value={feed.pairId}>
+                {feed.symbol}
+              </option>
+            ))}
+          </select>
+          <select
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+            className={`${inputClass} flex-1`}
+          >
+            <option value={ALERT_KINDS.below}>below</option>
+            <option value={ALERT_KINDS.above}>above</option>
+            <option value={ALERT_KINDS.move}>moves %</option>
+          </select>
+        </div>
+        <div className="flex space-x-1">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={kind === ALERT_KINDS.move ? "5" : "3000"}
+            className={`${inputClass} flex-1 min-w-0`}
+          />
+          {kind === ALERT_KINDS.move && (
+            <select
+              value={windowMinutes}
+              onChange={(e) => setWindowMinutes(Number(e.target.value))}
+              className={inputClass}
+            >
+              {MOVE_WINDOWS.map((minutes) => (
+                <option key={minutes} value={minutes}>
+                  {minutes >= 60 ? `${minutes / 60}h` : `${minutes}m`}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            type="submit"
+            disabled={!selectedPair || !isValidValue}
+            className="text-amigo-green hover:text-amigo-white font-mono text-xs px-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add
+          </button>
+        </div>
+      </form>
+
+      {/* Alert list */}
+      {alerts.length === 0 ? (
+        <p className="text-amigo-gray-light font-mono text-xs">No alerts yet</p>
+      ) : (
+        <ul className="space-y-1">
+          {alerts.map((alert) => {
+            const isSnoozed = alert.snoozedUntil && alert.snoozedUntil > now;
+
+            return (
+              <li
+                key={alert.id}
+                className={`bg-amigo-gray-light rounded p-2 font-mono text-xs ${
+                  isSnoozed ? "opacity-60" : ""
+                }`}
+              >
+                {editingId === alert.id ? (
+                  <div className="flex space-x-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={editValue}
+                      onChange={(e) => setEditValue(e.target.value)}
+                      className={`${inputClass} flex-1 min-w-0`}
+                      autoFocus
+                    />
+                    <button
+                      onClick={() => handleSaveEdit(alert.id)}
+                      className="text-amigo-green hover:text-amigo-white"
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className="text-amigo-gray-light hover:text-amigo-white"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ) : (
+                  <>
+                    <div className="flex items-center justify-between">
+                      <span
+                        className={
+                          alert.isTriggered
+                            ? "text-amigo-green"
+                            : "text-amigo-white"
+                        }
+                      >
+                        {describeAlert(alert)}
+                      </span>
+                      <button
+                        onClick={() => onRemove(alert.id)}
+                        className="text-amigo-gray-light hover:text-red-400"
+                        title="Delete alert"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                    <div className="flex items-center space-x-2 mt-1 text-amigo-gray-light">
+                      <button
+                        onClick={() => {
+                          setEditingId(alert.id);
+                          setEditValue(String(alert.value));
+                        }}
+                        className="hover:text-amigo-white"
+                      >
+                        Edit
+                      </button>
+                      {isSnoozed ? (
+                        <button
+                          onClick={() => onSnooze(alert.id, 0)}
+                          className="hover:text-amigo-white"
+                        >
+                          Snoozed until {formatSnooze(alert.snoozedUntil)} ·
+                          Resume
+                        </button>
+                      ) : (
+                        SNOOZE_OPTIONS.map((minutes) => (
+                          <button
+                            key={minutes}
+                            onClick={() => onSnooze(alert.id, minutes)}
+                            className="hover:text-amigo-white"
+                          >
+                            Snooze {minutes / 60}h
+                          </button>
+                        ))
+                      )}
+                    </div>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PriceAlertPanel;
@@ -0,0 +1,291 @@
+// Price Chart Components - Sparklines and a larger history chart
+// Drawn as plain SVG from usePriceHistory series
+
+import React, { useEffect, useState } from "react";
+import { motion as Motion, AnimatePresence } from "framer-motion";
+import { usePriceHistory } from "../hooks/useAmigoContract.js";
+
+const RANGES = ["24h", "7d", "30d"];
+
+/**
+ * Scale a price series into SVG coordinates
+ * @param {Array} points - Series from usePriceHistory
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @returns {Array} Points with x and y added
+ */
+const toCoordinates = (points, width, height) => {
+  const prices = points.map((point) => point.price);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const first = points[0].updatedAt;
+  const span = points[points.length - 1].updatedAt - first || 1;
+
+  return points.map((point) => ({
+    ...point,
+    x: ((point.updatedAt - first) / span) * width,
+    y:
+      max === min
+        ? height / 2
+        : height - ((point.price - min) / (max - min)) * height,
+  }));
+};
+
+// Green when the series ends at or above where it started
+const getTrendColor = (points) =>
+  points.length > 1 && points[points.length - 1].price < points[0].price
+    ? "#f87171"
+    : "#00ff00";
+
+// Format a price in the pair's quote currency
+const formatQuote = (value, quote = "USD") => {
+  try {
+    return value.toLocaleString("en-US", {
+      style: "currency",
+      currency: quote,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  } catch {
+    return value.toFixed(2);
+  }
+};
+
+/**
+ * Sparkline Component
+ * Small 24h trend line shown inside a PriceCard, stretched to its container
+ * @param {string} pairId - Trading pair, e.g. "BTC/USD"
+ * @param {number} height - Height in pixels
+ */
+export const Sparkline = ({ pairId, height = 24 }) => {
+  const { points } = usePriceHistory(pairId, "24h");
+  const width = 100;
+
+  if (points.length < 2) {
+    return <div style={{ height }} />;
+  }
+
+  const coordinates = toCoordinates(points, width, height);
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      className="w-full overflow-visible"
+      style={{ height }}
+    >
+      <polyline
+        fill="none"
+        stroke={getTrendColor(points)}
+        strokeWidth="1.5"
+        vectorEffect="non-scaling-stroke"
+        points={coordinates.map(({ x, y }) => `${x},${y}`).join(" ")}
+      />
+    </svg>
+  );
+};
+
+/**
+ * PriceChartDialog Component
+ * Larger price history chart with 24h / 7d / 30d ranges
+ * @param {Object} feed - Feed from usePriceFeeds (pairId, symbol, icon, ...)
+ * @param {function} onClose - Function to close the dialog
+ */
+export const PriceChartDialog = ({ feed, onClose }) => {
+  const [range, setRange] = useState("24h");
+  const [hovered, setHovered] = useState(null);
+  const { points, fetchedAt, isLoading, isError, error } = usePriceHistory(
+    feed.pairId,
+    range
+  );
+
+  const width = 560;
+  const height = 220;
+  const quote = feed.pairId.split("/")[1] || "USD";
+  const coordinates =
+    points.length > 1 ? toCoordinates(points, width, height) : [];
+  const prices = points.map((point) => point.price);
+
+  // Close dialog on Escape key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  // Find the point closest to the cursor
+  const handleMouseMove = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - bounds.left) / bounds.width) * width;
+    const closest = coordinates.reduce((best, point) =>
+      Math.abs(point.x - x) < Math.abs(best.x - x) ? point : best
+    );
+    setHovered(closest);
+  };
+
+  const formatDate = (seconds) =>
+    new Date(seconds * 1000).toLocaleString([], {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  const change =
+    prices.length > 1
+      ? ((prices[prices.length - 1] - prices[0]) / prices[0]) * 100
+      : null;
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 z-50 flex items-center justify-center">
+        {/* Backdrop */}
+        <Motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="absolute inset-0 bg-black bg-opacity-80 backdrop-blur-sm"
+          onClick={onClose}
+        />
+
+        {/* Dialog */}
+        <Motion.div
+          initial={{ opacity: 0, scale: 0.9, y: 20 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 20 }}
+          className="relative bg-amigo-gray border border-amigo-green rounded-lg shadow-2xl w-full max-w-2xl mx-4 overflow-hidden"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="bg-amigo-black border-b border-amigo-green p-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-amigo-green font-mono font-bold text-lg">
+                {feed.icon} {feed.pairId}
+              </h2>
+              <div className="flex items-center space-x-2">
+                {RANGES.map((option) => (
+                  <button
+                    key={option}
+                    onClick={() => {
+                      setRange(option);
+                      setHovered(null);
+                    }}
+                    className={`px-2 py-1 rounded font-mono text-xs transition-colors ${
+                      range === option
+                        ? "bg-amigo-green text-amigo-black"
+                        : "text-amigo-gray-light hover:text-amigo-white"
+                    }`}
+                  >
+                    {option}
+                  </button>
+                ))}
+                <button
+                  onClick={onClose}
+                  className="text-amigo-gray-light hover:text-amigo-white transition-colors p-2 rounded"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Chart */}
+          <div className="p-4 space-y-3">
+            <div className="flex items-baseline justify-between font-mono">
+              <span className="text-amigo-white text-xl font-bold">
+                {hovered
+                  ? formatQuote(hovered.price, quote)
+                  : prices.length > 0
+                  ? formatQuote(prices[prices.length - 1], quote)
+                  : "—"}
+              </span>
+              <span className="text-amigo-gray-light text-xs">
+                {hovered
+                  ? formatDate(hovered.updatedAt)
+                  : change !== null && (
+                      <span
+                        className={
+                          change < 0 ? "text-red-400" : "text-amigo-green"
+                        }
+                      >
+                        {change >= 0 ? "+" : ""}
+                        {change.toFixed(2)}% ({range})
+                      </span>
+                    )}
+              </span>
+            </div>
+
+            {isLoading ? (
+              <div className="flex items-center justify-center h-56">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-amigo-green"></div>
+                <span className="ml-3 text-amigo-white font-mono text-sm">
+                  Walking back through rounds...
+                </span>
+              </div>
+            ) : coordinates.length === 0 ? (
+              <div className="flex items-center justify-center h-56 text-amigo-gray-light font-mono text-sm text-center">
+                {isError
+                  ? `Couldn't load price history: ${
+                      error?.shortMessage || error?.message
+                    }`
+                  : "Not enough rounds in this range"}
+              </div>
+            ) : (
+              <svg
+                viewBox={`0 0 ${width} ${height}`}
+                className="w-full h-56 overflow-visible"
+                onMouseMove={handleMouseMove}
+                onMouseLeave={() => setHovered(null)}
+              >
+                <polyline
+                  fill="none"
+                  stroke={getTrendColor(points)}
+                  strokeWidth="2"
+                  points={coordinates.map(({ x, y }) => `${x},${y}`).join(" ")}
+                />
+                {hovered && (
+                  <>
+                    <line
+                      x1={hovered.x}
+                      x2={hovered.x}
+                      y1={0}
+                      y2={height}
+                      stroke="#6b7280"
+                      strokeDasharray="4 4"
+                    />
+                    <circle
+                      cx={hovered.x}
+                      cy={hovered.y}
+                      r="4"
+                      fill={getTrendColor(points)}
+                    />
+                  </>
+                )}
+              </svg>
+            )}
+
+            {/* Range summary */}
+            {coordinates.length > 0 && (
+              <div className="flex justify-between text-amigo-gray-light font-mono text-xs">
+                <span>
+                  Low {formatQuote(Math.min(...prices), quote)} · High{" "}
+                  {formatQuote(Math.max(...prices), quote)}
+                </span>
+                <span>
+                  {points.length} rounds
+                  {fetchedAt &&
+                    ` · fetched ${new Date(fetchedAt).toLocaleTimeString()}`}
+                </span>
+              </div>
+            )}
+          </div>
+        </Motion.div>
+      </div>
+    </AnimatePresence>
+  );
+};
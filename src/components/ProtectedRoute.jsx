@@ -120,7 +120,13 @@ const ProtectedRoute = ({
   }
 
   // Special case: if user is on register page but already registered, redirect to chat
-  if (location.pathname === "/register" && isConnected && isRegistered) {
+  // (unless the page is still saving the new profile's picture)
+  if (
+    location.pathname === "/register" &&
+    isConnected &&
+    isRegistered &&
+    !location.state?.finishingProfile
+  ) {
     return <Navigate to="/chat" replace />;
   }
 
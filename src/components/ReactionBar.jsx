@@ -0,0 +1,89 @@
+// Reaction Bar - Emoji reactions under a channel message
+
+import React, { useState } from "react";
+import { useReactions } from "../hooks/useAmigoContract.js";
+import { REACTION_EMOJIS, hasReacted } from "../utils/reactions.js";
+
+/**
+ * ReactionBar Component
+ * @param {bigint|string} messageId - Message the reactions belong to
+ * @param {string} currentAddress - Connected wallet address
+ * @param {function} getUser - Look up a profile by address
+ */
+const ReactionBar = ({ messageId, currentAddress, getUser }) => {
+  const [showPicker, setShowPicker] = useState(false);
+  const { reactions, toggleReaction } = useReactions(messageId);
+
+  // Names of everyone who reacted, from registered profiles
+  const getReactorNames = (reaction) =>
+    reaction.reactors
+      .map(
+        (reactor) =>
+          getUser(reactor)?.username ||
+          `${reactor.slice(0, 6)}...${reactor.slice(-4)}`
+      )
+      .join(", ");
+
+  const handlePick = (emoji) => {
+    toggleReaction(emoji);
+    setShowPicker(false);
+  };
+
+  return (
+    <div className="relative flex flex-wrap items-center gap-1 mt-1">
+      {reactions.map((reaction) => {
+        const isMine = hasReacted(reaction, currentAddress);
+
+        return (
+          <div key={reaction.emoji} className="relative group/reaction">
+            <button
+              onClick={() => toggleReaction(reaction.emoji)}
+              className={`flex items-center space-x-1 px-2 py-0.5 rounded-full border font-mono text-xs transition-colors ${
+                isMine
+                  ? "border-amigo-green bg-amigo-green/10 text-amigo-green"
+                  : "border-amigo-gray-light/40 text-amigo-gray-light hover:border-amigo-gray-light"
+              }`}
+            >
+              <span>{reaction.emoji}</span>
+              <span>{reaction.reactors.length}</span>
+            </button>
+
+            {/* Who reacted */}
+            <div className="absolute bottom-full left-0 mb-1 hidden group-hover/reaction:block z-20 w-max max-w-xs px-2 py-1 bg-amigo-black border border-amigo-gray-light rounded font-mono text-xs text-amigo-white">
+              {reaction.emoji} {getReactorNames(reaction)}
+            </div>
+          </div>
+        );
+      })}
+
+      {/* Add reaction */}
+      <button
+        onClick={() => setShowPicker(!showPicker)}
+        className={`px-2 py-0.5 rounded-full border border-amigo-gray-light/40 text-amigo-gray-light hover:text-amigo-white font-mono text-xs ${
+          reactions.length > 0 || showPicker
+            ? ""
+            : "hidden group-hover:inline-block"
+        }`}
+        title="Add reaction"
+      >
+        ☺+
+      </button>
+
+      {showPicker && (
+        <div className="absolute top-full left-0 mt-1 z-20 flex space-x-1 p-1 bg-amigo-black border border-amigo-gray-light rounded-lg">
+          {REACTION_EMOJIS.map((emoji) => (
+            <button
+              key={emoji}
+              onClick={() => handlePick(emoji)}
+              className="px-1 text-lg hover:scale-125 transition-transform"
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,209 @@
+// Search Panel - Full-text search over general chat and direct messages
+
+import React, { useEffect } from "react";
+import { motion as Motion } from "framer-motion";
+import {
+  EMPTY_SEARCH_FILTERS,
+  getSnippet,
+  splitHighlights,
+} from "../utils/searchIndex.js";
+
+/**
+ * Format a result's date and time
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} e.g. "Mar 4, 10:32 AM"
+ */
+const formatResultTime = (timestamp) =>
+  new Date(timestamp * 1000).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * SearchPanel Component
+ * @param {Object} filters - { query, sender, from, to, hasLink }
+ * @param {function} onFiltersChange - Receives the updated filters
+ * @param {Array} results - Docs from searchMessages
+ * @param {number} indexedCount - Messages in the index
+ * @param {boolean} isIndexing - Whether DM threads are still loading
+ * @param {Array} users - Registered users, for the sender filter
+ * @param {function} getUser - Look up a profile by address
+ * @param {function} onJump - Open the thread of a result and show it
+ * @param {function} onClose - Close the panel
+ */
+const SearchPanel = ({
+  filters,
+  onFiltersChange,
+  results,
+  indexedCount,
+  isIndexing,
+  users,
+  getUser,
+  onJump,
+  onClose,
+}) => {
+  // Close panel on Escape key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  const setFilter = (key, value) =>
+    onFiltersChange({ ...filters, [key]: value });
+
+  const hasFilters =
+    filters.query.trim() ||
+    filters.sender ||
+    filters.from ||
+    filters.to ||
+    filters.hasLink;
+
+  const getName = (userAddress) =>
+    getUser(userAddress)?.username ||
+    `${userAddress.slice(0, 6)}...${userAddress.slice(-4)}`;
+
+  return (
+    <Motion.div
+      initial={{ width: 0, opacity: 0 }}
+      animate={{ width: 320, opacity: 1 }}
+      exit={{ width: 0, opacity: 0 }}
+      className="flex bg-amigo-gray border-l border-amigo-gray-light flex-col overflow-hidden"
+    >
+      {/* Header */}
+      <div className="p-3 border-b border-amigo-gray-light flex items-center justify-between">
+        <h3 className="text-amigo-white font-mono text-sm font-semibold">
+          Search
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-amigo-gray-light hover:text-amigo-white transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="p-3 border-b border-amigo-gray-light space-y-2 font-mono text-xs">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => setFilter("query", e.target.value)}
+          placeholder="Search messages"
+          className="w-full px-2 py-1.5 bg-amigo-black border border-amigo-gray-light rounded text-amigo-white text-sm focus:border-amigo-green focus:outline-none"
+          autoFocus
+        />
+        <select
+          value={filters.sender}
+          onChange={(e) => setFilter("sender", e.target.value)}
+          className="w-full px-2 py-1 bg-amigo-black border border-amigo-gray-light rounded text-amigo-white focus:border-amigo-green focus:outline-none"
+        >
+          <option value="">From anyone</option>
+          {(users || []).map((user) => (
+            <option key={user.address} value={user.address}>
+              From {user.username}
+            </option>
+          ))}
+        </select>
+        <div className="flex items-center space-x-1 text-amigo-gray-light">
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilter("from", e.target.value)}
+            className="flex-1 min-w-0 px-1 py-1 bg-amigo-black border border-amigo-gray-light rounded text-amigo-white focus:border-amigo-green focus:outline-none"
+            title="From date"
+          />
+          <span>–</span>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilter("to", e.target.value)}
+            className="flex-1 min-w-0 px-1 py-1 bg-amigo-black border border-amigo-gray-light rounded text-amigo-white focus:border-amigo-green focus:outline-none"
+            title="To date"
+          />
+        </div>
+        <div className="flex items-center justify-between">
+          <label className="flex items-center space-x-1 text-amigo-gray-light cursor-pointer">
+            <input
+              type="checkbox"
+              checked={filters.hasLink}
+              onChange={(e) => setFilter("hasLink", e.target.checked)}
+              className="accent-amigo-green"
+            />
+            <span>Has link</span>
+          </label>
+          {hasFilters && (
+            <button
+              onClick={() => onFiltersChange(EMPTY_SEARCH_FILTERS)}
+              className="text-amigo-gray-light hover:text-amigo-white"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {!hasFilters ? (
+          <p className="p-2 text-amigo-gray-light font-mono text-xs">
+            Search {indexedCount} messages in #general and your direct messages
+            {isIndexing ? " (loading direct messages...)" : ""}
+          </p>
+        ) : results.length === 0 ? (
+          <p className="p-2 text-amigo-gray-light font-mono text-xs">
+            No messages found
+          </p>
+        ) : (
+          results.map((result) => (
+            <button
+              key={result.id}
+              onClick={() => onJump(result)}
+              className="w-full text-left p-2 rounded hover:bg-amigo-gray-light/30 transition-colors"
+            >
+              <div className="flex items-baseline justify-between font-mono text-xs">
+                <span className="text-amigo-white font-semibold truncate">
+                  {getName(result.sender)}
+                  <span className="ml-1 font-normal text-amigo-gray-light">
+                    {result.peer
+                      ? `in @${getName(result.peer)}`
+                      : "in #general"}
+                  </span>
+                </span>
+                <span className="ml-2 shrink-0 text-amigo-gray-light">
+                  {formatResultTime(result.timestamp)}
+                </span>
+              </div>
+              <p className="mt-0.5 text-amigo-gray-light font-mono text-xs break-words">
+                {splitHighlights(
+                  getSnippet(result.text, filters.query),
+                  filters.query
+                ).map((part, i) =>
+                  part.isMatch ? (
+                    <mark
+                      key={i}
+                      className="bg-amigo-green/30 text-amigo-white rounded-sm"
+                    >
+                      {part.text}
+                    </mark>
+                  ) : (
+                    <React.Fragment key={i}>{part.text}</React.Fragment>
+                  )
+                )}
+              </p>
+            </button>
+          ))
+        )}
+      </div>
+    </Motion.div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,154 @@
+// Thread Panel - Side panel listing a message and every reply to it
+
+import React, { useEffect } from "react";
+import { motion as Motion } from "framer-motion";
+import MessageBody from "./MessageBody.jsx";
+import { decodeMessage } from "../utils/messageEnvelope.js";
+import { isBotAddress } from "../config/bots.js";
+import { getIPFSUrl } from "../utils/ipfs.js";
+
+/**
+ * ThreadMessage Component
+ * @param {Object} message - Channel message
+ * @param {Object} user - Sender profile, if known
+ * @param {string} time - Formatted timestamp
+ * @param {function} getUsername - Address -> username, for @mentions
+ */
+const ThreadMessage = ({ message, user, time, getUsername }) => {
+  const isBot = isBotAddress(message.sender);
+  const name = user?.username || (isBot ? "Price Bot" : "Unknown");
+
+  return (
+    <div className="flex space-x-2">
+      <img
+        src={
+          isBot
+            ? "/logo.png"
+            : getIPFSUrl(user?.ipfsProfilePicHash) || "/logo.png"
+        }
+        alt={name}
+        className="w-8 h-8 rounded-full object-cover border border-amigo-gray-light"
+      />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-baseline space-x-2">
+          <span
+            className={`font-mono font-semibold text-xs ${
+              isBot ? "text-amigo-green" : "text-amigo-white"
+            }`}
+          >
+            {name}
+          </span>
+          <span className="text-amigo-gray-light font-mono text-xs">
+            {time}
+          </span>
+        </div>
+        <div className="text-amigo-white font-mono text-sm break-words">
+          {message.isDeleted ? (
+            <span className="italic text-amigo-gray-light">
+              🗑 This message was deleted
+            </span>
+          ) : (
+            <MessageBody
+              envelope={decodeMessage(message.content)}
+              isVerifiedBot={isBot}
+              getUsername={getUsername}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * ThreadPanel Component
+ * @param {Object} parent - Message the thread hangs off
+ * @param {Array} replies - Replies to the parent, oldest first
+ * @param {function} getUser - Look up a profile by address
+ * @param {function} formatTime - Format a message timestamp
+ * @param {function} onReply - Start a reply to the parent
+ * @param {function} onClose - Close the panel
+ */
+const ThreadPanel = ({
+  parent,
+  replies,
+  getUser,
+  formatTime,
+  onReply,
+  onClose,
+}) => {
+  const getUsername = (address) => getUser(address)?.username;
+
+  // Close panel on Escape key
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose]);
+
+  return (
+    <Motion.div
+      initial={{ width: 0, opacity: 0 }}
+      animate={{ width: 320, opacity: 1 }}
+      exit={{ width: 0, opacity: 0 }}
+      className="flex bg-amigo-gray border-l border-amigo-gray-light flex-col overflow-hidden"
+    >
+      {/* Header */}
+      <div className="p-3 border-b border-amigo-gray-light flex items-center justify-between">
+        <h3 className="text-amigo-white font-mono text-sm font-semibold">
+          Thread
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-amigo-gray-light hover:text-amigo-white transition-colors"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-3 space-y-4">
+        {/* Parent */}
+        <ThreadMessage
+          message={parent}
+          user={getUser(parent.sender)}
+          time={formatTime(parent.timestamp)}
+          getUsername={getUsername}
+        />
+
+        <div className="flex items-center text-amigo-gray-light font-mono text-xs">
+          <span>
+            {replies.length} {replies.length === 1 ? "reply" : "replies"}
+          </span>
+          <div className="flex-1 ml-2 h-px bg-amigo-gray-light/40"></div>
+        </div>
+
+        {/* Replies */}
+        {replies.map((reply) => (
+          <ThreadMessage
+            key={String(reply.messageId)}
+            message={reply}
+            user={getUser(reply.sender)}
+            time={formatTime(reply.timestamp)}
+            getUsername={getUsername}
+          />
+        ))}
+      </div>
+
+      <div className="p-3 border-t border-amigo-gray-light">
+        <button
+          onClick={onReply}
+          className="w-full py-2 border border-amigo-green text-amigo-green font-mono text-sm rounded-lg hover:bg-amigo-green hover:text-amigo-black transition-colors"
+        >
+          ↩ Reply in thread
+        </button>
+      </div>
+    </Motion.div>
+  );
+};
+
+export default ThreadPanel;
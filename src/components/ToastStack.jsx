@@ -0,0 +1,58 @@
+// Toast Stack Component - Short-lived notifications in the corner of the screen
+
+import React, { useEffect } from "react";
+import { motion as Motion, AnimatePresence } from "framer-motion";
+
+// How long a toast stays up (ms)
+const TOAST_DURATION = 8000;
+
+/**
+ * Toast Component
+ * @param {Object} toast - { id, message }
+ * @param {function} onDismiss - Called with the toast id
+ */
+const Toast = ({ toast, onDismiss }) => {
+  // Dismiss automatically after a while
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(toast.id), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [toast.id, onDismiss]);
+
+  return (
+    <Motion.div
+      layout
+      initial={{ opacity: 0, x: 50 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 50 }}
+      className="bg-amigo-black border border-amigo-green rounded-lg shadow-2xl px-4 py-3 flex items-start space-x-3"
+    >
+      <span className="text-lg">🔔</span>
+      <p className="flex-1 text-amigo-white font-mono text-sm">
+        {toast.message}
+      </p>
+      <button
+        onClick={() => onDismiss(toast.id)}
+        className="text-amigo-gray-light hover:text-amigo-white transition-colors"
+      >
+        ✕
+      </button>
+    </Motion.div>
+  );
+};
+
+/**
+ * ToastStack Component
+ * @param {Array} toasts - Toasts to show ({ id, message })
+ * @param {function} onDismiss - Called with the id of a closed toast
+ */
+const ToastStack = ({ toasts, onDismiss }) => (
+  <div className="fixed bottom-4 right-4 z-50 w-80 space-y-2">
+    <AnimatePresence>
+      {toasts.map((toast) => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </AnimatePresence>
+  </div>
+);
+
+export default ToastStack;
@@ -0,0 +1,241 @@
+// Virtual Message List - Renders only the messages near the viewport
+// Rows are measured as they render (an estimate stands in until then), so
+// long histories cost a few screens of DOM. The reading position is kept
+// when older pages are prepended, and new messages only scroll the list
+// when the reader is already at the bottom.
+
+import React, { useCallback, useLayoutEffect, useRef, useState } from "react";
+
+// Height assumed for rows that haven't been measured yet
+const ESTIMATED_ROW_HEIGHT = 88;
+// Pixels rendered beyond the viewport in each direction
+const OVERSCAN = 800;
+// Distance from the bottom that still counts as "at the bottom"
+const BOTTOM_THRESHOLD = 48;
+// Distance from the top that starts loading the previous page
+const LOAD_OLDER_THRESHOLD = 200;
+// Height map key for the "load older" area above the rows
+const HEADER_KEY = "__header";
+
+/**
+ * Find the first row whose bottom edge is below a position
+ * @param {Array<number>} offsets - Row tops, plus the total height at the end
+ * @param {number} position - Pixels from the top of the first row
+ * @returns {number} Row index (offsets.length - 1 if past the end)
+ */
+const findRowAt = (offsets, position) => {
+  let low = 0;
+  let high = offsets.length - 1;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (offsets[mid + 1] > position) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * VirtualMessageList Component
+ * @param {Array} items - Messages, oldest first
+ * @param {function} getKey - Stable string key for a message
+ * @param {function} renderItem - Render one message
+ * @param {boolean} hasOlder - Whether older messages can be loaded
+ * @param {boolean} isLoadingOlder - Whether an older page is loading
+ * @param {function} onLoadOlder - Load the previous page
+ * @param {string} scrollToKey - Message to bring into view, once loaded
+ * @param {function} onScrolledToKey - Called with the key after scrolling
+ */
+const VirtualMessageList = ({
+  items,
+  getKey,
+  renderItem,
+  hasOlder = false,
+  isLoadingOlder = false,
+  onLoadOlder,
+  scrollToKey = null,
+  onScrolledToKey,
+}) => {
+  const containerRef = useRef(null);
+  const observerRef = useRef(null);
+  // Measured heights keyed by row key; kept for rows scrolled out of view
+  const heightsRef = useRef(new Map());
+  const isAtBottomRef = useRef(true);
+  // First visible row and how far the viewport is scrolled into it
+  const anchorRef = useRef(null);
+  // Rows and heights of the last layout, so scrolling alone changes nothing
+  const layoutRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [, setMeasureCount] = useState(0);
+
+  const heights = heightsRef.current;
+  const keys = items.map(getKey);
+  const headerHeight = heights.get(HEADER_KEY) ?? 0;
+  const offsets = [0];
+  keys.forEach((key, i) =>
+    offsets.push(offsets[i] + (heights.get(key) ?? ESTIMATED_ROW_HEIGHT))
+  );
+  const totalHeight = offsets[offsets.length - 1];
+
+  // Rows overlapping the viewport plus overscan
+  const start = findRowAt(offsets, scrollTop - headerHeight - OVERSCAN);
+  const end = Math.min(
+    items.length,
+    findRowAt(offsets, scrollTop - headerHeight + viewportHeight + OVERSCAN) + 1
+  );
+
+  // One observer measures the viewport, the header and every rendered row
+  const measure = useCallback((element) => {
+    if (!element) return undefined;
+
+    if (!observerRef.current) {
+      observerRef.current = new ResizeObserver((entries) => {
+        let changed = false;
+
+        entries.forEach((entry) => {
+          const key = entry.target.dataset.rowKey;
+          if (key === undefined) {
+            setViewportHeight(entry.target.clientHeight);
+            return;
+          }
+
+          const height =
+            entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+          if (heightsRef.current.get(key) !== height) {
+            heightsRef.current.set(key, height);
+            changed = true;
+          }
+        });
+
+        if (changed) setMeasureCount((count) => count + 1);
+      });
+    }
+
+    const observer = observerRef.current;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, []);
+
+  const setContainer = useCallback(
+    (element) => {
+      containerRef.current = element;
+      return measure(element);
+    },
+    [measure]
+  );
+
+  // The row at the top of the viewport and the offset into it
+  const getAnchor = (position) => {
+    if (keys.length === 0) return null;
+
+    const index = Math.min(
+      findRowAt(offsets, position - headerHeight),
+      keys.length - 1
+    );
+    return {
+      key: keys[index],
+      delta: position - headerHeight - offsets[index],
+    };
+  };
+
+  const handleScroll = () => {
+    const container = containerRef.current;
+
+    isAtBottomRef.current =
+      container.scrollHeight - container.scrollTop - container.clientHeight <=
+      BOTTOM_THRESHOLD;
+    anchorRef.current = getAnchor(container.scrollTop);
+    setScrollTop(container.scrollTop);
+
+    if (
+      hasOlder &&
+      !isLoadingOlder &&
+      container.scrollTop < LOAD_OLDER_THRESHOLD
+    ) {
+      onLoadOlder?.();
+    }
+  };
+
+  // After every render: jump to a requested row; after a layout change,
+  // follow the bottom or keep the anchor row where it was while heights and
+  // pages change above it
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const jumpIndex = scrollToKey == null ? -1 : keys.indexOf(scrollToKey);
+    if (jumpIndex !== -1) {
+      const rowHeight = offsets[jumpIndex + 1] - offsets[jumpIndex];
+      container.scrollTop =
+        headerHeight +
+        offsets[jumpIndex] -
+        (container.clientHeight - rowHeight) / 2;
+      isAtBottomRef.current = false;
+      anchorRef.current = getAnchor(container.scrollTop);
+      onScrolledToKey?.(scrollToKey);
+      return;
+    }
+
+    const layout = `${keys.length}:${keys[0]}:${headerHeight}:${totalHeight}`;
+    if (layout === layoutRef.current) return;
+    layoutRef.current = layout;
+
+    if (isAtBottomRef.current) {
+      container.scrollTop = container.scrollHeight;
+      return;
+    }
+
+    const anchor = anchorRef.current;
+    const anchorIndex = anchor ? keys.indexOf(anchor.key) : -1;
+    if (anchorIndex === -1) return;
+
+    const target = headerHeight + offsets[anchorIndex] + anchor.delta;
+    if (Math.abs(container.scrollTop - target) >= 1) {
+      container.scrollTop = target;
+    }
+  });
+
+  return (
+    <div
+      ref={setContainer}
+      onScroll={handleScroll}
+      className="flex-1 overflow-y-auto px-4"
+      style={{ overflowAnchor: "none" }}
+    >
+      {/* Load older */}
+      <div ref={measure} data-row-key={HEADER_KEY} className="pt-4 pb-2">
+        {hasOlder && (
+          <div className="flex justify-center">
+            <button
+              onClick={onLoadOlder}
+              disabled={isLoadingOlder}
+              className="px-3 py-1 border border-amigo-gray-light/40 rounded-full text-amigo-gray-light hover:text-amigo-white font-mono text-xs transition-colors disabled:opacity-50"
+            >
+              {isLoadingOlder ? "Loading..." : "Load older messages"}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div style={{ height: offsets[start] }} />
+      {items.slice(start, end).map((item, i) => (
+        <div
+          key={keys[start + i]}
+          ref={measure}
+          data-row-key={keys[start + i]}
+          className="pb-4"
+        >
+          {renderItem(item)}
+        </div>
+      ))}
+      <div style={{ height: totalHeight - offsets[end] }} />
+    </div>
+  );
+};
+
+export default VirtualMessageList;
@@ -0,0 +1,38 @@
+// Message renderer registry
+// Maps envelope types to the component that draws them, so new message
+// types only need a card and a registerMessageRenderer call
+
+import { MESSAGE_TYPES } from "../utils/messageEnvelope.js";
+import {
+  AttachmentCard,
+  EncryptedMessage,
+  PriceUpdateCard,
+  SystemNoticeCard,
+  TextMessage,
+  UnsupportedMessage,
+} from "./MessageCards.jsx";
+
+const renderers = new Map([
+  [MESSAGE_TYPES.text, TextMessage],
+  [MESSAGE_TYPES.priceUpdate, PriceUpdateCard],
+  [MESSAGE_TYPES.systemNotice, SystemNoticeCard],
+  [MESSAGE_TYPES.encrypted, EncryptedMessage],
+  [MESSAGE_TYPES.attachment, AttachmentCard],
+]);
+
+/**
+ * Register (or replace) the component used for a message type
+ * @param {string} type - Envelope type
+ * @param {Function} Component - Receives { envelope, data, isVerifiedBot }
+ */
+export const registerMessageRenderer = (type, Component) => {
+  renderers.set(type, Component);
+};
+
+/**
+ * Look up the component for a message type
+ * @param {string} type - Envelope type
+ * @returns {Function} Registered component, or the unsupported fallback
+ */
+export const getMessageRenderer = (type) =>
+  renderers.get(type) || UnsupportedMessage;
@@ -0,0 +1,17 @@
+// Known bot accounts for AmigoChat
+// Only messages sent from these addresses get the BOT badge and bot styling,
+// so nobody can impersonate the price bot by copying its message format
+
+// Comma-separated list, e.g. VITE_BOT_ADDRESSES=0xabc...,0xdef...
+export const BOT_ADDRESSES = (import.meta.env.VITE_BOT_ADDRESSES || "")
+  .split(",")
+  .map((address) => address.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Check whether an address belongs to a known bot
+ * @param {string} address - Sender address
+ * @returns {boolean} True if the address is a configured bot
+ */
+export const isBotAddress = (address) =>
+  !!address && BOT_ADDRESSES.includes(address.toLowerCase());
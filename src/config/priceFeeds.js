@@ -0,0 +1,75 @@
+// Chainlink price feed registry for AmigoChat
+// Adding a pair (e.g. SOL/USD) means adding it to PRICE_PAIRS and giving it a
+// feed address for each chain below, plus an env override in FEED_OVERRIDES
+
+import { mainnet, sepolia } from "wagmi/chains";
+
+// Display details for each supported trading pair
+export const PRICE_PAIRS = {
+  "BTC/USD": { symbol: "BTC", name: "Bitcoin", icon: "₿" },
+  "ETH/USD": { symbol: "ETH", name: "Ethereum", icon: "Ξ" },
+  "LINK/USD": { symbol: "LINK", name: "Chainlink", icon: "🔗" },
+};
+
+// Chainlink aggregator addresses keyed by chain id, then by pair
+// https://docs.chain.link/data-feeds/price-feeds/addresses
+const FEED_ADDRESSES = {
+  [sepolia.id]: {
+    "BTC/USD": "0x1b44F3514812d835EB1BDB0acB33d3fA3351Ee43",
+    "ETH/USD": "0x694AA1769357215DE4FAC081bf1f309aDC325306",
+    "LINK/USD": "0xc59E3633BAAC79493d908e63626716e204A45EdF",
+  },
+  [mainnet.id]: {
+    "BTC/USD": "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c",
+    "ETH/USD": "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+    "LINK/USD": "0x2c1d072e956AFFC0D435Cb7AC38EF18d24d9127c",
+  },
+};
+
+// Feed addresses set through env variables, e.g. VITE_CHAINLINK_BTC_USD_FEED.
+// They only apply on VITE_CHAINLINK_FEED_CHAIN_ID (Sepolia by default), so a
+// testnet address is never read on another chain. Each key is spelled out
+// because Vite only replaces static import.meta.env.VITE_* reads; a computed
+// key would inline every variable
+const FEED_OVERRIDES = {
+  [Number(import.meta.env.VITE_CHAINLINK_FEED_CHAIN_ID || sepolia.id)]: {
+    "BTC/USD": import.meta.env.VITE_CHAINLINK_BTC_USD_FEED,
+    "ETH/USD": import.meta.env.VITE_CHAINLINK_ETH_USD_FEED,
+    "LINK/USD": import.meta.env.VITE_CHAINLINK_LINK_USD_FEED,
+  },
+};
+
+/**
+ * Get every price feed available on a chain
+ * @param {number} chainId - Connected chain id
+ * @returns {Array} Feeds as { pairId, symbol, name, icon, address }
+ */
+export const getPriceFeeds = (chainId) =>
+  Object.entries(PRICE_PAIRS)
+    .map(([pairId, pair]) => ({
+      pairId,
+      ...pair,
+      address:
+        FEED_OVERRIDES[chainId]?.[pairId] ||
+        FEED_ADDRESSES[chainId]?.[pairId] ||
+        null,
+    }))
+    .filter((feed) => !!feed.address);
+
+/**
+ * Get a single price feed on a chain
+ * @param {number} chainId - Connected chain id
+ * @param {string} pairId - Trading pair, e.g. "BTC/USD"
+ * @returns {Object|null} Feed, or null if the pair has no feed on this chain
+ */
+export const getPriceFeed = (chainId, pairId) =>
+  getPriceFeeds(chainId).find((feed) => feed.pairId === pairId) || null;
+
+/**
+ * Get the display icon for an asset symbol
+ * @param {string} symbol - Asset symbol, e.g. "BTC"
+ * @returns {string} Icon for the asset
+ */
+export const getAssetIcon = (symbol) =>
+  Object.values(PRICE_PAIRS).find((pair) => pair.symbol === symbol)?.icon ||
+  "💰";
@@ -17,6 +17,74 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "string",
+				"name": "channel",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "name",
+				"type": "string"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "creator",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			}
+		],
+		"name": "ChannelCreated",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "string",
+				"name": "channel",
+				"type": "string"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "sender",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "content",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "messageId",
+				"type": "uint256"
+			}
+		],
+		"name": "ChannelMessageSent",
+		"type": "event"
+	},
 	{
 		"inputs": [
 			{
@@ -38,6 +106,57 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "nonpayable",
 		"type": "constructor"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "reader",
+				"type": "address"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "peer",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "readCount",
+				"type": "uint256"
+			}
+		],
+		"name": "ConversationRead",
+		"type": "event"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "_name",
+				"type": "string"
+			}
+		],
+		"name": "createChannel",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_messageId",
+				"type": "uint256"
+			}
+		],
+		"name": "deleteMessage",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -69,6 +188,24 @@ export const AMIGO_CHAT_ABI = [
 		"name": "DirectMessageSent",
 		"type": "event"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_messageId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "_content",
+				"type": "string"
+			}
+		],
+		"name": "editMessage",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [],
 		"name": "emergencyStop",
@@ -76,6 +213,105 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "userAddress",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "bytes32",
+				"name": "encryptionKey",
+				"type": "bytes32"
+			}
+		],
+		"name": "EncryptionKeySet",
+		"type": "event"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "_peer",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "_upToIndex",
+				"type": "uint256"
+			}
+		],
+		"name": "markConversationRead",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "messageId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "sender",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			}
+		],
+		"name": "MessageDeleted",
+		"type": "event"
+	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "messageId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "sender",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "content",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "editCount",
+				"type": "uint256"
+			},
+			{
+				"indexed": false,
+				"internalType": "uint256",
+				"name": "timestamp",
+				"type": "uint256"
+			}
+		],
+		"name": "MessageEdited",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -107,6 +343,25 @@ export const AMIGO_CHAT_ABI = [
 		"name": "MessageSent",
 		"type": "event"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "pair",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "address",
+				"name": "feed",
+				"type": "address"
+			}
+		],
+		"name": "PriceFeedSet",
+		"type": "event"
+	},
 	{
 		"anonymous": false,
 		"inputs": [
@@ -132,6 +387,37 @@ export const AMIGO_CHAT_ABI = [
 		"name": "PriceUpdate",
 		"type": "event"
 	},
+	{
+		"anonymous": false,
+		"inputs": [
+			{
+				"indexed": true,
+				"internalType": "uint256",
+				"name": "messageId",
+				"type": "uint256"
+			},
+			{
+				"indexed": true,
+				"internalType": "address",
+				"name": "user",
+				"type": "address"
+			},
+			{
+				"indexed": false,
+				"internalType": "string",
+				"name": "emoji",
+				"type": "string"
+			},
+			{
+				"indexed": false,
+				"internalType": "bool",
+				"name": "added",
+				"type": "bool"
+			}
+		],
+		"name": "ReactionToggled",
+		"type": "event"
+	},
 	{
 		"inputs": [
 			{
@@ -150,6 +436,24 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "_channel",
+				"type": "string"
+			},
+			{
+				"internalType": "string",
+				"name": "_content",
+				"type": "string"
+			}
+		],
+		"name": "sendChannelMessage",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -181,6 +485,55 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "nonpayable",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "bytes32",
+				"name": "_encryptionKey",
+				"type": "bytes32"
+			}
+		],
+		"name": "setEncryptionKey",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "_pair",
+				"type": "string"
+			},
+			{
+				"internalType": "address",
+				"name": "_feed",
+				"type": "address"
+			}
+		],
+		"name": "setPriceFeed",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_messageId",
+				"type": "uint256"
+			},
+			{
+				"internalType": "string",
+				"name": "_emoji",
+				"type": "string"
+			}
+		],
+		"name": "toggleReaction",
+		"outputs": [],
+		"stateMutability": "nonpayable",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -365,6 +718,16 @@ export const AMIGO_CHAT_ABI = [
 				"internalType": "uint256",
 				"name": "messageId",
 				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "editCount",
+				"type": "uint256"
+			},
+			{
+				"internalType": "bool",
+				"name": "isDeleted",
+				"type": "bool"
 			}
 		],
 		"stateMutability": "view",
@@ -400,7 +763,93 @@ export const AMIGO_CHAT_ABI = [
 			{
 				"internalType": "address[]",
 				"name": "",
-				"type": "address[]"
+				"type": "address[]"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "_channel",
+				"type": "string"
+			}
+		],
+		"name": "getChannelMessages",
+		"outputs": [
+			{
+				"components": [
+					{
+						"internalType": "address",
+						"name": "sender",
+						"type": "address"
+					},
+					{
+						"internalType": "string",
+						"name": "content",
+						"type": "string"
+					},
+					{
+						"internalType": "uint256",
+						"name": "timestamp",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "messageId",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "editCount",
+						"type": "uint256"
+					},
+					{
+						"internalType": "bool",
+						"name": "isDeleted",
+						"type": "bool"
+					}
+				],
+				"internalType": "struct AmigoChat.Message[]",
+				"name": "",
+				"type": "tuple[]"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "getChannels",
+		"outputs": [
+			{
+				"components": [
+					{
+						"internalType": "string",
+						"name": "name",
+						"type": "string"
+					},
+					{
+						"internalType": "address",
+						"name": "creator",
+						"type": "address"
+					},
+					{
+						"internalType": "uint256",
+						"name": "createdAt",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "messageCount",
+						"type": "uint256"
+					}
+				],
+				"internalType": "struct AmigoChat.Channel[]",
+				"name": "",
+				"type": "tuple[]"
 			}
 		],
 		"stateMutability": "view",
@@ -505,6 +954,16 @@ export const AMIGO_CHAT_ABI = [
 						"internalType": "uint256",
 						"name": "messageId",
 						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "editCount",
+						"type": "uint256"
+					},
+					{
+						"internalType": "bool",
+						"name": "isDeleted",
+						"type": "bool"
 					}
 				],
 				"internalType": "struct AmigoChat.Message[]",
@@ -515,6 +974,96 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_offset",
+				"type": "uint256"
+			},
+			{
+				"internalType": "uint256",
+				"name": "_limit",
+				"type": "uint256"
+			}
+		],
+		"name": "getGeneralChatMessagesRange",
+		"outputs": [
+			{
+				"components": [
+					{
+						"internalType": "address",
+						"name": "sender",
+						"type": "address"
+					},
+					{
+						"internalType": "string",
+						"name": "content",
+						"type": "string"
+					},
+					{
+						"internalType": "uint256",
+						"name": "timestamp",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "messageId",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "editCount",
+						"type": "uint256"
+					},
+					{
+						"internalType": "bool",
+						"name": "isDeleted",
+						"type": "bool"
+					}
+				],
+				"internalType": "struct AmigoChat.Message[]",
+				"name": "messages",
+				"type": "tuple[]"
+			},
+			{
+				"internalType": "uint256",
+				"name": "total",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "_pair",
+				"type": "string"
+			}
+		],
+		"name": "getLatestPrice",
+		"outputs": [
+			{
+				"internalType": "int256",
+				"name": "price",
+				"type": "int256"
+			},
+			{
+				"internalType": "uint8",
+				"name": "decimals",
+				"type": "uint8"
+			},
+			{
+				"internalType": "uint256",
+				"name": "updatedAt",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [],
 		"name": "getLatestPriceBTCUSD",
@@ -554,6 +1103,173 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_messageId",
+				"type": "uint256"
+			}
+		],
+		"name": "getMessage",
+		"outputs": [
+			{
+				"components": [
+					{
+						"internalType": "address",
+						"name": "sender",
+						"type": "address"
+					},
+					{
+						"internalType": "string",
+						"name": "content",
+						"type": "string"
+					},
+					{
+						"internalType": "uint256",
+						"name": "timestamp",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "messageId",
+						"type": "uint256"
+					},
+					{
+						"internalType": "uint256",
+						"name": "editCount",
+						"type": "uint256"
+					},
+					{
+						"internalType": "bool",
+						"name": "isDeleted",
+						"type": "bool"
+					}
+				],
+				"internalType": "struct AmigoChat.Message",
+				"name": "",
+				"type": "tuple"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "_pair",
+				"type": "string"
+			}
+		],
+		"name": "getPriceFeed",
+		"outputs": [
+			{
+				"internalType": "address",
+				"name": "",
+				"type": "address"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [],
+		"name": "getPriceFeedPairs",
+		"outputs": [
+			{
+				"internalType": "string[]",
+				"name": "",
+				"type": "string[]"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "uint256",
+				"name": "_messageId",
+				"type": "uint256"
+			}
+		],
+		"name": "getReactions",
+		"outputs": [
+			{
+				"components": [
+					{
+						"internalType": "string",
+						"name": "emoji",
+						"type": "string"
+					},
+					{
+						"internalType": "address[]",
+						"name": "reactors",
+						"type": "address[]"
+					}
+				],
+				"internalType": "struct AmigoChat.Reaction[]",
+				"name": "",
+				"type": "tuple[]"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "_reader",
+				"type": "address"
+			},
+			{
+				"internalType": "address",
+				"name": "_peer",
+				"type": "address"
+			}
+		],
+		"name": "getReadCount",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
+	{
+		"inputs": [
+			{
+				"internalType": "address",
+				"name": "_user",
+				"type": "address"
+			},
+			{
+				"internalType": "address",
+				"name": "_peer",
+				"type": "address"
+			},
+			{
+				"internalType": "uint256",
+				"name": "_fromIndex",
+				"type": "uint256"
+			}
+		],
+		"name": "getUnreadCount",
+		"outputs": [
+			{
+				"internalType": "uint256",
+				"name": "",
+				"type": "uint256"
+			}
+		],
+		"stateMutability": "view",
+		"type": "function"
+	},
 	{
 		"inputs": [
 			{
@@ -609,6 +1325,11 @@ export const AMIGO_CHAT_ABI = [
 						"internalType": "uint256",
 						"name": "totalMessagesSent",
 						"type": "uint256"
+					},
+					{
+						"internalType": "bytes32",
+						"name": "encryptionKey",
+						"type": "bytes32"
 					}
 				],
 				"internalType": "struct AmigoChat.UserProfile",
@@ -681,6 +1402,25 @@ export const AMIGO_CHAT_ABI = [
 		"stateMutability": "view",
 		"type": "function"
 	},
+	{
+		"inputs": [
+			{
+				"internalType": "string",
+				"name": "_name",
+				"type": "string"
+			}
+		],
+		"name": "isValidChannelName",
+		"outputs": [
+			{
+				"internalType": "bool",
+				"name": "",
+				"type": "bool"
+			}
+		],
+		"stateMutability": "pure",
+		"type": "function"
+	},
 	{
 		"inputs": [],
 		"name": "owner",
@@ -840,6 +1580,11 @@ export const AMIGO_CHAT_ABI = [
 				"internalType": "uint256",
 				"name": "totalMessagesSent",
 				"type": "uint256"
+			},
+			{
+				"internalType": "bytes32",
+				"name": "encryptionKey",
+				"type": "bytes32"
 			}
 		],
 		"stateMutability": "view",
@@ -848,22 +1593,26 @@ export const AMIGO_CHAT_ABI = [
 
 ];
 
+// Vite replaces each import.meta.env.VITE_* read at build time; Node scripts
+// (bot/) import this file without import.meta.env, hence the optional chaining.
+// Never read import.meta.env as a whole: Vite would inline every VITE_* value
+
 // Contract deployment information
 export const CONTRACT_INFO = {
   // These will be filled after deployment
-  address: import.meta.env.VITE_AMIGO_CHAT_CONTRACT_ADDRESS,
-  deploymentBlock: 9237721, // Block number when contract was deployed
+  address: import.meta.env?.VITE_AMIGO_CHAT_CONTRACT_ADDRESS,
+  deploymentBlock: Number(import.meta.env?.VITE_AMIGO_CHAT_DEPLOYMENT_BLOCK || 9237721), // Block number when contract was deployed
   deploymentTxHash: "0x6233154a010ea5b2b91ee35550237e7cdbf12f835d1aceb5cec9c83a20c9ed09", // Transaction hash of deployment
   deployer: "0x199674cd60606A67E0Fa9fa28Ef00F58A33d2075", // Address that deployed the contract
 
   // Chainlink price feed addresses on Sepolia
   priceFeeds: {
     btcUsd:
-      import.meta.env.VITE_CHAINLINK_BTC_USD_FEED,
+      import.meta.env?.VITE_CHAINLINK_BTC_USD_FEED,
     ethUsd:
-      import.meta.env.VITE_CHAINLINK_ETH_USD_FEED,
+      import.meta.env?.VITE_CHAINLINK_ETH_USD_FEED,
     linkUsd:
-      import.meta.env.VITE_CHAINLINK_LINK_USD_FEED,
+      import.meta.env?.VITE_CHAINLINK_LINK_USD_FEED,
   },
 };
 
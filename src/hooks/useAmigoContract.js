@@ -1,14 +1,108 @@
 // Custom hooks for interacting with the AmigoChat smart contract
 // Updated for wagmi v2 compatibility
 
-import { useState, useEffect, useCallback, useMemo } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import {
   useAccount,
+  useChainId,
+  useConfig,
+  usePublicClient,
   useReadContract,
+  useReadContracts,
+  useSignMessage,
   useWriteContract,
   useWaitForTransactionReceipt,
+  useWatchContractEvent,
 } from "wagmi";
+import { waitForTransactionReceipt } from "wagmi/actions";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
 import { AMIGO_CHAT_ABI, CONTRACT_INFO } from "../contracts/AmigoChat.js";
+import { CHAINLINK_ABI } from "../contracts/Chainlink.js";
+import {
+  applyMessageUpdates,
+  fetchMessageHistory,
+  fetchOlderGeneralChat,
+  logToMessage,
+  mergeMessages,
+  syncGeneralChat,
+} from "../utils/messageSync.js";
+import {
+  CACHE_STORES,
+  clearChatCache,
+  deleteCachedProfiles,
+  getCachedValue,
+  loadCachedProfiles,
+  loadGeneralChatSnapshot,
+  putCachedValue,
+  saveCachedProfiles,
+  saveGeneralChatMessages,
+} from "../utils/chatCache.js";
+import { parseRoundData, validateRound } from "../utils/chainlink.js";
+import { applyReactionToggle, parseReactions } from "../utils/reactions.js";
+import { createOutboxEntry, OUTBOX_STATUS } from "../utils/outbox.js";
+import { decodeContractError } from "../utils/contractErrors.js";
+import {
+  ENCRYPTION_KEY_VERSION,
+  decryptAttachmentFile,
+  decryptDirectMessage,
+  deriveEncryptionKeyPair,
+  getEncryptionKeyMessage,
+} from "../utils/dmEncryption.js";
+import { getIPFSUrl } from "../utils/ipfs.js";
+import { MESSAGE_TYPES, decodeMessage } from "../utils/messageEnvelope.js";
+import {
+  getLocalReadsKey,
+  hasUnreceiptedMessages,
+} from "../utils/readReceipts.js";
+import {
+  createSearchIndex,
+  indexMessages,
+  searchMessages,
+} from "../utils/searchIndex.js";
+import { formatFeedAnswer } from "../utils/priceMessage.js";
+import { getPriceFeed, getPriceFeeds } from "../config/priceFeeds.js";
+import { fetchPriceHistory, HISTORY_RANGES } from "../utils/priceHistory.js";
+import {
+  createPriceAlert,
+  evaluatePriceAlert,
+  loadPriceAlerts,
+  loadPriceSamples,
+  recordPriceSamples,
+  savePriceAlerts,
+  savePriceSamples,
+} from "../utils/priceAlerts.js";
+
+// Mirror a contract read into the local cache and return the cached copy,
+// so pages can render before the first network response arrives
+const useCacheMirror = (storeName, cacheKey, liveData) => {
+  const chainId = useChainId();
+  const [cached, setCached] = useState(null);
+
+  // Load the cached copy whenever the key changes
+  useEffect(() => {
+    let isActive = true;
+    setCached(null);
+
+    if (cacheKey) {
+      getCachedValue(chainId, storeName, cacheKey).then((value) => {
+        if (isActive) setCached(value);
+      });
+    }
+
+    return () => {
+      isActive = false;
+    };
+  }, [chainId, storeName, cacheKey]);
+
+  // Persist fresh data from the chain
+  useEffect(() => {
+    if (cacheKey && liveData !== undefined) {
+      putCachedValue(chainId, storeName, cacheKey, liveData);
+    }
+  }, [chainId, storeName, cacheKey, liveData]);
+
+  return cached;
+};
 
 // Hook to check if current user is registered
 export const useIsUserRegistered = () => {
@@ -60,9 +154,15 @@ export const useUserProfile = (userAddress = null) => {
     },
   });
 
+  const cachedProfile = useCacheMirror(
+    CACHE_STORES.profiles,
+    targetAddress?.toLowerCase(),
+    profile
+  );
+
   return {
-    profile: profile || null,
-    isLoading,
+    profile: profile || cachedProfile || null,
+    isLoading: isLoading && !cachedProfile,
     isError,
     refetch,
   };
@@ -129,12 +229,20 @@ export const useUsernameAvailability = () => {
 
 // Hook to register a new user
 export const useRegisterUser = () => {
-  const { writeContract, data: hash, isPending, error } = useWriteContract();
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
 
-  const { isLoading: isConfirming, isSuccess: isConfirmed } =
-    useWaitForTransactionReceipt({
-      hash,
-    });
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
 
   const registerUser = useCallback(
     (username, ipfsHash) => {
@@ -158,19 +266,66 @@ export const useRegisterUser = () => {
     isPending,
     isConfirming,
     isConfirmed,
-    error,
+    error: decodeContractError(writeError || receiptError),
+    hash,
+  };
+};
+
+// Hook to change the profile picture of the connected user
+export const useUpdateProfilePicture = () => {
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
+
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
+
+  const updateProfilePicture = useCallback(
+    (ipfsHash) => {
+      writeContract({
+        address: CONTRACT_INFO.address,
+        abi: AMIGO_CHAT_ABI,
+        functionName: "updateProfilePicture",
+        args: [ipfsHash],
+      });
+    },
+    [writeContract]
+  );
+
+  return {
+    updateProfilePicture,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error: decodeContractError(writeError || receiptError),
     hash,
   };
 };
 
 // Hook to send a message
 export const useSendMessage = () => {
-  const { writeContract, data: hash, isPending, error } = useWriteContract();
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
 
-  const { isLoading: isConfirming, isSuccess: isConfirmed } =
-    useWaitForTransactionReceipt({
-      hash,
-    });
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
 
   const sendMessage = useCallback(
     (content) => {
@@ -189,76 +344,332 @@ export const useSendMessage = () => {
     isPending,
     isConfirming,
     isConfirmed,
-    error,
+    error: decodeContractError(writeError || receiptError),
     hash,
   };
 };
 
 // Hook to get general chat messages
+// Hydrates from the local cache (or reads the newest page on a first
+// visit), backfills the missing blocks from MessageSent logs, then merges
+// live events into the cache. loadOlder pages further back in history.
 export const useGeneralChatMessages = () => {
-  const {
-    data: messages,
-    isError,
-    isLoading,
-    refetch,
-  } = useReadContract({
+  const chainId = useChainId();
+  const publicClient = usePublicClient();
+  const queryClient = useQueryClient();
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+
+  const queryKey = useMemo(
+    () => ["amigoChat", "generalChat", chainId, CONTRACT_INFO.address],
+    [chainId]
+  );
+
+  const { data, isError, isLoading, refetch } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      let previous = queryClient.getQueryData(queryKey);
+
+      // First sync this session: show the cached history right away and
+      // only scan the blocks mined since it was saved
+      if (previous?.lastBlock == null) {
+        const snapshot = await loadGeneralChatSnapshot(chainId);
+        if (snapshot) {
+          previous = {
+            messages: mergeMessages(snapshot.messages, previous?.messages),
+            lastBlock: snapshot.lastBlock,
+            oldestIndex: snapshot.oldestIndex,
+          };
+          queryClient.setQueryData(queryKey, previous);
+        }
+      }
+
+      const synced = await syncGeneralChat(publicClient, previous);
+
+      // Keep any live events that landed while the sync was running
+      const current = queryClient.getQueryData(queryKey);
+      const result = {
+        ...synced,
+        messages: mergeMessages(current?.messages, synced.messages),
+      };
+
+      saveGeneralChatMessages(
+        chainId,
+        result.messages,
+        result.lastBlock,
+        result.oldestIndex
+      );
+      return result;
+    },
+    enabled: !!publicClient && !!CONTRACT_INFO.address,
+    staleTime: Infinity, // New messages arrive through the event watcher
+  });
+
+  // Subscribe to new messages instead of polling the whole array
+  useWatchContractEvent({
     address: CONTRACT_INFO.address,
     abi: AMIGO_CHAT_ABI,
-    functionName: "getGeneralChatMessages",
-    query: {
-      refetchInterval: 5000, // Refetch every 5 seconds
+    eventName: "MessageSent",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: (logs) => {
+      const incoming = logs.map(logToMessage);
+
+      queryClient.setQueryData(queryKey, (previous) => ({
+        messages: mergeMessages(previous?.messages, incoming),
+        lastBlock: previous?.lastBlock ?? null,
+        oldestIndex: previous?.oldestIndex ?? null,
+      }));
+      saveGeneralChatMessages(chainId, incoming);
     },
   });
 
+  // Merge edits and deletes into the cached history as they happen
+  const handleMessageUpdates = (logs) => {
+    const previous = queryClient.getQueryData(queryKey);
+    if (!previous) return;
+
+    const { messages, changed } = applyMessageUpdates(previous.messages, logs);
+    if (changed.length === 0) return;
+
+    queryClient.setQueryData(queryKey, { ...previous, messages });
+    saveGeneralChatMessages(chainId, changed);
+  };
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "MessageEdited",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: handleMessageUpdates,
+  });
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "MessageDeleted",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: handleMessageUpdates,
+  });
+
+  // Prepend the page before the oldest loaded message
+  const loadOlder = useCallback(async () => {
+    const previous = queryClient.getQueryData(queryKey);
+    if (!publicClient || !previous?.oldestIndex) return;
+
+    setIsLoadingOlder(true);
+    try {
+      const older = await fetchOlderGeneralChat(
+        publicClient,
+        previous.oldestIndex
+      );
+
+      queryClient.setQueryData(queryKey, (current) => ({
+        ...current,
+        messages: mergeMessages(current?.messages, older.messages),
+        oldestIndex: Math.min(
+          older.oldestIndex,
+          current?.oldestIndex ?? older.oldestIndex
+        ),
+      }));
+      saveGeneralChatMessages(chainId, older.messages, null, older.oldestIndex);
+    } catch (error) {
+      console.error("Error loading older messages:", error);
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  }, [chainId, publicClient, queryClient, queryKey]);
+
   return {
-    messages: messages || [],
+    messages: data?.messages || [],
     isLoading,
     isError,
     refetch,
+    loadOlder,
+    hasOlder: (data?.oldestIndex ?? 0) > 0,
+    isLoadingOlder,
   };
 };
 
-// Hook to get all registered users
+// Cached profiles older than this are fetched again, since profile picture
+// updates don't emit an event we could invalidate on
+const PROFILE_CACHE_TTL = 1000 * 60 * 60; // 1 hour
+
+// Hook to get all registered users with their on-chain profiles
+// Profiles are batched through multicall, cached, and evicted when a
+// UserRegistered or UsernameChanged event touches them
 export const useRegisteredUsers = () => {
+  const chainId = useChainId();
+  const publicClient = usePublicClient();
+  const queryClient = useQueryClient();
+
   const {
     data: users,
     isError,
     isLoading,
-    refetch,
+    refetch: refetchAddresses,
   } = useReadContract({
     address: CONTRACT_INFO.address,
     abi: AMIGO_CHAT_ABI,
     functionName: "getAllRegisteredUsers",
   });
 
-  // Transform the data to include user objects with proper structure
+  const profilesKey = useMemo(
+    () => ["amigoChat", "profiles", chainId, CONTRACT_INFO.address],
+    [chainId]
+  );
+
+  const {
+    data: profiles,
+    isError: isProfilesError,
+    isLoading: loadingProfiles,
+    refetch: refetchProfiles,
+  } = useQuery({
+    queryKey: profilesKey,
+    queryFn: async () => {
+      const known =
+        queryClient.getQueryData(profilesKey) ||
+        (await loadCachedProfiles(chainId));
+
+      // Only read profiles we don't have or that have expired
+      const missing = users.filter((userAddress) => {
+        const cached = known[userAddress.toLowerCase()];
+        return (
+          !cached?.fetchedAt ||
+          Date.now() - cached.fetchedAt > PROFILE_CACHE_TTL
+        );
+      });
+
+      if (missing.length === 0) return known;
+
+      const results = await publicClient.multicall({
+        contracts: missing.map((userAddress) => ({
+          address: CONTRACT_INFO.address,
+          abi: AMIGO_CHAT_ABI,
+          functionName: "getUserProfile",
+          args: [userAddress],
+        })),
+        allowFailure: true,
+      });
+
+      const fetched = {};
+      results.forEach((result, i) => {
+        if (result.status === "success") {
+          fetched[missing[i].toLowerCase()] = {
+            ...result.result,
+            fetchedAt: Date.now(),
+          };
+        }
+      });
+
+      saveCachedProfiles(chainId, fetched);
+      return { ...known, ...fetched };
+    },
+    enabled: !!publicClient && Array.isArray(users),
+  });
+
+  // Re-read profiles whenever the member list changes
+  useEffect(() => {
+    if (Array.isArray(users)) {
+      queryClient.invalidateQueries({ queryKey: profilesKey });
+    }
+  }, [users, profilesKey, queryClient]);
+
+  // Evict cached profiles touched by registration, rename and key events
+  const handleProfileLogs = useCallback(
+    (logs) => {
+      const touched = logs
+        .map((log) => log.args.userAddress)
+        .filter(Boolean)
+        .map((userAddress) => userAddress.toLowerCase());
+      if (touched.length === 0) return;
+
+      queryClient.setQueryData(profilesKey, (previous) => {
+        if (!previous) return previous;
+        const next = { ...previous };
+        touched.forEach((key) => delete next[key]);
+        return next;
+      });
+      deleteCachedProfiles(chainId, touched);
+
+      if (logs.some((log) => log.eventName === "UserRegistered")) {
+        refetchAddresses();
+      }
+      queryClient.invalidateQueries({ queryKey: profilesKey });
+    },
+    [chainId, profilesKey, queryClient, refetchAddresses]
+  );
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "UserRegistered",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: handleProfileLogs,
+  });
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "UsernameChanged",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: handleProfileLogs,
+  });
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "EncryptionKeySet",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: handleProfileLogs,
+  });
+
+  // Combine addresses with their resolved profiles
   const transformedUsers = useMemo(() => {
     if (!users || !Array.isArray(users)) return [];
 
-    return users.map((userAddress) => ({
-      address: userAddress,
-      username: `User_${userAddress.slice(-6)}`, // Fallback username
-      ipfsProfilePicHash: "", // No profile pic for now
-      isRegistered: true,
-    }));
-  }, [users]);
+    return users.map((userAddress) => {
+      const profile = profiles?.[userAddress.toLowerCase()];
+
+      return {
+        address: userAddress,
+        username: profile?.username || `User_${userAddress.slice(-6)}`, // Fallback until resolved
+        ipfsProfilePicHash: profile?.ipfsProfilePicHash || "",
+        registrationTimestamp: profile?.registrationTimestamp ?? null,
+        totalMessagesSent: profile?.totalMessagesSent ?? null,
+        encryptionKey: profile?.encryptionKey ?? null,
+        isRegistered: true,
+      };
+    });
+  }, [users, profiles]);
+
+  const refetch = useCallback(async () => {
+    await refetchAddresses();
+    return refetchProfiles();
+  }, [refetchAddresses, refetchProfiles]);
 
   return {
     users: transformedUsers,
-    isLoading,
-    isError,
+    isLoading: isLoading || (loadingProfiles && !profiles),
+    isError: isError || isProfilesError,
     refetch,
   };
 };
 
 // Hook to change username
 export const useChangeUsername = () => {
-  const { writeContract, data: hash, isPending, error } = useWriteContract();
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
 
-  const { isLoading: isConfirming, isSuccess: isConfirmed } =
-    useWaitForTransactionReceipt({
-      hash,
-    });
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
 
   const changeUsername = useCallback(
     (newUsername) => {
@@ -277,244 +688,1471 @@ export const useChangeUsername = () => {
     isPending,
     isConfirming,
     isConfirmed,
-    error,
+    error: decodeContractError(writeError || receiptError),
     hash,
   };
 };
 
-// Chainlink AggregatorV3Interface ABI
-// const CHAINLINK_ABI = [
-//   {
-//     inputs: [],
-//     name: "decimals",
-//     outputs: [{ internalType: "uint8", name: "", type: "uint8" }],
-//     stateMutability: "view",
-//     type: "function",
-//   },
-//   {
-//     inputs: [],
-//     name: "description",
-//     outputs: [{ internalType: "string", name: "", type: "string" }],
-//     stateMutability: "view",
-//     type: "function",
-//   },
-//   {
-//     inputs: [{ internalType: "uint80", name: "_roundId", type: "uint80" }],
-//     name: "getRoundData",
-//     outputs: [
-//       { internalType: "uint80", name: "roundId", type: "uint80" },
-//       { internalType: "int256", name: "answer", type: "int256" },
-//       { internalType: "uint256", name: "startedAt", type: "uint256" },
-//       { internalType: "uint256", name: "updatedAt", type: "uint256" },
-//       { internalType: "uint80", name: "answeredInRound", type: "uint80" },
-//     ],
-//     stateMutability: "view",
-//     type: "function",
-//   },
-//   {
-//     inputs: [],
-//     name: "latestRoundData",
-//     outputs: [
-//       { internalType: "uint80", name: "roundId", type: "uint80" },
-//       { internalType: "int256", name: "answer", type: "int256" },
-//       { internalType: "uint256", name: "startedAt", type: "uint256" },
-//       { internalType: "uint256", name: "updatedAt", type: "uint256" },
-//       { internalType: "uint80", name: "answeredInRound", type: "uint80" },
-//     ],
-//     stateMutability: "view",
-//     type: "function",
-//   },
-//   {
-//     inputs: [],
-//     name: "version",
-//     outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
-//     stateMutability: "view",
-//     type: "function",
-//   },
-// ];
-
-// Chainlink price feed addresses from environment
-const PRICE_FEED_ADDRESSES = {
-  BTC_USD: import.meta.env.VITE_CHAINLINK_BTC_USD_FEED,
-  ETH_USD: import.meta.env.VITE_CHAINLINK_ETH_USD_FEED,
-  LINK_USD: import.meta.env.VITE_CHAINLINK_LINK_USD_FEED,
-};
-
-// Debug logging for addresses
-console.log("Chainlink Price Feed Addresses:", PRICE_FEED_ADDRESSES);
+// Hook to send a direct message to another registered user
+export const useSendDirectMessage = () => {
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
 
-// Hook to get BTC price from Chainlink
-export const useBTCPrice = () => {
-  const result = useReadContract({
-    address: CONTRACT_INFO.address,
-    abi: AMIGO_CHAT_ABI,
-    functionName: "getLatestPriceBTCUSD",
-    query: {
-      refetchInterval: 30000,
-      staleTime: 25000,
-      retry: false,
-    },
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
   });
 
-  // Return mock data if there's an error, otherwise format the real data
-  if (result.error || !result.data) {
-    return {
-      data: [BigInt(0), BigInt(6500000000000), BigInt(0), BigInt(0), BigInt(0)],
-      error: null,
-      isLoading: false,
-      isError: false,
-    };
-  }
+  const sendDirectMessage = useCallback(
+    (receiver, content) => {
+      writeContract({
+        address: CONTRACT_INFO.address,
+        abi: AMIGO_CHAT_ABI,
+        functionName: "sendDirectMessage",
+        args: [receiver, content],
+      });
+    },
+    [writeContract]
+  );
 
-  // Format single int256 response as Chainlink tuple
   return {
-    ...result,
-    data: [BigInt(0), result.data, BigInt(0), BigInt(0), BigInt(0)],
+    sendDirectMessage,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error: decodeContractError(writeError || receiptError),
+    hash,
   };
 };
 
-// Hook to get ETH price from Chainlink
-export const useETHPrice = () => {
-  const result = useReadContract({
+// Hook to get the direct messages between the current user and a peer
+export const useConversation = (peer) => {
+  const { address } = useAccount();
+
+  const {
+    data: messages,
+    isError,
+    isLoading,
+    refetch,
+  } = useReadContract({
     address: CONTRACT_INFO.address,
     abi: AMIGO_CHAT_ABI,
-    functionName: "getLatestPriceETHUSD",
+    functionName: "getConversation",
+    args: [address, peer],
     query: {
-      refetchInterval: 30000,
-      staleTime: 25000,
-      retry: false,
+      enabled: !!address && !!peer && !!CONTRACT_INFO.address,
+      refetchInterval: 5000, // Refetch every 5 seconds
     },
   });
 
-  if (result.error || !result.data) {
-    return {
-      data: [BigInt(0), BigInt(350000000000), BigInt(0), BigInt(0), BigInt(0)],
-      error: null,
-      isLoading: false,
-      isError: false,
-    };
-  }
+  const cachedMessages = useCacheMirror(
+    CACHE_STORES.conversations,
+    address && peer
+      ? `thread:${address.toLowerCase()}:${peer.toLowerCase()}`
+      : null,
+    messages
+  );
 
   return {
-    ...result,
-    data: [BigInt(0), result.data, BigInt(0), BigInt(0), BigInt(0)],
+    messages: messages || cachedMessages || [],
+    isLoading: isLoading && !cachedMessages,
+    isError,
+    refetch,
   };
 };
 
-// Hook to get LINK price from Chainlink
-export const useLINKPrice = () => {
-  const result = useReadContract({
+// Hook to get the addresses the current user has exchanged direct messages with
+export const useConversationList = () => {
+  const { address } = useAccount();
+
+  const {
+    data: conversations,
+    isError,
+    isLoading,
+    refetch,
+  } = useReadContract({
     address: CONTRACT_INFO.address,
     abi: AMIGO_CHAT_ABI,
-    functionName: "getLatestPriceLINKUSD",
+    functionName: "getUserConversations",
+    args: [address],
     query: {
-      refetchInterval: 30000,
-      staleTime: 25000,
-      retry: false,
+      enabled: !!address && !!CONTRACT_INFO.address,
+      refetchInterval: 15000, // New conversations are rare, poll less often
     },
   });
 
-  if (result.error || !result.data) {
-    return {
-      data: [BigInt(0), BigInt(2500000000), BigInt(0), BigInt(0), BigInt(0)],
-      error: null,
-      isLoading: false,
-      isError: false,
-    };
-  }
+  const cachedConversations = useCacheMirror(
+    CACHE_STORES.conversations,
+    address ? `partners:${address.toLowerCase()}` : null,
+    conversations
+  );
 
   return {
-    ...result,
-    data: [BigInt(0), result.data, BigInt(0), BigInt(0), BigInt(0)],
+    conversations: conversations || cachedConversations || [],
+    isLoading: isLoading && !cachedConversations,
+    isError,
+    refetch,
   };
 };
 
-// Hook to get price feeds
-export const usePriceFeeds = () => {
-  const [prices, setPrices] = useState({ btc: null, eth: null, link: null });
-  const [isLoading, setIsLoading] = useState(false);
-  const [isError, setIsError] = useState(false);
+// Hook to unlock and publish the key for encrypted direct messages
+// The key pair comes from a wallet signature and is kept as a
+// non-extractable CryptoKey in the local cache; signing again on a new
+// device (or after clearing the cache) recovers the same key, provided the
+// wallet's signatures are deterministic
+export const useEncryptionKey = () => {
+  const chainId = useChainId();
+  const config = useConfig();
+  const { address } = useAccount();
+  const { profile, refetch: refetchProfile } = useUserProfile();
+  const { signMessageAsync } = useSignMessage();
+  const { writeContractAsync } = useWriteContract();
+  const [keyPair, setKeyPair] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [error, setError] = useState(null);
 
-  // Get individual price feeds
-  const {
-    data: btcData,
-    isLoading: btcLoading,
-    isError: btcError,
-  } = useBTCPrice();
-  const {
-    data: ethData,
-    isLoading: ethLoading,
-    isError: ethError,
-  } = useETHPrice();
-  const {
-    data: linkData,
-    isLoading: linkLoading,
-    isError: linkError,
-  } = useLINKPrice();
-
-  // Helper function to format price from Chainlink data
-  const formatPrice = useCallback((data, decimals = 8) => {
-    if (!data || !Array.isArray(data) || data.length < 2) {
-      return null;
-    }
+  // Keys derived from an older version of the message aren't picked up
+  const cacheKey = address
+    ? `encryptionKey:v${ENCRYPTION_KEY_VERSION}:${address.toLowerCase()}`
+    : null;
 
-    const priceValue = data[1]; // answer is at index 1
-    if (!priceValue) {
-      return null;
+  // Pick up a key unlocked earlier on this device
+  useEffect(() => {
+    let isActive = true;
+    setKeyPair(null);
+
+    if (cacheKey) {
+      getCachedValue(chainId, CACHE_STORES.meta, cacheKey).then((value) => {
+        if (isActive && value) setKeyPair(value);
+      });
     }
 
+    return () => {
+      isActive = false;
+    };
+  }, [chainId, cacheKey]);
+
+  const publishedKey = profile?.encryptionKey;
+  const isPublished =
+    !!keyPair && publishedKey?.toLowerCase() === keyPair.publicKey;
+
+  // Derive the key if needed and publish it if the profile has another one
+  const unlock = useCallback(async () => {
+    setIsUnlocking(true);
+    setError(null);
+
     try {
-      // Convert BigInt to number and format
-      const rawPrice =
-        typeof priceValue === "bigint"
-          ? Number(priceValue)
-          : Number(priceValue);
-      const price = rawPrice / Math.pow(10, decimals);
-      return price.toFixed(2);
-    } catch (error) {
-      console.error("Error Converting: ", error)
+      let pair = keyPair;
+      if (!pair) {
+        const signature = await signMessageAsync({
+          message: getEncryptionKeyMessage({
+            origin: window.location.origin,
+            chainId,
+            contractAddress: CONTRACT_INFO.address,
+          }),
+        });
+        pair = await deriveEncryptionKeyPair(signature);
+        await putCachedValue(chainId, CACHE_STORES.meta, cacheKey, pair);
+        setKeyPair(pair);
+      }
+
+      if (publishedKey?.toLowerCase() !== pair.publicKey) {
+        const hash = await writeContractAsync({
+          address: CONTRACT_INFO.address,
+          abi: AMIGO_CHAT_ABI,
+          functionName: "setEncryptionKey",
+          args: [pair.publicKey],
+        });
+        await waitForTransactionReceipt(config, { hash });
+        refetchProfile();
+      }
+
+      return pair;
+    } catch (err) {
+      console.error("Error unlocking encryption:", err);
+      setError(decodeContractError(err));
       return null;
+    } finally {
+      setIsUnlocking(false);
     }
-  }, []);
+  }, [
+    chainId,
+    config,
+    cacheKey,
+    keyPair,
+    publishedKey,
+    refetchProfile,
+    signMessageAsync,
+    writeContractAsync,
+  ]);
+
+  return {
+    keyPair,
+    isUnlocked: !!keyPair,
+    isPublished,
+    unlock,
+    isUnlocking,
+    error,
+  };
+};
+
+// Hook to decrypt the encrypted messages of a DM thread
+// Returns plaintexts keyed by the on-chain content (null if a message
+// can't be decrypted); remember() adds messages we encrypted ourselves
+export const useDecryptedMessages = (messages, keyPair) => {
+  const [plaintexts, setPlaintexts] = useState(() => new Map());
+
+  // Failures with an old key may succeed with a new one
+  useEffect(() => {
+    setPlaintexts(new Map());
+  }, [keyPair]);
 
-  // Update prices when data changes
   useEffect(() => {
-    setIsLoading(btcLoading || ethLoading || linkLoading);
-    setIsError(btcError || ethError || linkError);
+    if (!keyPair) return;
+
+    const pending = (messages || []).filter(
+      (message) =>
+        !plaintexts.has(message.content) &&
+        decodeMessage(message.content).type === MESSAGE_TYPES.encrypted
+    );
+    if (pending.length === 0) return;
+
+    let isActive = true;
+    Promise.all(
+      pending.map(async (message) => {
+        try {
+          return [
+            message.content,
+            await decryptDirectMessage(decodeMessage(message.content), {
+              keyPair,
+              sender: message.sender,
+              receiver: message.receiver,
+            }),
+          ];
+        } catch {
+          return [message.content, null];
+        }
+      })
+    ).then((results) => {
+      if (isActive)
+        setPlaintexts((current) => new Map([...current, ...results]));
+    });
 
-    const newPrices = {
-      btc: formatPrice(btcData, 8), // BTC/USD has 8 decimals
-      eth: formatPrice(ethData, 8), // ETH/USD has 8 decimals
-      link: formatPrice(linkData, 8), // LINK/USD has 8 decimals
+    return () => {
+      isActive = false;
     };
+  }, [messages, keyPair, plaintexts]);
 
-    setPrices(newPrices);
-  }, [
-    btcData,
-    ethData,
-    linkData,
-    btcLoading,
-    ethLoading,
-    linkLoading,
-    btcError,
-    ethError,
-    linkError,
-    formatPrice,
-  ]);
+  const remember = useCallback(
+    (content, plaintext) =>
+      setPlaintexts((current) => new Map(current).set(content, plaintext)),
+    []
+  );
 
-  const fetchPrices = useCallback(async () => {
-    // The prices are automatically updated by the individual hooks
-    // This function exists for compatibility
-  }, []);
+  return { plaintexts, remember };
+};
 
-  return {
-    prices,
+// Hook to get a URL an attachment can be shown or downloaded from
+// Plain files load straight from the gateway; encrypted ones are fetched,
+// decrypted and served from a blob: URL that is revoked on unmount
+export const useAttachmentUrl = (attachment) => {
+  const cid = attachment?.cid;
+  const mime = attachment?.mime;
+  const key = attachment?.encryption?.key;
+  const iv = attachment?.encryption?.iv;
+  const [decrypted, setDecrypted] = useState({ url: null, error: null });
+
+  useEffect(() => {
+    if (!cid || !key) return;
+
+    let isActive = true;
+    let url = null;
+    setDecrypted({ url: null, error: null });
+
+    fetch(getIPFSUrl(cid))
+      .then((response) => {
+        if (!response.ok) throw new Error(`Gateway error ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .then((ciphertext) =>
+        decryptAttachmentFile(ciphertext, { key, iv, mime })
+      )
+      .then((blob) => {
+        if (!isActive) return;
+        url = URL.createObjectURL(blob);
+        setDecrypted({ url, error: null });
+      })
+      .catch((error) => {
+        console.error("Error decrypting attachment:", error);
+        if (isActive) {
+          setDecrypted({ url: null, error: "Couldn't decrypt this file" });
+        }
+      });
+
+    return () => {
+      isActive = false;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [cid, mime, key, iv]);
+
+  if (!cid) return { url: null, isLoading: false, error: null };
+  if (!key) return { url: getIPFSUrl(cid), isLoading: false, error: null };
+
+  return {
+    url: decrypted.url,
+    isLoading: !decrypted.url && !decrypted.error,
+    error: decrypted.error,
+  };
+};
+
+// Hook to track unread direct messages and read receipts
+// Threads count as read on this device as soon as they're viewed; the
+// on-chain receipt (which the peer sees as "seen") needs a transaction
+export const useDirectMessageReads = ({ conversations, peer, messages }) => {
+  const chainId = useChainId();
+  const { address } = useAccount();
+  const [localReads, setLocalReads] = useState(null);
+  const [isVisible, setIsVisible] = useState(
+    () => document.visibilityState === "visible"
+  );
+  const peerKey = peer?.toLowerCase();
+  const threadLength = (messages || []).length;
+
+  // Hidden tabs don't read anything
+  useEffect(() => {
+    const handleVisibility = () =>
+      setIsVisible(document.visibilityState === "visible");
+
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () =>
+      document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
+
+  // Load how far each thread was viewed on this device
+  useEffect(() => {
+    let isActive = true;
+    setLocalReads(null);
+
+    if (address) {
+      getCachedValue(
+        chainId,
+        CACHE_STORES.conversations,
+        getLocalReadsKey(address)
+      ).then((value) => {
+        if (isActive) setLocalReads(value || {});
+      });
+    }
+
+    return () => {
+      isActive = false;
+    };
+  }, [chainId, address]);
+
+  // Viewing a thread reads everything in it
+  useEffect(() => {
+    if (!localReads || !peerKey || !isVisible) return;
+    if (threadLength <= (localReads[peerKey] || 0)) return;
+
+    const next = { ...localReads, [peerKey]: threadLength };
+    setLocalReads(next);
+    putCachedValue(
+      chainId,
+      CACHE_STORES.conversations,
+      getLocalReadsKey(address),
+      next
+    );
+  }, [chainId, address, localReads, peerKey, isVisible, threadLength]);
+
+  const peers = useMemo(() => conversations || [], [conversations]);
+  const { data: unreadData, refetch: refetchUnread } = useReadContracts({
+    contracts: peers.map((partner) => ({
+      address: CONTRACT_INFO.address,
+      abi: AMIGO_CHAT_ABI,
+      functionName: "getUnreadCount",
+      args: [
+        address,
+        partner,
+        BigInt(localReads?.[partner.toLowerCase()] || 0),
+      ],
+    })),
+    query: {
+      enabled:
+        !!address &&
+        !!localReads &&
+        peers.length > 0 &&
+        !!CONTRACT_INFO.address,
+      refetchInterval: 15000,
+      placeholderData: (previous) => previous, // No flicker as reads advance
+    },
+  });
+
+  const { data: readCounts, refetch: refetchReadCounts } = useReadContracts({
+    contracts: [
+      [address, peer],
+      [peer, address],
+    ].map((args) => ({
+      address: CONTRACT_INFO.address,
+      abi: AMIGO_CHAT_ABI,
+      functionName: "getReadCount",
+      args,
+    })),
+    query: {
+      enabled: !!address && !!peer && !!CONTRACT_INFO.address,
+      refetchInterval: 15000,
+    },
+  });
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "DirectMessageSent",
+    args: { receiver: address },
+    enabled: !!address && !!CONTRACT_INFO.address,
+    onLogs: () => refetchUnread(),
+  });
+
+  // Receipts sent by or to this wallet move the counts and "seen" marks
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "ConversationRead",
+    enabled: !!address && !!CONTRACT_INFO.address,
+    onLogs: (logs) => {
+      const me = address.toLowerCase();
+      if (
+        logs.some(
+          (log) =>
+            log.args.reader?.toLowerCase() === me ||
+            log.args.peer?.toLowerCase() === me
+        )
+      ) {
+        refetchUnread();
+        refetchReadCounts();
+      }
+    },
+  });
+
+  // The open thread counts as read while it's on screen
+  const unreadCounts = useMemo(
+    () =>
+      new Map(
+        peers.map((partner, i) => {
+          const key = partner.toLowerCase();
+          const result = unreadData?.[i];
+          const count =
+            (key === peerKey && isVisible) || result?.status !== "success"
+              ? 0
+              : Number(result.result);
+          return [key, count];
+        })
+      ),
+    [peers, unreadData, peerKey, isVisible]
+  );
+  const totalUnread = [...unreadCounts.values()].reduce(
+    (sum, count) => sum + count,
+    0
+  );
+
+  const readCount =
+    readCounts?.[0]?.status === "success" ? Number(readCounts[0].result) : 0;
+  const peerReadCount =
+    readCounts?.[1]?.status === "success" ? Number(readCounts[1].result) : 0;
+
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
+
+  const { isLoading: isConfirming, error: receiptError } =
+    useWaitForTransactionReceipt({
+      hash,
+    });
+
+  // Send an on-chain read receipt for everything in the open thread
+  const markRead = useCallback(() => {
+    if (!peer || threadLength === 0) return;
+
+    writeContract({
+      address: CONTRACT_INFO.address,
+      abi: AMIGO_CHAT_ABI,
+      functionName: "markConversationRead",
+      args: [peer, BigInt(threadLength - 1)],
+    });
+  }, [peer, threadLength, writeContract]);
+
+  return {
+    unreadCounts,
+    totalUnread,
+    peerReadCount,
+    canMarkRead: hasUnreceiptedMessages(messages, address, readCount),
+    markRead,
+    isMarking: isPending || isConfirming,
+    error: decodeContractError(writeError || receiptError),
+  };
+};
+
+// Hook to search general chat and every direct message thread
+// Pass the loaded general chat, the DM partners and the member list. DM
+// threads are read in one multicall while the search is enabled, and the
+// index is updated in place as MessageSent events grow the general chat.
+export const useMessageSearch = ({
+  messages,
+  conversations,
+  users,
+  filters,
+  enabled = true,
+}) => {
+  const { address } = useAccount();
+  const peers = useMemo(
+    () => (enabled ? conversations || [] : []),
+    [enabled, conversations]
+  );
+
+  const { data: threads, isLoading } = useReadContracts({
+    contracts: peers.map((peer) => ({
+      address: CONTRACT_INFO.address,
+      abi: AMIGO_CHAT_ABI,
+      functionName: "getConversation",
+      args: [address, peer],
+    })),
+    query: {
+      enabled: !!address && peers.length > 0 && !!CONTRACT_INFO.address,
+      refetchInterval: 15000,
+    },
+  });
+
+  // Mentions are indexed by username, so a new member list starts over
+  const index = useMemo(() => {
+    const usernames = new Map(
+      (users || []).map((user) => [user.address.toLowerCase(), user.username])
+    );
+    return {
+      ...createSearchIndex(),
+      getUsername: (userAddress) => usernames.get(userAddress.toLowerCase()),
+    };
+  }, [users]);
+
+  // Only messages that are new or changed since the last pass are indexed;
+  // a new object each pass tells the search below to run again
+  const indexed = useMemo(() => {
+    if (!enabled) return { index, count: index.docs.size };
+
+    indexMessages(index, messages, { getUsername: index.getUsername });
+    peers.forEach((peer, i) => {
+      const thread = threads?.[i];
+      if (thread?.status === "success") {
+        indexMessages(index, thread.result, {
+          peer,
+          getUsername: index.getUsername,
+        });
+      }
+    });
+
+    return { index, count: index.docs.size };
+  }, [enabled, index, messages, peers, threads]);
+
+  const results = useMemo(
+    () => (enabled ? searchMessages(indexed.index, filters) : []),
+    [enabled, indexed, filters]
+  );
+
+  return {
+    results,
+    indexedCount: indexed.count,
+    isIndexing: isLoading && peers.length > 0,
+  };
+};
+
+// Hook to get all channels (besides #general), refreshed when one is created
+export const useChannels = () => {
+  const {
+    data: channels,
+    isError,
     isLoading,
+    refetch,
+  } = useReadContract({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "getChannels",
+    query: {
+      enabled: !!CONTRACT_INFO.address,
+    },
+  });
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "ChannelCreated",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: () => refetch(),
+  });
+
+  const cachedChannels = useCacheMirror(
+    CACHE_STORES.conversations,
+    "channels",
+    channels
+  );
+
+  return {
+    channels: channels || cachedChannels || [],
+    isLoading: isLoading && !cachedChannels,
+    isError,
+    refetch,
+  };
+};
+
+// Hook to create a new channel
+export const useCreateChannel = () => {
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
+
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
+
+  const createChannel = useCallback(
+    (name) => {
+      writeContract({
+        address: CONTRACT_INFO.address,
+        abi: AMIGO_CHAT_ABI,
+        functionName: "createChannel",
+        args: [name],
+      });
+    },
+    [writeContract]
+  );
+
+  return {
+    createChannel,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error: decodeContractError(writeError || receiptError),
+    hash,
+  };
+};
+
+// Hook to send a message to a channel
+export const useSendChannelMessage = () => {
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
+
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
+
+  const sendChannelMessage = useCallback(
+    (channel, content) => {
+      writeContract({
+        address: CONTRACT_INFO.address,
+        abi: AMIGO_CHAT_ABI,
+        functionName: "sendChannelMessage",
+        args: [channel, content],
+      });
+    },
+    [writeContract]
+  );
+
+  return {
+    sendChannelMessage,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error: decodeContractError(writeError || receiptError),
+    hash,
+  };
+};
+
+// Hook to get the messages of a channel, refreshed on every new message
+export const useChannelMessages = (channel) => {
+  const {
+    data: messages,
     isError,
+    isLoading,
+    refetch,
+  } = useReadContract({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "getChannelMessages",
+    args: [channel],
+    query: {
+      enabled: !!channel && !!CONTRACT_INFO.address,
+    },
+  });
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "ChannelMessageSent",
+    args: { channel },
+    enabled: !!channel && !!CONTRACT_INFO.address,
+    onLogs: () => refetch(),
+  });
+
+  // Edits and deletes aren't filtered by channel, so only refetch when one
+  // of them touches a message in this channel
+  const handleMessageUpdates = (logs) => {
+    const ids = new Set((messages || []).map((message) => message.messageId));
+    if (logs.some((log) => ids.has(log.args.messageId))) refetch();
+  };
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "MessageEdited",
+    enabled: !!channel && !!CONTRACT_INFO.address,
+    onLogs: handleMessageUpdates,
+  });
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "MessageDeleted",
+    enabled: !!channel && !!CONTRACT_INFO.address,
+    onLogs: handleMessageUpdates,
+  });
+
+  const cachedMessages = useCacheMirror(
+    CACHE_STORES.conversations,
+    channel ? `channel:${channel}` : null,
+    messages
+  );
+
+  return {
+    messages: messages || cachedMessages || [],
+    isLoading: isLoading && !cachedMessages,
+    isError,
+    refetch,
+  };
+};
+
+// Contract reads that hold sent messages, refreshed once a send is mined
+const OUTBOX_REFRESH_FUNCTIONS = new Set([
+  "getConversation",
+  "getUserConversations",
+  "getChannelMessages",
+]);
+
+// Hook to send messages through a local outbox
+// Each message shows up as pending with its tx hash, turns confirmed on
+// receipt and failed (with retry) if the wallet rejects it or it reverts
+export const useOutbox = () => {
+  const chainId = useChainId();
+  const config = useConfig();
+  const queryClient = useQueryClient();
+  const { writeContractAsync } = useWriteContract();
+  const [entries, setEntries] = useState([]);
+
+  const updateEntry = useCallback(
+    (id, changes) =>
+      setEntries((current) =>
+        current.map((entry) =>
+          entry.id === id ? { ...entry, ...changes } : entry
+        )
+      ),
+    []
+  );
+
+  // Submit an entry and follow its transaction to the receipt
+  const submit = useCallback(
+    async (entry) => {
+      try {
+        const hash = await writeContractAsync({
+          address: CONTRACT_INFO.address,
+          abi: AMIGO_CHAT_ABI,
+          ...(entry.peer
+            ? {
+                functionName: "sendDirectMessage",
+                args: [entry.peer, entry.content],
+              }
+            : entry.channel
+            ? {
+                functionName: "sendChannelMessage",
+                args: [entry.channel, entry.content],
+              }
+            : { functionName: "sendMessage", args: [entry.content] }),
+        });
+        updateEntry(entry.id, { hash });
+
+        // Throws with the revert reason if the transaction fails
+        await waitForTransactionReceipt(config, { hash });
+
+        updateEntry(entry.id, { status: OUTBOX_STATUS.confirmed });
+        queryClient.invalidateQueries({
+          queryKey: ["amigoChat", "generalChat", chainId],
+        });
+        queryClient.invalidateQueries({
+          predicate: (query) =>
+            query.queryKey[0] === "readContract" &&
+            OUTBOX_REFRESH_FUNCTIONS.has(query.queryKey[1]?.functionName),
+        });
+      } catch (error) {
+        console.error("Error sending message:", error);
+        updateEntry(entry.id, {
+          status: OUTBOX_STATUS.failed,
+          error: decodeContractError(error),
+        });
+      }
+    },
+    [chainId, config, queryClient, updateEntry, writeContractAsync]
+  );
+
+  // Queue a message for a thread: { peer }, { channel } or {} for #general
+  const send = useCallback(
+    (target, content) => {
+      const entry = createOutboxEntry(target, content);
+      setEntries((current) => [...current, entry]);
+      submit(entry);
+    },
+    [submit]
+  );
+
+  // Send a failed entry again, keeping its place in the thread
+  const retry = useCallback(
+    (id) => {
+      const entry = entries.find((item) => item.id === id);
+      if (!entry || entry.status !== OUTBOX_STATUS.failed) return;
+
+      const retried = {
+        ...entry,
+        status: OUTBOX_STATUS.pending,
+        hash: null,
+        error: null,
+      };
+      updateEntry(id, retried);
+      submit(retried);
+    },
+    [entries, submit, updateEntry]
+  );
+
+  // Drop entries that failed or already show up in their thread
+  const dismiss = useCallback((ids) => {
+    const dropped = new Set([].concat(ids));
+    setEntries((current) => current.filter((entry) => !dropped.has(entry.id)));
+  }, []);
+
+  return {
+    entries,
+    send,
+    retry,
+    dismiss,
+    // Waiting on the wallet; further sends would stack signature prompts
+    isSending: entries.some(
+      (entry) => entry.status === OUTBOX_STATUS.pending && !entry.hash
+    ),
+  };
+};
+
+// Hook to edit one of your own messages
+export const useEditMessage = () => {
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
+
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
+
+  const editMessage = useCallback(
+    (messageId, content) => {
+      writeContract({
+        address: CONTRACT_INFO.address,
+        abi: AMIGO_CHAT_ABI,
+        functionName: "editMessage",
+        args: [BigInt(messageId), content],
+      });
+    },
+    [writeContract]
+  );
+
+  return {
+    editMessage,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error: decodeContractError(writeError || receiptError),
+    hash,
+  };
+};
+
+// Hook to delete one of your own messages
+export const useDeleteMessage = () => {
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
+
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
+
+  const deleteMessage = useCallback(
+    (messageId) => {
+      writeContract({
+        address: CONTRACT_INFO.address,
+        abi: AMIGO_CHAT_ABI,
+        functionName: "deleteMessage",
+        args: [BigInt(messageId)],
+      });
+    },
+    [writeContract]
+  );
+
+  return {
+    deleteMessage,
+    isPending,
+    isConfirming,
+    isConfirmed,
+    error: decodeContractError(writeError || receiptError),
+    hash,
+  };
+};
+
+// Hook to get every version of an edited message from its events
+// Keyed by editCount, so a new edit fetches the history again
+export const useMessageHistory = (
+  messageId,
+  editCount,
+  { enabled = true } = {}
+) => {
+  const chainId = useChainId();
+  const publicClient = usePublicClient();
+
+  const { data, isError, isLoading, error } = useQuery({
+    queryKey: [
+      "amigoChat",
+      "messageHistory",
+      chainId,
+      CONTRACT_INFO.address,
+      String(messageId),
+      String(editCount),
+    ],
+    queryFn: () => fetchMessageHistory(publicClient, messageId),
+    enabled:
+      enabled && !!publicClient && messageId != null && !!CONTRACT_INFO.address,
+    staleTime: Infinity, // Past versions never change
+  });
+
+  return {
+    versions: data || [],
+    isLoading: enabled && isLoading,
+    isError,
+    error,
+  };
+};
+
+// Query key for the reactions on one message
+const getReactionsQueryKey = (chainId, messageId) => [
+  "amigoChat",
+  "reactions",
+  chainId,
+  CONTRACT_INFO.address,
+  String(messageId),
+];
+
+// Hook to get and toggle the reactions on a message
+// Toggles show up immediately and roll back if the wallet rejects them
+export const useReactions = (messageId) => {
+  const chainId = useChainId();
+  const publicClient = usePublicClient();
+  const queryClient = useQueryClient();
+  const { address } = useAccount();
+  const {
+    writeContract,
+    data: hash,
+    isPending,
+    error: writeError,
+  } = useWriteContract();
+
+  const {
+    isLoading: isConfirming,
+    isSuccess: isConfirmed,
+    error: receiptError,
+  } = useWaitForTransactionReceipt({
+    hash,
+  });
+
+  const queryKey = useMemo(
+    () => getReactionsQueryKey(chainId, messageId),
+    [chainId, messageId]
+  );
+
+  const { data, isError, isLoading, refetch } = useQuery({
+    queryKey,
+    queryFn: async () =>
+      parseReactions(
+        await publicClient.readContract({
+          address: CONTRACT_INFO.address,
+          abi: AMIGO_CHAT_ABI,
+          functionName: "getReactions",
+          args: [BigInt(messageId)],
+        })
+      ),
+    enabled: !!publicClient && messageId != null && !!CONTRACT_INFO.address,
+    staleTime: Infinity, // useReactionUpdates invalidates on ReactionToggled
+  });
+
+  const toggleReaction = useCallback(
+    (emoji) => {
+      if (!address || messageId == null) return;
+
+      const previous = queryClient.getQueryData(queryKey) || [];
+      queryClient.setQueryData(
+        queryKey,
+        applyReactionToggle(previous, emoji, address)
+      );
+
+      writeContract(
+        {
+          address: CONTRACT_INFO.address,
+          abi: AMIGO_CHAT_ABI,
+          functionName: "toggleReaction",
+          args: [BigInt(messageId), emoji],
+        },
+        {
+          onError: () => queryClient.setQueryData(queryKey, previous),
+        }
+      );
+    },
+    [address, messageId, queryClient, queryKey, writeContract]
+  );
+
+  // Settle on the on-chain state once the toggle is mined or reverts
+  useEffect(() => {
+    if (isConfirmed || receiptError) refetch();
+  }, [isConfirmed, receiptError, refetch]);
+
+  return {
+    reactions: data || [],
+    toggleReaction,
+    isLoading,
+    isError,
+    isPending,
+    isConfirming,
+    error: decodeContractError(writeError || receiptError),
+  };
+};
+
+// Hook to refresh reactions when anyone toggles one
+// One watcher for the whole page instead of one per message
+export const useReactionUpdates = () => {
+  const chainId = useChainId();
+  const queryClient = useQueryClient();
+
+  useWatchContractEvent({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    eventName: "ReactionToggled",
+    enabled: !!CONTRACT_INFO.address,
+    onLogs: (logs) => {
+      new Set(logs.map((log) => String(log.args.messageId))).forEach(
+        (messageId) =>
+          queryClient.invalidateQueries({
+            queryKey: getReactionsQueryKey(chainId, messageId),
+          })
+      );
+    },
+  });
+};
+
+// Hook to wipe the local chat cache for the active chain
+export const useClearChatCache = () => {
+  const chainId = useChainId();
+  const queryClient = useQueryClient();
+  const [isClearing, setIsClearing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const clearCache = useCallback(async () => {
+    setIsClearing(true);
+    setError(null);
+
+    try {
+      await clearChatCache(chainId);
+      // Drop in-memory copies too so the next sync starts from scratch
+      queryClient.removeQueries({ queryKey: ["amigoChat"] });
+      return true;
+    } catch (err) {
+      console.error("Error clearing chat cache:", err);
+      setError(err.message || "Failed to clear local cache");
+      return false;
+    } finally {
+      setIsClearing(false);
+    }
+  }, [chainId, queryClient]);
+
+  return {
+    clearCache,
+    isClearing,
+    error,
+  };
+};
+
+// Read latestRoundData and decimals for a list of registry feeds in one
+// multicall and validate every round. Never substitutes placeholder prices:
+// a failed read or unusable round is reported as an error.
+const useFeedRounds = (feeds) => {
+  const result = useReadContracts({
+    contracts: feeds.flatMap((feed) => [
+      {
+        address: feed.address,
+        abi: CHAINLINK_ABI,
+        functionName: "latestRoundData",
+      },
+      { address: feed.address, abi: CHAINLINK_ABI, functionName: "decimals" },
+    ]),
+    query: {
+      enabled: feeds.length > 0,
+      refetchInterval: 30000,
+      staleTime: 25000,
+      retry: false,
+    },
+  });
+
+  const statuses = feeds.map((feed, index) => {
+    const roundResult = result.data?.[index * 2];
+    const decimalsResult = result.data?.[index * 2 + 1];
+
+    const round = parseRoundData(roundResult?.result);
+    const decimals =
+      decimalsResult?.status === "success"
+        ? Number(decimalsResult.result)
+        : null;
+    const { isValid, isStale, issue } = validateRound(round);
+
+    let error =
+      result.error || roundResult?.error || decimalsResult?.error || null;
+    if (!error && round && !isValid) {
+      error = new Error(
+        `${feed.pairId} price feed returned an unusable round (${issue})`
+      );
+    }
+
+    const answer = isValid && decimals !== null ? round.answer : null;
+
+    return {
+      ...feed,
+      data: round,
+      answer,
+      decimals,
+      price: formatFeedAnswer(answer, decimals),
+      updatedAt: round?.updatedAt || null,
+      isStale,
+      issue,
+      isLoading: result.isLoading,
+      isError: !!error,
+      error,
+    };
+  });
+
+  return {
+    feeds: statuses,
+    fetchedAt: result.dataUpdatedAt,
+    isLoading: result.isLoading,
+    refetch: result.refetch,
+  };
+};
+
+// Hook to get any registered price feed, e.g. usePriceFeed("SOL/USD")
+export const usePriceFeed = (pairId) => {
+  const chainId = useChainId();
+  const feed = useMemo(() => getPriceFeed(chainId, pairId), [chainId, pairId]);
+  const feeds = useMemo(() => (feed ? [feed] : []), [feed]);
+  const { feeds: statuses, refetch } = useFeedRounds(feeds);
+
+  if (!feed) {
+    return {
+      pairId,
+      data: null,
+      answer: null,
+      decimals: null,
+      price: null,
+      updatedAt: null,
+      isStale: false,
+      issue: null,
+      isLoading: false,
+      isError: true,
+      error: new Error(
+        `No ${pairId} price feed configured on chain ${chainId}`
+      ),
+      refetch,
+    };
+  }
+
+  return { ...statuses[0], refetch };
+};
+
+// Hook to get BTC price from Chainlink
+export const useBTCPrice = () => usePriceFeed("BTC/USD");
+
+// Hook to get ETH price from Chainlink
+export const useETHPrice = () => usePriceFeed("ETH/USD");
+
+// Hook to get LINK price from Chainlink
+export const useLINKPrice = () => usePriceFeed("LINK/USD");
+
+// Hook to get every price feed registered for the connected chain
+// prices only contains fresh answers keyed by asset (safe to post); feeds
+// has the status of every feed, including stale or unavailable ones
+export const usePriceFeeds = () => {
+  const chainId = useChainId();
+  const registry = useMemo(() => getPriceFeeds(chainId), [chainId]);
+  const { feeds, fetchedAt, isLoading, refetch } = useFeedRounds(registry);
+
+  const prices = Object.fromEntries(
+    feeds.map((feed) => [
+      feed.symbol.toLowerCase(),
+      feed.isStale ? null : feed.price,
+    ])
+  );
+
+  const fetchPrices = useCallback(async () => {
+    await refetch();
+  }, [refetch]);
+
+  return {
+    prices,
+    feeds,
+    fetchedAt,
+    isLoading,
+    isError: feeds.some((feed) => feed.isError),
     fetchPrices,
   };
 };
 
+// Hook to get a sampled price series for a registered pair
+// Series are cached in IndexedDB and reused until the range's ttl expires
+export const usePriceHistory = (
+  pairId,
+  range = "24h",
+  { enabled = true } = {}
+) => {
+  const chainId = useChainId();
+  const publicClient = usePublicClient();
+  const feed = useMemo(() => getPriceFeed(chainId, pairId), [chainId, pairId]);
+  const ttl = HISTORY_RANGES[range].ttl * 1000;
+
+  const query = useQuery({
+    queryKey: ["amigoChat", "priceHistory", chainId, pairId, range],
+    enabled: enabled && !!feed && !!publicClient,
+    staleTime: ttl,
+    refetchInterval: ttl,
+    retry: false,
+    queryFn: async () => {
+      const cacheKey = `${pairId}:${range}`;
+      const cached = await getCachedValue(
+        chainId,
+        CACHE_STORES.priceHistory,
+        cacheKey
+      );
+      const isCacheUsable = cached?.feedAddress === feed.address;
+
+      if (isCacheUsable && Date.now() - cached.fetchedAt < ttl) {
+        return cached;
+      }
+
+      try {
+        const history = await fetchPriceHistory(publicClient, feed, range);
+        const entry = {
+          ...history,
+          feedAddress: feed.address,
+          fetchedAt: Date.now(),
+        };
+        await putCachedValue(
+          chainId,
+          CACHE_STORES.priceHistory,
+          cacheKey,
+          entry
+        );
+        return entry;
+      } catch (error) {
+        // Keep showing the last series we had rather than an empty chart
+        if (isCacheUsable) {
+          console.error("Error refreshing price history:", error);
+          return cached;
+        }
+        throw error;
+      }
+    },
+  });
+
+  return {
+    points: query.data?.points || [],
+    fetchedAt: query.data?.fetchedAt || null,
+    isLoading: query.isLoading,
+    isError: query.isError,
+    error: query.error,
+    refetch: query.refetch,
+  };
+};
+
+// Hook to manage price alerts and check them whenever the feeds refetch
+// Pass feeds and fetchedAt from usePriceFeeds. Returns the alerts, editing
+// helpers and the toasts for alerts that fired.
+export const usePriceAlerts = (feeds, fetchedAt) => {
+  const [alerts, setAlerts] = useState(loadPriceAlerts);
+  const [toasts, setToasts] = useState([]);
+  // Bumped when alerts are added, edited or snoozed, so they're checked
+  // right away
+  const [revision, setRevision] = useState(0);
+
+  // The check reads the latest feeds and alerts from refs: feeds is a new
+  // array on every render, and the check's own updates mustn't rerun it
+  const feedsRef = useRef(feeds);
+  const alertsRef = useRef(alerts);
+  useEffect(() => {
+    feedsRef.current = feeds;
+    alertsRef.current = alerts;
+  });
+
+  // Persist every change
+  useEffect(() => {
+    savePriceAlerts(alerts);
+  }, [alerts]);
+
+  // Evaluate after every refetch and whenever alerts are added or edited
+  useEffect(() => {
+    if (!fetchedAt) return;
+
+    const latestFeeds = feedsRef.current;
+    const latestAlerts = alertsRef.current;
+    const now = Math.floor(Date.now() / 1000);
+    const samples = recordPriceSamples(loadPriceSamples(), latestFeeds, now);
+    savePriceSamples(samples);
+
+    const fired = [];
+    const next = latestAlerts.map((alert) => {
+      const feed = latestFeeds.find((item) => item.pairId === alert.pairId);
+      const result = evaluatePriceAlert(
+        alert,
+        feed,
+        samples[alert.pairId],
+        now
+      );
+      if (result.message) fired.push(result.message);
+      return result.alert;
+    });
+    if (next.some((alert, i) => alert !== latestAlerts[i])) {
+      alertsRef.current = next;
+      setAlerts(next);
+    }
+
+    if (fired.length === 0) return;
+
+    setToasts((current) => [
+      ...current,
+      ...fired.map((message) => ({ id: `${now}-${message}`, message })),
+    ]);
+
+    if (
+      typeof Notification !== "undefined" &&
+      Notification.permission === "granted"
+    ) {
+      fired.forEach(
+        (message) =>
+          new Notification("AmigoChat price alert", {
+            body: message,
+            icon: "/logo.png",
+          })
+      );
+    }
+  }, [fetchedAt, revision]);
+
+  const addAlert = useCallback((fields) => {
+    // Ask for browser notifications on the first alert (needs a user gesture)
+    if (
+      typeof Notification !== "undefined" &&
+      Notification.permission === "default"
+    ) {
+      Notification.requestPermission();
+    }
+    setAlerts((current) => [...current, createPriceAlert(fields)]);
+    setRevision((current) => current + 1);
+  }, []);
+
+  // Editing an alert re-arms it
+  const updateAlert = useCallback((id, changes) => {
+    setAlerts((current) =>
+      current.map((alert) =>
+        alert.id === id ? { ...alert, ...changes, isTriggered: false } : alert
+      )
+    );
+    setRevision((current) => current + 1);
+  }, []);
+
+  const removeAlert = useCallback((id) => {
+    setAlerts((current) => current.filter((alert) => alert.id !== id));
+  }, []);
+
+  // Pass 0 minutes to cancel a snooze
+  const snoozeAlert = useCallback((id, minutes) => {
+    setAlerts((current) =>
+      current.map((alert) =>
+        alert.id === id
+          ? {
+              ...alert,
+              snoozedUntil: minutes
+                ? Math.floor(Date.now() / 1000) + minutes * 60
+                : null,
+            }
+          : alert
+      )
+    );
+    setRevision((current) => current + 1);
+  }, []);
+
+  const dismissToast = useCallback((id) => {
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+  }, []);
+
+  return {
+    alerts,
+    toasts,
+    addAlert,
+    updateAlert,
+    removeAlert,
+    snoozeAlert,
+    dismissToast,
+  };
+};
+
 // Hook to get user's ETH balance
 export const useUserBalance = () => {
   const { address } = useAccount();
@@ -1,16 +1,90 @@
 // Chat Page - Modern Discord-like responsive interface
 // Completely redesigned for better UX and responsiveness
 
-import React, { useState, useEffect, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import { useAccount } from "wagmi";
+import { useNavigate, useParams } from "react-router-dom";
 import { motion as Motion, AnimatePresence } from "framer-motion";
 import {
   useGeneralChatMessages,
-  useSendMessage,
   useRegisteredUsers,
   usePriceFeeds,
+  usePriceAlerts,
+  useConversation,
+  useConversationList,
+  useDirectMessageReads,
+  useEncryptionKey,
+  useDecryptedMessages,
+  useChannels,
+  useCreateChannel,
+  useChannelMessages,
+  useOutbox,
+  useReactionUpdates,
+  useEditMessage,
+  useDeleteMessage,
+  useMessageSearch,
 } from "../hooks/useAmigoContract.js";
-import { getIPFSUrl } from "../utils/ipfs.js";
+import {
+  cleanupFilePreview,
+  createFilePreview,
+  formatFileSize,
+  getIPFSUrl,
+} from "../utils/ipfs.js";
+import {
+  encodeAttachment,
+  uploadAttachment,
+  validateAttachment,
+} from "../utils/attachments.js";
+import { createPriceUpdateMessage, hasPrices } from "../utils/priceMessage.js";
+import {
+  MESSAGE_TYPES,
+  decodeMessage,
+  encodeReply,
+  getReplyParentId,
+} from "../utils/messageEnvelope.js";
+import { buildReplyIndex, getMessagePreview } from "../utils/threads.js";
+import { isBotAddress } from "../config/bots.js";
+import {
+  GENERAL_CHANNEL,
+  getChannelPath,
+  isValidChannelName,
+  normalizeChannelName,
+} from "../utils/channels.js";
+import {
+  decodeMentions,
+  encodeMentions,
+  getMentionQuery,
+  insertMention,
+  messageMentionsAddress,
+} from "../utils/mentions.js";
+import { EMPTY_SEARCH_FILTERS, getSearchId } from "../utils/searchIndex.js";
+import {
+  OUTBOX_STATUS,
+  isEntryDelivered,
+  isEntryInThread,
+  outboxEntryToMessage,
+} from "../utils/outbox.js";
+import { getLastSeenIndex } from "../utils/readReceipts.js";
+import {
+  encryptDirectMessage,
+  hasEncryptionKey,
+} from "../utils/dmEncryption.js";
+import MessageBody from "../components/MessageBody.jsx";
+import { PriceChartDialog, Sparkline } from "../components/PriceChart.jsx";
+import PriceAlertPanel from "../components/PriceAlertPanel.jsx";
+import ToastStack from "../components/ToastStack.jsx";
+import Markdown from "../components/Markdown.jsx";
+import ThreadPanel from "../components/ThreadPanel.jsx";
+import VirtualMessageList from "../components/VirtualMessageList.jsx";
+import SearchPanel from "../components/SearchPanel.jsx";
+import ReactionBar from "../components/ReactionBar.jsx";
+import MessageHistoryPopover from "../components/MessageHistoryPopover.jsx";
 import { ButtonLoader } from "../components/LoadingSpinner.jsx";
 
 /**
@@ -19,129 +93,385 @@ import { ButtonLoader } from "../components/LoadingSpinner.jsx";
  */
 const ChatPage = () => {
   const { address } = useAccount();
-  const messagesEndRef = useRef(null);
+  const navigate = useNavigate();
+  const composerRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Channel from the route, /chat is #general
+  const { channel: channelParam } = useParams();
+  const activeChannel = normalizeChannelName(channelParam) || GENERAL_CHANNEL;
+  const isGeneral = activeChannel === GENERAL_CHANNEL;
 
   // UI State
   const [messageInput, setMessageInput] = useState("");
+  // Show the rendered markdown of the draft above the composer
+  const [showPreview, setShowPreview] = useState(false);
+  // File attached to the draft ({ file, previewUrl }), whether it is being
+  // uploaded, and whether a file is dragged over the composer
+  const [attachment, setAttachment] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  // @username being typed at the caret, and the highlighted suggestion
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  // Only show messages that mention you
+  const [showMentionsOnly, setShowMentionsOnly] = useState(false);
   const [showPrices, setShowPrices] = useState(false);
   const [showSidebar, setShowSidebar] = useState(false);
   const [showUserList, setShowUserList] = useState(true);
+  // Address of the DM partner being viewed, null while in a channel
+  const [activePeer, setActivePeer] = useState(null);
+  // Create-channel form in the sidebar
+  const [showChannelForm, setShowChannelForm] = useState(false);
+  const [channelInput, setChannelInput] = useState("");
+  // Name of the channel being created, kept apart from the form, which can
+  // change while the transaction confirms
+  const creatingChannelRef = useRef(null);
+  // Channel message being replied to, and the messageId whose thread is open
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadParentId, setThreadParentId] = useState(null);
+  // Own message being edited inline, and the draft text
+  const [editingId, setEditingId] = useState(null);
+  const [editInput, setEditInput] = useState("");
+  // Message whose delete is waiting for a second click, and whose edit
+  // history is open
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  // Search panel, its filters, the result being opened and the message
+  // briefly highlighted after jumping to it
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  // Price feed whose history chart is open
+  const [chartFeed, setChartFeed] = useState(null);
+  // Why the last draft couldn't be sent (it stays in the composer)
+  const [sendError, setSendError] = useState(null);
 
   // Contract hooks
   const {
     messages,
     isLoading: loadingMessages,
-    refetch: refetchMessages,
+    loadOlder: loadOlderMessages,
+    hasOlder: hasOlderMessages,
+    isLoadingOlder: isLoadingOlderMessages,
   } = useGeneralChatMessages();
-  const { sendMessage, isSending } = useSendMessage();
   const { users, isLoading: loadingUsers } = useRegisteredUsers();
-  const { prices, fetchPrices, isLoading: loadingPrices } = usePriceFeeds();
+  const {
+    prices,
+    feeds,
+    fetchedAt: pricesFetchedAt,
+    fetchPrices,
+    isLoading: loadingPrices,
+  } = usePriceFeeds();
+  const {
+    alerts,
+    toasts,
+    addAlert,
+    updateAlert,
+    removeAlert,
+    snoozeAlert,
+    dismissToast,
+  } = usePriceAlerts(feeds, pricesFetchedAt);
+  const { messages: directMessages, isLoading: loadingDirectMessages } =
+    useConversation(activePeer);
+  const { conversations } = useConversationList();
+  const {
+    unreadCounts,
+    totalUnread,
+    peerReadCount,
+    canMarkRead,
+    markRead,
+    isMarking,
+    error: markReadError,
+  } = useDirectMessageReads({
+    conversations,
+    peer: activePeer,
+    messages: directMessages,
+  });
+  const {
+    keyPair,
+    isPublished: isKeyPublished,
+    unlock: unlockEncryption,
+    isUnlocking,
+    error: encryptionError,
+  } = useEncryptionKey();
+  const { plaintexts, remember: rememberPlaintext } = useDecryptedMessages(
+    directMessages,
+    keyPair
+  );
+  // Decrypted DMs are read (and checked for mentions) as their original
+  // content
+  const getPlaintext = useCallback(
+    (content) => plaintexts.get(content) ?? content,
+    [plaintexts]
+  );
+  const {
+    channels,
+    isLoading: loadingChannels,
+    refetch: refetchChannels,
+  } = useChannels();
+  const {
+    createChannel,
+    isPending: isCreatingChannel,
+    isConfirming: isConfirmingChannel,
+    isConfirmed: isChannelCreated,
+    error: createChannelError,
+  } = useCreateChannel();
+  const { messages: channelMessages, isLoading: loadingChannelMessages } =
+    useChannelMessages(isGeneral ? null : activeChannel);
+  const {
+    entries: outboxEntries,
+    send,
+    retry: retrySend,
+    dismiss: dismissSent,
+    isSending,
+  } = useOutbox();
+  useReactionUpdates();
+  const { editMessage } = useEditMessage();
+  const { deleteMessage } = useDeleteMessage();
+  const {
+    results: searchResults,
+    indexedCount,
+    isIndexing,
+  } = useMessageSearch({
+    messages,
+    conversations,
+    users,
+    filters: searchFilters,
+    enabled: showSearch,
+  });
 
-  // Auto-scroll to bottom when new messages arrive
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages]);
+  // Unknown channel names in the URL get an empty state instead of a thread
+  const isMissingChannel =
+    !isGeneral &&
+    !loadingChannels &&
+    !channels.some((channel) => channel.name === activeChannel);
 
-  // Automated price posting every hour
-  useEffect(() => {
-    const postPriceUpdate = async () => {
-      // Only post if we have valid prices and user is connected
-      if (!address || !prices || (!prices.btc && !prices.eth && !prices.link)) {
-        return;
-      }
+  // Messages and loading state for whichever thread is open
+  const activeMessages = activePeer
+    ? directMessages
+    : isGeneral
+    ? messages
+    : channelMessages;
+  const loadingActiveMessages = activePeer
+    ? loadingDirectMessages
+    : isGeneral
+    ? loadingMessages
+    : loadingChannelMessages;
+  const activeThreadLabel = activePeer ? null : `#${activeChannel}`;
+  const activeTarget = useMemo(
+    () =>
+      activePeer
+        ? { peer: activePeer }
+        : { channel: isGeneral ? null : activeChannel },
+    [activePeer, isGeneral, activeChannel]
+  );
 
-      try {
-        // Format the price message
-        const priceMessage = formatPriceMessage(prices);
+  // Sent messages of this thread whose on-chain copy hasn't arrived yet
+  const threadOutbox = useMemo(
+    () =>
+      outboxEntries.filter(
+        (entry) =>
+          isEntryInThread(entry, activeTarget) &&
+          !(
+            entry.status === OUTBOX_STATUS.confirmed &&
+            isEntryDelivered(entry, activeMessages, address)
+          )
+      ),
+    [outboxEntries, activeTarget, activeMessages, address]
+  );
 
-        // Send the automated price update
-        console.log("Posting automated price update:", priceMessage);
-        sendMessage(priceMessage);
+  // Replies only exist in channels; DMs have no messageIds to point at
+  const messagesById = useMemo(
+    () =>
+      new Map(
+        activePeer
+          ? []
+          : (activeMessages || []).map((message) => [
+              String(message.messageId),
+              message,
+            ])
+      ),
+    [activePeer, activeMessages]
+  );
+  const replyIndex = useMemo(
+    () => (activePeer ? new Map() : buildReplyIndex(activeMessages)),
+    [activePeer, activeMessages]
+  );
+  const threadParent = threadParentId ? messagesById.get(threadParentId) : null;
 
-        // Refresh messages after posting
-        setTimeout(() => refetchMessages(), 3000);
-      } catch (error) {
-        console.error("Error posting automated price update:", error);
-      }
-    };
+  // Newest DM of ours the peer has read, marked "Seen"
+  const seenMessage = activePeer
+    ? directMessages[getLastSeenIndex(directMessages, address, peerReadCount)]
+    : null;
 
-    // Set up interval for hourly price updates
-    const priceInterval = setInterval(postPriceUpdate, 60 * 60 * 1000); // 1 hour in milliseconds
+  // Ids matching the search index, so results can find their message
+  const searchIds = useMemo(
+    () =>
+      new Map(
+        (activeMessages || []).map((message, index) => [
+          message,
+          getSearchId(message, activePeer, index),
+        ])
+      ),
+    [activePeer, activeMessages]
+  );
 
-    // Also post price update when component mounts if prices are available
-    const initialTimeout = setTimeout(() => {
-      if (prices && (prices.btc || prices.eth || prices.link)) {
-        postPriceUpdate();
-      }
-    }, 10000); // Wait 10 seconds after mount to let everything load
+  // Messages from others that mention the connected wallet
+  const mentionedMessages = useMemo(
+    () =>
+      (activeMessages || []).filter(
+        (message) =>
+          message?.sender &&
+          message.sender.toLowerCase() !== address?.toLowerCase() &&
+          messageMentionsAddress(message, address, getPlaintext)
+      ),
+    [activeMessages, address, getPlaintext]
+  );
+  const visibleMessages = showMentionsOnly ? mentionedMessages : activeMessages;
+  const listMessages = useMemo(
+    () => [
+      ...(visibleMessages || []).filter((message) => message && message.sender),
+      ...(showMentionsOnly
+        ? []
+        : threadOutbox.map((entry) => outboxEntryToMessage(entry, address))),
+    ],
+    [visibleMessages, showMentionsOnly, threadOutbox, address]
+  );
+
+  // Registered usernames matching the @query being typed
+  const mentionSuggestions = useMemo(() => {
+    if (!mentionQuery) return [];
+
+    const query = mentionQuery.query.toLowerCase();
+    return (users || [])
+      .filter(
+        (user) =>
+          user?.username && user.username.toLowerCase().startsWith(query)
+      )
+      .slice(0, 6);
+  }, [users, mentionQuery]);
+
+  // Leave any open DM when the route moves to another channel
+  useEffect(() => {
+    setActivePeer(null);
+  }, [activeChannel]);
+
+  // Drop pending replies, edits and open threads when switching threads
+  useEffect(() => {
+    setReplyingTo(null);
+    setThreadParentId(null);
+    setEditingId(null);
+    setPendingDeleteId(null);
+    setHistoryId(null);
+  }, [activeChannel, activePeer]);
+
+  // Open the new channel once its creation is confirmed
+  useEffect(() => {
+    const name = creatingChannelRef.current;
+    if (!isChannelCreated || !name) return;
 
-    // Cleanup intervals on unmount
+    creatingChannelRef.current = null;
+    refetchChannels();
+    navigate(getChannelPath(name));
+    setChannelInput("");
+    setShowChannelForm(false);
+  }, [isChannelCreated, refetchChannels, navigate]);
+
+  // Unread DMs show in the tab title
+  useEffect(() => {
+    const baseTitle = document.title.replace(/^\(\d+\) /, "");
+    document.title =
+      totalUnread > 0 ? `(${totalUnread}) ${baseTitle}` : baseTitle;
     return () => {
-      clearInterval(priceInterval);
-      clearTimeout(initialTimeout);
+      document.title = baseTitle;
     };
-  }, [address, prices, sendMessage, refetchMessages]);
-
-  // Format price message for the bot
-  const formatPriceMessage = (prices) => {
-    const timestamp = new Date().toLocaleTimeString([], {
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: true,
-    });
+  }, [totalUnread]);
 
-    let message = `🤖 **Price Update ${timestamp}** 📊\n\n`;
+  // Fade the highlight after a few seconds
+  useEffect(() => {
+    if (!highlightedId) return;
 
-    // Helper function to safely format price values (handles BigInt and strings)
-    const safePriceFormat = (price) => {
-      if (!price) return null;
-      try {
-        // Convert BigInt to string first if needed
-        const priceStr =
-          typeof price === "bigint" ? price.toString() : String(price);
-        const priceNum = parseFloat(priceStr);
-        return isNaN(priceNum) ? null : priceNum.toLocaleString();
-      } catch (error) {
-        console.error("Error formatting price:", error);
-        return null;
-      }
-    };
+    const timer = setTimeout(() => setHighlightedId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
 
-    if (prices.btc) {
-      const formattedBTC = safePriceFormat(prices.btc);
-      if (formattedBTC) {
-        message += `₿ BTC: $${formattedBTC}\n`;
-      }
-    }
-    if (prices.eth) {
-      const formattedETH = safePriceFormat(prices.eth);
-      if (formattedETH) {
-        message += `Ξ ETH: $${formattedETH}\n`;
-      }
-    }
-    if (prices.link) {
-      const formattedLINK = safePriceFormat(prices.link);
-      if (formattedLINK) {
-        message += `🔗 LINK: $${formattedLINK}\n`;
-      }
+  // Forget confirmed sends once the thread shows their on-chain copy
+  useEffect(() => {
+    const delivered = outboxEntries.filter(
+      (entry) =>
+        entry.status === OUTBOX_STATUS.confirmed &&
+        isEntryInThread(entry, activeTarget) &&
+        isEntryDelivered(entry, activeMessages, address)
+    );
+    if (delivered.length > 0) {
+      dismissSent(delivered.map((entry) => entry.id));
     }
-
-    message += `\n📡 Powered by Chainlink Oracles`;
-    return message;
-  };
+  }, [outboxEntries, activeTarget, activeMessages, address, dismissSent]);
 
   // Handle message sending
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!messageInput.trim() || isSending) return;
+    if (
+      (!messageInput.trim() && !attachment) ||
+      isSending ||
+      isUnlocking ||
+      isUploading
+    ) {
+      return;
+    }
+    setSendError(null);
 
     try {
-      sendMessage(messageInput.trim());
+      // @usernames are stored as address tokens
+      const text = encodeMentions(messageInput.trim(), users);
+      setMentionQuery(null);
+
+      // DMs to members with a published key are encrypted; the draft stays
+      // put if the wallet doesn't unlock our own key
+      const isEncrypted = !!activePeer && hasEncryptionKey(activePeerKey);
+      const pair = isEncrypted ? keyPair || (await unlockEncryption()) : null;
+      if (isEncrypted && !pair) return;
+
+      // Replies carry the parent's messageId in their envelope; the outbox
+      // shows the message right away and tracks its transaction
+      const replyTo = replyingTo && !activePeer ? replyingTo.messageId : null;
+      let content;
+      if (attachment) {
+        // The file is pinned first and the message only references it;
+        // in encrypted DMs only an encrypted copy leaves the browser
+        setIsUploading(true);
+        try {
+          const uploaded = await uploadAttachment(attachment.file, {
+            encrypt: isEncrypted,
+          });
+          content = encodeAttachment(uploaded, { text, replyTo });
+        } finally {
+          setIsUploading(false);
+        }
+      } else {
+        content = replyTo !== null ? encodeReply(text, replyTo) : text;
+      }
+
+      if (isEncrypted) {
+        const plaintext = content;
+        content = await encryptDirectMessage(plaintext, {
+          keyPair: pair,
+          sender: address,
+          receiver: activePeer,
+          receiverKey: activePeerKey,
+        });
+        rememberPlaintext(content, plaintext);
+      }
+
+      send(activeTarget, content);
       setMessageInput("");
-      // Refresh messages after sending
-      setTimeout(() => refetchMessages(), 2000);
+      setReplyingTo(null);
+      setAttachment(null);
     } catch (error) {
       console.error("Error sending message:", error);
+      setSendError(error.message);
     }
   };
 
@@ -177,6 +507,501 @@ const ChatPage = () => {
     );
   };
 
+  // Current username for an address, used to render @mentions
+  const getUsername = (userAddress) => getUserByAddress(userAddress)?.username;
+
+  // Attach a picked or dropped file to the draft
+  const attachFile = (file) => {
+    if (!file) return;
+
+    const problem = validateAttachment(file);
+    setSendError(problem);
+    if (problem) return;
+
+    setAttachment({ file, previewUrl: createFilePreview(file) });
+    composerRef.current?.focus();
+  };
+
+  // Release the image preview of a replaced or removed attachment
+  useEffect(
+    () => () => cleanupFilePreview(attachment?.previewUrl),
+    [attachment]
+  );
+
+  // Drag-and-drop of files onto the composer
+  const handleComposerDragOver = (e) => {
+    if (!activePeer && isMissingChannel) return;
+    if (![...e.dataTransfer.types].includes("Files")) return;
+
+    e.preventDefault();
+    setIsDraggingFile(true);
+  };
+
+  const handleComposerDrop = (e) => {
+    if (!activePeer && isMissingChannel) return;
+
+    e.preventDefault();
+    setIsDraggingFile(false);
+    attachFile(e.dataTransfer.files?.[0]);
+  };
+
+  // Track the draft and whether the caret follows an @query
+  const handleComposerChange = (e) => {
+    setMessageInput(e.target.value);
+    setSendError(null);
+    setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart));
+    setMentionIndex(0);
+  };
+
+  // Complete the @query with a username and move the caret after it
+  const chooseMention = (user) => {
+    const caret = composerRef.current?.selectionStart ?? messageInput.length;
+    const next = insertMention(
+      messageInput,
+      mentionQuery,
+      caret,
+      user.username
+    );
+
+    setMessageInput(next.text);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      composerRef.current?.focus();
+      composerRef.current?.setSelectionRange(next.caret, next.caret);
+    });
+  };
+
+  // Arrow keys, Enter and Tab drive the suggestions while they are open
+  const handleComposerKeyDown = (e) => {
+    if (mentionSuggestions.length > 0) {
+      const count = mentionSuggestions.length;
+
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        setMentionIndex(
+          (mentionIndex + (e.key === "ArrowDown" ? 1 : count - 1)) % count
+        );
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        chooseMention(
+          mentionSuggestions[mentionIndex] || mentionSuggestions[0]
+        );
+        return;
+      }
+      if (e.key === "Escape") {
+        setMentionQuery(null);
+        return;
+      }
+    }
+
+    // Enter sends, Shift+Enter adds a line
+    if (e.key === "Enter" && !e.shiftKey) {
+      handleSendMessage(e);
+    }
+  };
+
+  // Open a one-to-one thread with another member
+  const openDirectMessage = (peerAddress) => {
+    if (
+      !peerAddress ||
+      (address && peerAddress.toLowerCase() === address.toLowerCase())
+    ) {
+      return;
+    }
+    setActivePeer(peerAddress);
+    setShowSidebar(false);
+  };
+
+  // Display name for a message's sender
+  const getDisplayName = (message) =>
+    getUserByAddress(message.sender)?.username ||
+    (isBotAddress(message.sender) ? "Price Bot" : "Unknown");
+
+  // Start editing one of your own text messages
+  const startEditing = (message, envelope) => {
+    setEditingId(String(message.messageId));
+    setEditInput(decodeMentions(envelope.data.text, getUsername));
+    setPendingDeleteId(null);
+  };
+
+  // Save an inline edit; replies keep pointing at their parent
+  const handleSaveEdit = (e, message, envelope) => {
+    e.preventDefault();
+    const text = encodeMentions(editInput.trim(), users);
+    const parentId = getReplyParentId(envelope);
+
+    if (text && text !== envelope.data.text) {
+      try {
+        editMessage(
+          message.messageId,
+          parentId ? encodeReply(text, parentId) : text
+        );
+      } catch (error) {
+        console.error("Error editing message:", error);
+        return;
+      }
+    }
+    setEditingId(null);
+  };
+
+  // Delete on the second click
+  const handleDelete = (message) => {
+    const id = String(message.messageId);
+    if (pendingDeleteId !== id) {
+      setPendingDeleteId(id);
+      return;
+    }
+
+    deleteMessage(message.messageId);
+    setPendingDeleteId(null);
+  };
+
+  // Switch to a channel (and out of any DM)
+  const openChannel = (name) => {
+    setActivePeer(null);
+    setShowSidebar(false);
+    navigate(getChannelPath(name));
+  };
+
+  // Open the thread a search result belongs to and scroll to it
+  const handleSearchJump = (result) => {
+    setShowMentionsOnly(false);
+    if (result.peer) {
+      openDirectMessage(result.peer);
+    } else if (activePeer || !isGeneral) {
+      openChannel(GENERAL_CHANNEL);
+    }
+    setJumpTarget(result.id);
+  };
+
+  // Create a channel from the sidebar form
+  const handleCreateChannel = (e) => {
+    e.preventDefault();
+    const name = normalizeChannelName(channelInput);
+    if (!isValidChannelName(name)) return;
+
+    if (channels.some((channel) => channel.name === name)) {
+      openChannel(name);
+      setChannelInput("");
+      setShowChannelForm(false);
+      return;
+    }
+
+    creatingChannelRef.current = name;
+    createChannel(name);
+  };
+
+  const channelInputName = normalizeChannelName(channelInput);
+  const isChannelInputValid = isValidChannelName(channelInputName);
+
+  // Display name for the DM partner being viewed
+  const activePeerName = activePeer
+    ? getUserByAddress(activePeer)?.username ||
+      `${activePeer.slice(0, 6)}...${activePeer.slice(-4)}`
+    : null;
+
+  // Published encryption key of the DM partner, if any
+  const activePeerKey = activePeer
+    ? getUserByAddress(activePeer)?.encryptionKey
+    : null;
+  const isPeerEncrypted = hasEncryptionKey(activePeerKey);
+
+  // Outbox rows have no search id until their on-chain copy arrives
+  const getRowKey = (message) =>
+    message.outbox ? message.outbox.id : searchIds.get(message);
+
+  // Render one message row of the list
+  const renderMessage = (message) => {
+    const user = getUserByAddress(message.sender);
+    const isCurrentUser =
+      message.sender &&
+      address &&
+      message.sender.toLowerCase() === address.toLowerCase();
+
+    const envelope = decodeMessage(getPlaintext(message.content));
+    // Only configured bot wallets get bot styling, so
+    // members can't impersonate the price bot
+    const isBot = isBotAddress(message.sender);
+    const displayName = getDisplayName(message);
+    const messageKey = String(message.messageId);
+    const parentId = activePeer ? null : getReplyParentId(envelope);
+    const parent = parentId ? messagesById.get(parentId) : null;
+    const replyCount = activePeer ? 0 : replyIndex.get(messageKey)?.length || 0;
+    const editCount = Number(message.editCount || 0);
+    const outbox = message.outbox;
+    const canModify =
+      isCurrentUser && !activePeer && !message.isDeleted && !outbox;
+    const canEdit = canModify && envelope.type === MESSAGE_TYPES.text;
+    const isEditing = canEdit && editingId === messageKey;
+    const isMentioned =
+      !isCurrentUser && messageMentionsAddress(message, address, getPlaintext);
+    const rowKey = getRowKey(message);
+
+    return (
+      <div
+        id={`message-${rowKey}`}
+        className={`relative flex space-x-3 p-2 rounded-lg group transition-colors duration-150 ${
+          highlightedId === rowKey ? "ring-2 ring-amigo-green" : ""
+        } ${outbox?.status === OUTBOX_STATUS.pending ? "opacity-60" : ""} ${
+          isBot
+            ? "bg-gradient-to-r from-amigo-green/10 to-amigo-green/5 border border-amigo-green/20"
+            : isMentioned
+            ? "bg-amigo-green/5 border-l-2 border-amigo-green"
+            : "hover:bg-amigo-gray/5"
+        }`}
+      >
+        <img
+          src={
+            isBot
+              ? "/logo.png"
+              : getIPFSUrl(user?.ipfsProfilePicHash) || "/logo.png"
+          }
+          alt={displayName}
+          className={`w-10 h-10 rounded-full object-cover border ${
+            isBot ? "border-amigo-green" : "border-amigo-gray-light"
+          }`}
+        />
+        <div className="flex-1 min-w-0">
+          {/* Quoted parent */}
+          {parentId && (
+            <button
+              onClick={() => setThreadParentId(parentId)}
+              className="flex items-center max-w-full mb-1 text-amigo-gray-light hover:text-amigo-white font-mono text-xs transition-colors"
+            >
+              <span className="mr-1">↪</span>
+              <span className="truncate">
+                {parent?.isDeleted
+                  ? "Deleted message"
+                  : parent
+                  ? `${getDisplayName(parent)}: ${getMessagePreview(
+                      decodeMessage(parent.content),
+                      60,
+                      getUsername
+                    )}`
+                  : "Reply to an earlier message"}
+              </span>
+            </button>
+          )}
+          <div className="flex items-baseline space-x-2 mb-1">
+            <span
+              className={`font-mono font-semibold text-sm ${
+                isBot
+                  ? "text-amigo-green"
+                  : isCurrentUser
+                  ? "text-amigo-green"
+                  : "text-amigo-white"
+              }`}
+            >
+              {displayName}
+            </span>
+            {isBot && (
+              <span className="bg-amigo-green/20 text-amigo-green px-2 py-0.5 rounded text-xs font-mono">
+                BOT
+              </span>
+            )}
+            <span className="text-amigo-gray-light font-mono text-xs">
+              {formatTime(message.timestamp)}
+            </span>
+            {editCount > 0 && !message.isDeleted && (
+              <span className="relative">
+                <button
+                  onClick={() =>
+                    setHistoryId(historyId === messageKey ? null : messageKey)
+                  }
+                  className="text-amigo-gray-light hover:text-amigo-white font-mono text-xs"
+                  title="Show edit history"
+                >
+                  (edited)
+                </button>
+                {historyId === messageKey && (
+                  <MessageHistoryPopover
+                    messageId={message.messageId}
+                    editCount={message.editCount}
+                    formatTime={formatTime}
+                    getUsername={getUsername}
+                    onClose={() => setHistoryId(null)}
+                  />
+                )}
+              </span>
+            )}
+          </div>
+          <div className="text-amigo-white font-mono text-sm break-words leading-relaxed">
+            {message.isDeleted ? (
+              <span className="italic text-amigo-gray-light">
+                🗑 This message was deleted
+              </span>
+            ) : isEditing ? (
+              <form
+                onSubmit={(e) => handleSaveEdit(e, message, envelope)}
+                className="flex space-x-2"
+              >
+                <textarea
+                  value={editInput}
+                  onChange={(e) => setEditInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Escape") {
+                      setEditingId(null);
+                    } else if (e.key === "Enter" && !e.shiftKey) {
+                      handleSaveEdit(e, message, envelope);
+                    }
+                  }}
+                  rows={Math.min(6, editInput.split("\n").length)}
+                  maxLength="1000"
+                  className="flex-1 min-w-0 px-2 py-1 bg-amigo-gray-light border border-amigo-gray rounded text-amigo-white font-mono text-sm focus:border-amigo-green focus:outline-none resize-none"
+                  autoFocus
+                />
+                <button
+                  type="submit"
+                  disabled={!editInput.trim()}
+                  className="text-amigo-green hover:text-amigo-white font-mono text-xs disabled:opacity-50"
+                >
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setEditingId(null)}
+                  className="text-amigo-gray-light hover:text-amigo-white font-mono text-xs"
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <MessageBody
+                envelope={envelope}
+                isVerifiedBot={isBot}
+                getUsername={getUsername}
+              />
+            )}
+          </div>
+
+          {/* Read receipt of the peer */}
+          {message === seenMessage && (
+            <div className="mt-1 text-amigo-gray-light font-mono text-xs">
+              ✓✓ Seen
+            </div>
+          )}
+
+          {/* Delivery state of a message still in the outbox */}
+          {outbox && (
+            <div className="mt-1 flex items-center space-x-2 font-mono text-xs">
+              {outbox.status === OUTBOX_STATUS.failed ? (
+                <>
+                  <span
+                    className="text-red-400 truncate"
+                    title={outbox.error?.action}
+                  >
+                    ⚠ {outbox.error?.message || "Failed to send"}
+                  </span>
+                  <button
+                    onClick={() => retrySend(outbox.id)}
+                    className="shrink-0 text-amigo-green hover:underline"
+                  >
+                    Retry
+                  </button>
+                  <button
+                    onClick={() => dismissSent(outbox.id)}
+                    className="shrink-0 text-amigo-gray-light hover:text-amigo-white"
+                  >
+                    Discard
+                  </button>
+                </>
+              ) : (
+                <span
+                  className={
+                    outbox.status === OUTBOX_STATUS.confirmed
+                      ? "text-amigo-green"
+                      : "text-amigo-gray-light"
+                  }
+                  title={outbox.hash || undefined}
+                >
+                  {outbox.status === OUTBOX_STATUS.confirmed
+                    ? "✓ Confirmed"
+                    : outbox.hash
+                    ? "⏳ Pending"
+                    : "⏳ Waiting for wallet"}
+                  {outbox.hash &&
+                    ` · ${outbox.hash.slice(0, 10)}...${outbox.hash.slice(-4)}`}
+                </span>
+              )}
+            </div>
+          )}
+
+          {/* Reactions */}
+          {!activePeer && message.messageId != null && !message.isDeleted && (
+            <ReactionBar
+              messageId={message.messageId}
+              currentAddress={address}
+              getUser={getUserByAddress}
+            />
+          )}
+
+          {/* Reply counter */}
+          {replyCount > 0 && (
+            <button
+              onClick={() => setThreadParentId(messageKey)}
+              className="mt-1 text-amigo-green hover:underline font-mono text-xs"
+            >
+              💬 {replyCount} {replyCount === 1 ? "reply" : "replies"}
+            </button>
+          )}
+        </div>
+
+        {/* Hover actions */}
+        {!activePeer && !message.isDeleted && !isEditing && !outbox && (
+          <div
+            className={`absolute top-1 right-2 ${
+              pendingDeleteId === messageKey
+                ? "flex"
+                : "hidden group-hover:flex"
+            } items-center space-x-2 px-2 py-0.5 bg-amigo-gray border border-amigo-gray-light rounded font-mono text-xs`}
+          >
+            <button
+              onClick={() => setReplyingTo(message)}
+              className="text-amigo-gray-light hover:text-amigo-white"
+              title="Reply"
+            >
+              ↩ Reply
+            </button>
+            {canEdit && (
+              <button
+                onClick={() => startEditing(message, envelope)}
+                className="text-amigo-gray-light hover:text-amigo-white"
+              >
+                Edit
+              </button>
+            )}
+            {canModify &&
+              (pendingDeleteId === messageKey ? (
+                <>
+                  <button
+                    onClick={() => handleDelete(message)}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    Confirm delete
+                  </button>
+                  <button
+                    onClick={() => setPendingDeleteId(null)}
+                    className="text-amigo-gray-light hover:text-amigo-white"
+                  >
+                    ✕
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => handleDelete(message)}
+                  className="text-amigo-gray-light hover:text-red-400"
+                >
+                  Delete
+                </button>
+              ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Loading state
   if (!address) {
     return (
@@ -250,16 +1075,143 @@ const ChatPage = () => {
               <div className="flex items-center px-2 py-1 text-amigo-gray-light font-mono text-xs font-semibold uppercase tracking-wide">
                 <span className="mr-1">#</span>
                 Text Channels
+                <button
+                  onClick={() => setShowChannelForm(!showChannelForm)}
+                  className="ml-auto px-1 text-amigo-gray-light hover:text-amigo-white text-base leading-none"
+                  title="Create channel"
+                >
+                  {showChannelForm ? "−" : "+"}
+                </button>
               </div>
 
-              <Motion.div
-                whileHover={{ backgroundColor: "rgba(78, 93, 148, 0.1)" }}
-                className="flex items-center px-2 py-1 mx-2 rounded text-amigo-white font-mono text-sm cursor-pointer"
-              >
-                <span className="mr-2 text-amigo-gray-light">#</span>
-                general
-                <div className="ml-auto w-2 h-2 bg-amigo-green rounded-full"></div>
-              </Motion.div>
+              {/* New channel */}
+              {showChannelForm && (
+                <form onSubmit={handleCreateChannel} className="px-2 py-1">
+                  <div className="flex space-x-1">
+                    <input
+                      type="text"
+                      value={channelInput}
+                      onChange={(e) => setChannelInput(e.target.value)}
+                      placeholder="new-channel"
+                      maxLength="33"
+                      disabled={isCreatingChannel || isConfirmingChannel}
+                      className="flex-1 min-w-0 bg-amigo-black border border-amigo-gray-light rounded px-2 py-1 text-amigo-white font-mono text-xs focus:border-amigo-green focus:outline-none"
+                      autoFocus
+                    />
+                    <button
+                      type="submit"
+                      disabled={
+                        !isChannelInputValid ||
+                        isCreatingChannel ||
+                        isConfirmingChannel
+                      }
+                      className="text-amigo-green hover:text-amigo-white font-mono text-xs px-1 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {isCreatingChannel || isConfirmingChannel
+                        ? "..."
+                        : "Create"}
+                    </button>
+                  </div>
+                  <p className="mt-1 text-amigo-gray-light font-mono text-xs">
+                    {channelInput && !isChannelInputValid
+                      ? "a-z, 0-9 and -, up to 32 characters"
+                      : isConfirmingChannel
+                      ? "Waiting for confirmation..."
+                      : createChannelError
+                      ? `${createChannelError.message} ${createChannelError.action}`
+                      : `Creates #${channelInputName || "name"}`}
+                  </p>
+                </form>
+              )}
+
+              {[
+                { name: GENERAL_CHANNEL },
+                ...channels.filter(
+                  (channel) => channel.name !== GENERAL_CHANNEL
+                ),
+              ].map((channel) => {
+                const isActive = !activePeer && channel.name === activeChannel;
+
+                return (
+                  <Motion.div
+                    key={channel.name}
+                    whileHover={{ backgroundColor: "rgba(78, 93, 148, 0.1)" }}
+                    onClick={() => openChannel(channel.name)}
+                    className={`flex items-center px-2 py-1 mx-2 rounded font-mono text-sm cursor-pointer ${
+                      isActive
+                        ? "text-amigo-white bg-amigo-gray-light/30"
+                        : "text-amigo-gray-light hover:text-amigo-white"
+                    }`}
+                  >
+                    <span className="mr-2 text-amigo-gray-light">#</span>
+                    <span className="truncate">{channel.name}</span>
+                    {isActive && (
+                      <div className="ml-auto w-2 h-2 bg-amigo-green rounded-full"></div>
+                    )}
+                  </Motion.div>
+                );
+              })}
+            </div>
+
+            {/* Direct Messages */}
+            <div className="px-2 mt-6">
+              <div className="flex items-center px-2 py-1 text-amigo-gray-light font-mono text-xs font-semibold uppercase tracking-wide">
+                <span className="mr-1">@</span>
+                Direct Messages
+              </div>
+
+              {conversations.length === 0 ? (
+                <p className="px-4 py-1 text-amigo-gray-light font-mono text-xs">
+                  Click a member to start a conversation
+                </p>
+              ) : (
+                conversations.map((peerAddress) => {
+                  const peer = getUserByAddress(peerAddress);
+                  const isActive =
+                    activePeer &&
+                    activePeer.toLowerCase() === peerAddress.toLowerCase();
+                  const unreadCount =
+                    unreadCounts.get(peerAddress.toLowerCase()) || 0;
+
+                  return (
+                    <Motion.div
+                      key={peerAddress}
+                      whileHover={{
+                        backgroundColor: "rgba(78, 93, 148, 0.1)",
+                      }}
+                      onClick={() => openDirectMessage(peerAddress)}
+                      className={`flex items-center px-2 py-1 mx-2 rounded font-mono text-sm cursor-pointer ${
+                        isActive
+                          ? "text-amigo-white bg-amigo-gray-light/30"
+                          : "text-amigo-gray-light hover:text-amigo-white"
+                      }`}
+                    >
+                      <img
+                        src={
+                          getIPFSUrl(peer?.ipfsProfilePicHash) || "/logo.png"
+                        }
+                        alt={peer?.username || "Unknown"}
+                        className="w-5 h-5 mr-2 rounded-full object-cover border border-amigo-gray"
+                      />
+                      <span
+                        className={`truncate ${
+                          unreadCount > 0 ? "text-amigo-white font-bold" : ""
+                        }`}
+                      >
+                        {peer?.username ||
+                          `${peerAddress.slice(0, 6)}...${peerAddress.slice(
+                            -4
+                          )}`}
+                      </span>
+                      {unreadCount > 0 && (
+                        <span className="ml-auto px-1.5 rounded-full bg-amigo-green text-amigo-black text-xs font-bold">
+                          {unreadCount}
+                        </span>
+                      )}
+                    </Motion.div>
+                  );
+                })
+              )}
             </div>
           </div>
 
@@ -320,17 +1272,80 @@ const ChatPage = () => {
               </svg>
             </button>
 
-            <span className="text-amigo-gray-light mr-2 text-xl">#</span>
+            <span className="text-amigo-gray-light mr-2 text-xl">
+              {activePeer ? "@" : "#"}
+            </span>
             <h2 className="text-amigo-white font-bold font-mono text-lg">
-              general
+              {activePeer ? activePeerName : activeChannel}
             </h2>
 
             <div className="hidden sm:block ml-4 text-amigo-gray-light font-mono text-sm">
-              Welcome to #general
+              {activePeer
+                ? isPeerEncrypted
+                  ? "🔒 End-to-end encrypted — only you and your amigo"
+                  : "Direct message — only you and your amigo"
+                : `Welcome to ${activeThreadLabel}`}
             </div>
+
+            {activePeer && canMarkRead && (
+              <button
+                onClick={markRead}
+                disabled={isMarking}
+                className="ml-4 px-2 py-1 border border-amigo-gray-light/40 rounded text-amigo-gray-light hover:text-amigo-white font-mono text-xs transition-colors disabled:opacity-50"
+                title={
+                  markReadError
+                    ? `${markReadError.message} ${markReadError.action}`
+                    : `Let ${activePeerName} know you've read their messages`
+                }
+              >
+                {isMarking
+                  ? "Sending receipt..."
+                  : markReadError
+                  ? "⚠ Retry read receipt"
+                  : "✓ Mark as read"}
+              </button>
+            )}
           </div>
 
           <div className="flex items-center space-x-4">
+            <button
+              onClick={() => {
+                setShowSearch(!showSearch);
+                setThreadParentId(null);
+              }}
+              className={`p-2 rounded transition-colors ${
+                showSearch
+                  ? "text-amigo-green"
+                  : "text-amigo-gray-light hover:text-amigo-white"
+              }`}
+              title="Search messages"
+            >
+              <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+                <path
+                  fillRule="evenodd"
+                  d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z"
+                  clipRule="evenodd"
+                />
+              </svg>
+            </button>
+
+            <button
+              onClick={() => setShowMentionsOnly(!showMentionsOnly)}
+              className={`flex items-center px-2 py-1 border rounded font-mono text-xs transition-colors ${
+                showMentionsOnly
+                  ? "border-amigo-green text-amigo-green"
+                  : "border-amigo-gray-light/40 text-amigo-gray-light hover:text-amigo-white"
+              }`}
+              title="Only show messages that mention you"
+            >
+              @ Mentions
+              {mentionedMessages.length > 0 && (
+                <span className="ml-1 px-1 rounded bg-amigo-green text-amigo-black">
+                  {mentionedMessages.length}
+                </span>
+              )}
+            </button>
+
             <div className="hidden sm:flex items-center text-amigo-gray-light font-mono text-sm">
               <div className="w-2 h-2 bg-green-400 rounded-full mr-2"></div>
               {(users || []).length} online
@@ -352,8 +1367,8 @@ const ChatPage = () => {
           {/* Messages Container */}
           <div className="flex-1 flex flex-col min-w-0">
             {/* Messages List */}
-            <div className="flex-1 overflow-y-auto px-4 py-4">
-              {loadingMessages ? (
+            {loadingActiveMessages ? (
+              <div className="flex-1 overflow-y-auto px-4 py-4">
                 <div className="space-y-4">
                   {[...Array(6)].map((_, i) => (
                     <div key={i} className="flex space-x-3">
@@ -365,122 +1380,296 @@ const ChatPage = () => {
                     </div>
                   ))}
                 </div>
-              ) : !messages || messages.length === 0 ? (
-                <div className="flex flex-col items-center justify-center h-full text-center">
-                  <div className="text-6xl mb-4">💬</div>
-                  <h3 className="text-amigo-white font-mono text-xl font-bold mb-2">
-                    Welcome to #general!
-                  </h3>
-                  <p className="text-amigo-gray-light font-mono max-w-md">
-                    This is the beginning of the general channel. Start the
-                    conversation!
-                  </p>
+              </div>
+            ) : showMentionsOnly &&
+              activeMessages?.length > 0 &&
+              visibleMessages.length === 0 ? (
+              <div className="flex-1 flex flex-col items-center justify-center px-4 text-center">
+                <div className="text-6xl mb-4">@</div>
+                <h3 className="text-amigo-white font-mono text-xl font-bold mb-2">
+                  No mentions here
+                </h3>
+                <p className="text-amigo-gray-light font-mono max-w-md">
+                  Nobody has mentioned you in{" "}
+                  {activePeer ? `@${activePeerName}` : activeThreadLabel} yet.
+                </p>
+                <button
+                  onClick={() => setShowMentionsOnly(false)}
+                  className="mt-4 px-4 py-2 border border-amigo-green text-amigo-green font-mono text-sm rounded-lg hover:bg-amigo-green hover:text-amigo-black transition-colors"
+                >
+                  Show all messages
+                </button>
+              </div>
+            ) : listMessages.length === 0 ? (
+              <div className="flex-1 flex flex-col items-center justify-center px-4 text-center">
+                <div className="text-6xl mb-4">💬</div>
+                <h3 className="text-amigo-white font-mono text-xl font-bold mb-2">
+                  {activePeer
+                    ? `Say hi to ${activePeerName}!`
+                    : isMissingChannel
+                    ? `${activeThreadLabel} doesn't exist`
+                    : `Welcome to ${activeThreadLabel}!`}
+                </h3>
+                <p className="text-amigo-gray-light font-mono max-w-md">
+                  {activePeer
+                    ? "This is the beginning of your direct message history."
+                    : isMissingChannel
+                    ? "Create it from the sidebar, or head back to #general."
+                    : `This is the beginning of the ${activeChannel} channel. Start the conversation!`}
+                </p>
+                {isMissingChannel && !activePeer && (
+                  <button
+                    onClick={() => openChannel(GENERAL_CHANNEL)}
+                    className="mt-4 px-4 py-2 border border-amigo-green text-amigo-green font-mono text-sm rounded-lg hover:bg-amigo-green hover:text-amigo-black transition-colors"
+                  >
+                    Go to #general
+                  </button>
+                )}
+              </div>
+            ) : (
+              <VirtualMessageList
+                key={activePeer || activeChannel}
+                items={listMessages}
+                getKey={getRowKey}
+                renderItem={renderMessage}
+                hasOlder={!activePeer && isGeneral && hasOlderMessages}
+                isLoadingOlder={isLoadingOlderMessages}
+                onLoadOlder={loadOlderMessages}
+                scrollToKey={jumpTarget}
+                onScrolledToKey={(key) => {
+                  setHighlightedId(key);
+                  setJumpTarget(null);
+                }}
+              />
+            )}
+
+            {/* Message Input */}
+            <div
+              onDragOver={handleComposerDragOver}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) {
+                  setIsDraggingFile(false);
+                }
+              }}
+              onDrop={handleComposerDrop}
+              className={`p-4 border-t transition-colors ${
+                isDraggingFile
+                  ? "border-amigo-green bg-amigo-green/10"
+                  : "border-amigo-gray"
+              }`}
+            >
+              {/* Encryption state of the DM thread */}
+              {activePeer &&
+                (!keyPair || !isKeyPublished || !isPeerEncrypted) && (
+                  <div className="flex items-center mb-2 px-3 py-2 bg-amigo-gray/40 border-l-2 border-amigo-green rounded font-mono text-xs">
+                    <span className="flex-1 text-amigo-gray-light">
+                      {!keyPair
+                        ? "🔒 Unlock encryption to read and send encrypted messages. Your wallet signs a message; no gas is needed."
+                        : !isKeyPublished
+                        ? "🔒 Publish your encryption key so amigos can send you encrypted messages."
+                        : `⚠ ${activePeerName} hasn't enabled encryption yet. Messages in this thread are public on-chain.`}
+                    </span>
+                    {(!keyPair || !isKeyPublished) && (
+                      <button
+                        onClick={unlockEncryption}
+                        disabled={isUnlocking}
+                        className="ml-2 px-2 py-1 border border-amigo-green text-amigo-green rounded hover:bg-amigo-green hover:text-amigo-black transition-colors disabled:opacity-50"
+                      >
+                        {isUnlocking
+                          ? "Unlocking..."
+                          : !keyPair
+                          ? "Unlock encryption"
+                          : "Publish key"}
+                      </button>
+                    )}
+                  </div>
+                )}
+              {activePeer && encryptionError && (
+                <div className="mb-2 text-red-400 font-mono text-xs">
+                  {encryptionError.message} {encryptionError.action}
                 </div>
-              ) : (
-                <div className="space-y-4">
-                  {(messages || [])
-                    .filter((message) => message && message.sender)
-                    .map((message, index) => {
-                      const user = getUserByAddress(message.sender);
-                      const isCurrentUser =
-                        message.sender &&
-                        address &&
-                        message.sender.toLowerCase() === address.toLowerCase();
-
-                      // Check if this is a price update message
-                      const isPriceUpdate =
-                        message.content &&
-                        message.content.includes("🤖 **Price Update");
-
-                      return (
-                        <Motion.div
-                          key={`${message.messageId}-${index}`}
-                          initial={{ opacity: 0, y: 10 }}
-                          animate={{ opacity: 1, y: 0 }}
-                          className={`flex space-x-3 p-2 rounded-lg group transition-colors duration-150 ${
-                            isPriceUpdate
-                              ? "bg-gradient-to-r from-amigo-green/10 to-amigo-green/5 border border-amigo-green/20"
-                              : "hover:bg-amigo-gray/5"
+              )}
+              {sendError && (
+                <div className="mb-2 text-red-400 font-mono text-xs">
+                  {sendError}
+                </div>
+              )}
+              {/* Reply preview */}
+              {replyingTo && (
+                <div className="flex items-center mb-2 px-3 py-2 bg-amigo-gray/40 border-l-2 border-amigo-green rounded font-mono text-xs">
+                  <span className="text-amigo-gray-light mr-1">
+                    Replying to
+                  </span>
+                  <span className="text-amigo-white font-semibold mr-2">
+                    {getDisplayName(replyingTo)}
+                  </span>
+                  <span className="flex-1 truncate text-amigo-gray-light">
+                    {getMessagePreview(
+                      decodeMessage(replyingTo.content),
+                      80,
+                      getUsername
+                    )}
+                  </span>
+                  <button
+                    onClick={() => setReplyingTo(null)}
+                    className="ml-2 text-amigo-gray-light hover:text-amigo-white"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+              {/* Attached file */}
+              {attachment && (
+                <div className="flex items-center mb-2 px-3 py-2 bg-amigo-gray/40 border-l-2 border-amigo-green rounded font-mono text-xs">
+                  {attachment.previewUrl ? (
+                    <img
+                      src={attachment.previewUrl}
+                      alt={attachment.file.name}
+                      className="w-10 h-10 mr-3 object-cover rounded"
+                    />
+                  ) : (
+                    <span className="text-xl mr-3">
+                      {attachment.file.type === "application/pdf" ? "📄" : "📎"}
+                    </span>
+                  )}
+                  <span className="flex-1 min-w-0">
+                    <span className="block text-amigo-white truncate">
+                      {attachment.file.name}
+                    </span>
+                    <span className="block text-amigo-gray-light">
+                      {formatFileSize(attachment.file.size)}
+                      {isUploading
+                        ? isPeerEncrypted
+                          ? " · Encrypting and uploading to IPFS..."
+                          : " · Uploading to IPFS..."
+                        : isPeerEncrypted
+                        ? " · Encrypted before upload"
+                        : ""}
+                    </span>
+                  </span>
+                  <button
+                    onClick={() => setAttachment(null)}
+                    disabled={isUploading}
+                    className="ml-2 text-amigo-gray-light hover:text-amigo-white disabled:opacity-50"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+              {isDraggingFile && (
+                <div className="mb-2 text-amigo-green font-mono text-xs text-center">
+                  Drop a file to attach it
+                </div>
+              )}
+              {/* Markdown preview */}
+              {showPreview && messageInput.trim() && (
+                <div className="mb-2 px-3 py-2 max-h-48 overflow-y-auto bg-amigo-gray/40 border border-amigo-gray rounded text-amigo-white font-mono text-sm break-words leading-relaxed">
+                  <Markdown
+                    text={encodeMentions(messageInput, users)}
+                    getUsername={getUsername}
+                  />
+                </div>
+              )}
+              <form
+                onSubmit={handleSendMessage}
+                className="flex items-end space-x-3"
+              >
+                <div className="flex-1 relative">
+                  {/* Mention autocomplete */}
+                  {mentionSuggestions.length > 0 && (
+                    <div className="absolute bottom-full left-0 mb-2 z-20 w-64 py-1 bg-amigo-black border border-amigo-gray-light rounded-lg shadow-2xl">
+                      {mentionSuggestions.map((user, i) => (
+                        <button
+                          key={user.address}
+                          type="button"
+                          // Keep focus (and the caret) in the composer
+                          onMouseDown={(e) => e.preventDefault()}
+                          onClick={() => chooseMention(user)}
+                          onMouseEnter={() => setMentionIndex(i)}
+                          className={`w-full flex items-center space-x-2 px-3 py-1.5 font-mono text-sm text-left ${
+                            i === mentionIndex
+                              ? "bg-amigo-gray-light/30 text-amigo-white"
+                              : "text-amigo-gray-light"
                           }`}
                         >
                           <img
                             src={
-                              isPriceUpdate
-                                ? "/logo.png"
-                                : getIPFSUrl(user?.ipfsProfilePicHash) ||
-                                  "/logo.png"
-                            }
-                            alt={
-                              isPriceUpdate
-                                ? "Price Bot"
-                                : user?.username || "Unknown"
+                              getIPFSUrl(user.ipfsProfilePicHash) || "/logo.png"
                             }
-                            className={`w-10 h-10 rounded-full object-cover border ${
-                              isPriceUpdate
-                                ? "border-amigo-green"
-                                : "border-amigo-gray-light"
-                            }`}
+                            alt={user.username}
+                            className="w-5 h-5 rounded-full object-cover border border-amigo-gray"
                           />
-                          <div className="flex-1 min-w-0">
-                            <div className="flex items-baseline space-x-2 mb-1">
-                              <span
-                                className={`font-mono font-semibold text-sm ${
-                                  isPriceUpdate
-                                    ? "text-amigo-green"
-                                    : isCurrentUser
-                                    ? "text-amigo-green"
-                                    : "text-amigo-white"
-                                }`}
-                              >
-                                {isPriceUpdate
-                                  ? "Price Bot"
-                                  : user?.username || "Unknown"}
-                              </span>
-                              {isPriceUpdate && (
-                                <span className="bg-amigo-green/20 text-amigo-green px-2 py-0.5 rounded text-xs font-mono">
-                                  BOT
-                                </span>
-                              )}
-                              <span className="text-amigo-gray-light font-mono text-xs">
-                                {formatTime(message.timestamp)}
-                              </span>
-                            </div>
-                            <div className="text-amigo-white font-mono text-sm break-words leading-relaxed">
-                              {isPriceUpdate ? (
-                                <PriceUpdateMessage content={message.content} />
-                              ) : (
-                                message.content
-                              )}
-                            </div>
-                          </div>
-                        </Motion.div>
-                      );
-                    })}
-                </div>
-              )}
-              <div ref={messagesEndRef} />
-            </div>
-
-            {/* Message Input */}
-            <div className="p-4 border-t border-amigo-gray">
-              <form onSubmit={handleSendMessage} className="flex space-x-3">
-                <div className="flex-1 relative">
-                  <input
-                    type="text"
+                          <span className="truncate">@{user.username}</span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <textarea
+                    ref={composerRef}
                     value={messageInput}
-                    onChange={(e) => setMessageInput(e.target.value)}
-                    placeholder="Message #general"
-                    className="w-full px-4 py-3 bg-amigo-gray-light border border-amigo-gray rounded-lg text-amigo-white font-mono placeholder-amigo-gray-light focus:border-amigo-green focus:outline-none transition-colors"
+                    onChange={handleComposerChange}
+                    onKeyDown={handleComposerKeyDown}
+                    onBlur={() => setMentionQuery(null)}
+                    rows={Math.min(6, messageInput.split("\n").length)}
+                    placeholder={
+                      activePeer
+                        ? `Message @${activePeerName}`
+                        : `Message ${activeThreadLabel}`
+                    }
+                    className="w-full px-4 py-3 bg-amigo-gray-light border border-amigo-gray rounded-lg text-amigo-white font-mono placeholder-amigo-gray-light focus:border-amigo-green focus:outline-none transition-colors resize-none"
                     maxLength="1000"
-                    disabled={isSending}
+                    disabled={
+                      isSending ||
+                      isUploading ||
+                      (!activePeer && isMissingChannel)
+                    }
                   />
                 </div>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  className="hidden"
+                  onChange={(e) => {
+                    attachFile(e.target.files?.[0]);
+                    e.target.value = "";
+                  }}
+                />
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={
+                    isSending ||
+                    isUploading ||
+                    (!activePeer && isMissingChannel)
+                  }
+                  className="px-3 py-3 border border-amigo-gray rounded-lg text-amigo-gray-light hover:text-amigo-white transition-colors disabled:opacity-50"
+                  title="Attach a file"
+                >
+                  📎
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowPreview(!showPreview)}
+                  className={`px-3 py-3 border rounded-lg font-mono text-sm transition-colors ${
+                    showPreview
+                      ? "border-amigo-green text-amigo-green"
+                      : "border-amigo-gray text-amigo-gray-light hover:text-amigo-white"
+                  }`}
+                  title="Preview markdown"
+                >
+                  Preview
+                </button>
                 <button
                   type="submit"
-                  disabled={!messageInput.trim() || isSending}
+                  disabled={
+                    (!messageInput.trim() && !attachment) ||
+                    isSending ||
+                    isUploading ||
+                    (!activePeer && isMissingChannel)
+                  }
                   className="px-4 py-3 bg-amigo-green text-amigo-black font-mono font-semibold rounded-lg hover:bg-amigo-green/80 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  {isSending ? (
+                  {isSending || isUploading ? (
                     <div className="w-5 h-5 border-2 border-amigo-black border-t-transparent rounded-full animate-spin"></div>
                   ) : (
                     "Send"
@@ -490,6 +1679,37 @@ const ChatPage = () => {
             </div>
           </div>
 
+          {/* Search Panel */}
+          <AnimatePresence>
+            {showSearch && (
+              <SearchPanel
+                filters={searchFilters}
+                onFiltersChange={setSearchFilters}
+                results={searchResults}
+                indexedCount={indexedCount}
+                isIndexing={isIndexing}
+                users={users}
+                getUser={getUserByAddress}
+                onJump={handleSearchJump}
+                onClose={() => setShowSearch(false)}
+              />
+            )}
+          </AnimatePresence>
+
+          {/* Thread Panel */}
+          <AnimatePresence>
+            {threadParent && (
+              <ThreadPanel
+                parent={threadParent}
+                replies={replyIndex.get(String(threadParent.messageId)) || []}
+                getUser={getUserByAddress}
+                formatTime={formatTime}
+                onReply={() => setReplyingTo(threadParent)}
+                onClose={() => setThreadParentId(null)}
+              />
+            )}
+          </AnimatePresence>
+
           {/* Right Sidebar - Members & Price Feeds */}
           <AnimatePresence>
             {showUserList && (
@@ -526,6 +1746,12 @@ const ChatPage = () => {
                         .map((user) => (
                           <div
                             key={user.address}
+                            onClick={() => openDirectMessage(user.address)}
+                            title={
+                              user.address === address
+                                ? undefined
+                                : `Message ${user.username || "this amigo"}`
+                            }
                             className="flex items-center space-x-2 p-2 rounded hover:bg-amigo-gray-light/30 cursor-pointer transition-colors"
                           >
                             <div className="relative">
@@ -571,9 +1797,9 @@ const ChatPage = () => {
 
                         {loadingPrices ? (
                           <div className="space-y-2">
-                            {["BTC", "ETH", "LINK"].map((symbol) => (
+                            {feeds.map((feed) => (
                               <div
-                                key={symbol}
+                                key={feed.pairId}
                                 className="bg-amigo-gray-light p-2 rounded"
                               >
                                 <div className="w-16 h-3 bg-amigo-gray rounded animate-pulse mb-1"></div>
@@ -583,9 +1809,18 @@ const ChatPage = () => {
                           </div>
                         ) : (
                           <div className="space-y-2">
-                            <PriceCard symbol="BTC" price={prices.btc} />
-                            <PriceCard symbol="ETH" price={prices.eth} />
-                            <PriceCard symbol="LINK" price={prices.link} />
+                            {feeds.length === 0 && (
+                              <p className="text-amigo-gray-light font-mono text-xs">
+                                No price feeds configured for this network
+                              </p>
+                            )}
+                            {feeds.map((feed) => (
+                              <PriceCard
+                                key={feed.pairId}
+                                feed={feed}
+                                onClick={() => setChartFeed(feed)}
+                              />
+                            ))}
 
                             <div className="space-y-1 pt-2">
                               <button
@@ -597,28 +1832,27 @@ const ChatPage = () => {
 
                               <button
                                 onClick={() => {
-                                  if (
-                                    prices &&
-                                    (prices.btc || prices.eth || prices.link)
-                                  ) {
+                                  if (hasPrices(prices)) {
                                     const priceMessage =
-                                      formatPriceMessage(prices);
-                                    sendMessage(priceMessage);
-                                    setTimeout(() => refetchMessages(), 2000);
+                                      createPriceUpdateMessage(prices);
+                                    send({}, priceMessage);
                                   }
                                 }}
-                                disabled={
-                                  !prices ||
-                                  (!prices.btc &&
-                                    !prices.eth &&
-                                    !prices.link) ||
-                                  isSending
-                                }
+                                disabled={!hasPrices(prices) || isSending}
                                 className="w-full text-amigo-green hover:text-amigo-white font-mono text-xs py-2 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                               >
                                 📢 Post to Chat
                               </button>
                             </div>
+
+                            <PriceAlertPanel
+                              feeds={feeds}
+                              alerts={alerts}
+                              onAdd={addAlert}
+                              onUpdate={updateAlert}
+                              onRemove={removeAlert}
+                              onSnooze={snoozeAlert}
+                            />
                           </div>
                         )}
                       </div>
@@ -630,71 +1864,22 @@ const ChatPage = () => {
           </AnimatePresence>
         </div>
       </div>
-    </div>
-  );
-};
-
-// Price Update Message Component - Special formatting for bot messages
-const PriceUpdateMessage = ({ content }) => {
-  // Parse the price update message
-  const lines = content.split("\n");
-  const header = lines[0]; // "🤖 **Price Update 10:30 AM** 📊"
-  const prices = lines.slice(2, -2).filter((line) => line.trim()); // Price lines
-  const footer = lines[lines.length - 1]; // "📡 Powered by Chainlink Oracles"
-
-  return (
-    <div className="bg-amigo-gray/30 rounded-lg p-3 border border-amigo-green/30">
-      {/* Header */}
-      <div className="flex items-center justify-center mb-3">
-        <span className="text-amigo-green font-mono font-bold text-sm">
-          {header.replace(/\*\*/g, "")}
-        </span>
-      </div>
-
-      {/* Price Grid */}
-      <div className="grid grid-cols-1 gap-2 mb-3">
-        {prices.map((price, index) => {
-          const parts = price.split(": $");
-          if (parts.length !== 2) return null;
 
-          const [symbol, value] = parts;
-          const cleanSymbol = symbol.trim();
-          const cleanValue = value.replace(/,/g, "");
-
-          return (
-            <div
-              key={index}
-              className="flex items-center justify-between bg-amigo-black/50 rounded px-3 py-2"
-            >
-              <span className="text-amigo-white font-mono text-sm font-semibold">
-                {cleanSymbol}
-              </span>
-              <span className="text-amigo-green font-mono text-sm font-bold">
-                $
-                {(() => {
-                  try {
-                    const num = parseFloat(cleanValue);
-                    return isNaN(num) ? cleanValue : num.toLocaleString();
-                  } catch {
-                    return cleanValue;
-                  }
-                })()}
-              </span>
-            </div>
-          );
-        })}
-      </div>
+      {/* Price Alert Toasts */}
+      <ToastStack toasts={toasts} onDismiss={dismissToast} />
 
-      {/* Footer */}
-      <div className="text-center text-amigo-gray-light font-mono text-xs">
-        {footer}
-      </div>
+      {/* Price History Chart */}
+      {chartFeed && (
+        <PriceChartDialog feed={chartFeed} onClose={() => setChartFeed(null)} />
+      )}
     </div>
   );
 };
 
 // Enhanced Price Card Component
-const PriceCard = ({ symbol, price }) => {
+// Shows the latest answer, a 24h sparkline, when it was updated, and whether
+// it is stale. Clicking it opens the full price chart.
+const PriceCard = ({ feed, onClick }) => {
   const formatPrice = (price) => {
     if (!price) return "N/A";
 
@@ -708,7 +1893,7 @@ const PriceCard = ({ symbol, price }) => {
 
       return num.toLocaleString("en-US", {
         style: "currency",
-        currency: "USD",
+        currency: feed.pairId.split("/")[1] || "USD",
         minimumFractionDigits: 2,
         maximumFractionDigits: 2,
       });
@@ -718,32 +1903,63 @@ const PriceCard = ({ symbol, price }) => {
     }
   };
 
-  const getIcon = (symbol) => {
-    switch (symbol) {
-      case "BTC":
-        return "₿";
-      case "ETH":
-        return "Ξ";
-      case "LINK":
-        return "🔗";
-      default:
-        return "💰";
-    }
-  };
+  const isUnavailable = !feed.price;
+  const isStale = !isUnavailable && feed.isStale;
+
+  const updatedAt = feed.updatedAt
+    ? new Date(feed.updatedAt * 1000).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : null;
 
   return (
-    <div className="bg-amigo-gray-light p-2 rounded border-l-2 border-amigo-green transition-all hover:bg-amigo-gray">
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={onClick}
+      onKeyDown={(e) => e.key === "Enter" && onClick()}
+      className={`bg-amigo-gray-light p-2 rounded border-l-2 transition-all hover:bg-amigo-gray cursor-pointer ${
+        isUnavailable
+          ? "border-red-500"
+          : isStale
+          ? "border-yellow-500"
+          : "border-amigo-green"
+      }`}
+      title={feed.error?.message || feed.pairId}
+    >
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-1">
-          <span className="text-sm">{getIcon(symbol)}</span>
+          <span className="text-sm">{feed.icon}</span>
           <span className="text-amigo-white font-mono text-xs font-semibold">
-            {symbol}
+            {feed.symbol}
           </span>
+          {isStale && (
+            <span className="bg-yellow-500/20 text-yellow-400 px-1 rounded text-[10px] font-mono uppercase">
+              Stale
+            </span>
+          )}
         </div>
-        <span className="text-amigo-green font-mono text-xs font-bold">
-          {formatPrice(price)}
+        <span
+          className={`font-mono text-xs font-bold ${
+            isUnavailable
+              ? "text-red-400"
+              : isStale
+              ? "text-yellow-400"
+              : "text-amigo-green"
+          }`}
+        >
+          {isUnavailable ? "Unavailable" : formatPrice(feed.price)}
         </span>
       </div>
+      <div className="mt-1">
+        <Sparkline pairId={feed.pairId} />
+      </div>
+      <div className="text-amigo-gray-light font-mono text-[10px] mt-1">
+        {updatedAt ? `Updated ${updatedAt}` : "No recent update"}
+      </div>
     </div>
   );
 };
@@ -1,7 +1,7 @@
 // Profile Page - User profile management
 // Displays user info and allows username changes
 
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import { useAccount } from "wagmi";
 import { motion as Motion } from "framer-motion";
@@ -10,6 +10,7 @@ import {
   useChangeUsername,
   useUsernameAvailability,
   useUserBalance,
+  useClearChatCache,
 } from "../hooks/useAmigoContract.js";
 import { getIPFSUrl } from "../utils/ipfs.js";
 import { ButtonLoader } from "../components/LoadingSpinner.jsx";
@@ -22,6 +23,7 @@ const ProfilePage = () => {
   const { address } = useAccount();
   const [isEditing, setIsEditing] = useState(false);
   const [newUsername, setNewUsername] = useState("");
+  const [cacheCleared, setCacheCleared] = useState(false);
 
   // Contract hooks
   const {
@@ -32,24 +34,48 @@ const ProfilePage = () => {
   const { balance, isLoading: loadingBalance } = useUserBalance();
   const { checkAvailability, availability, isChecking } =
     useUsernameAvailability();
-  const { changeUsername, isChanging, changeSuccess, changeError } =
-    useChangeUsername();
+  const {
+    changeUsername,
+    isPending: isChangePending,
+    isConfirming: isChangeConfirming,
+    isConfirmed: changeSuccess,
+    error: changeError,
+  } = useChangeUsername();
+  const isChanging = isChangePending || isChangeConfirming;
+  const {
+    clearCache,
+    isClearing,
+    error: clearCacheError,
+  } = useClearChatCache();
+
+  // Handle local cache reset
+  const handleClearCache = async () => {
+    setCacheCleared(false);
+    const cleared = await clearCache();
+    setCacheCleared(cleared);
+  };
 
   // Handle username change
   const handleUsernameChange = async () => {
     if (!newUsername.trim() || !availability?.isAvailable) return;
 
     try {
+      // The form stays open until the change is mined, so errors stay visible
       await changeUsername(newUsername.trim());
-      setIsEditing(false);
-      setNewUsername("");
-      // Refresh profile after change
-      setTimeout(() => refetchProfile(), 2000);
     } catch (error) {
       console.error("Error changing username:", error);
     }
   };
 
+  // Refresh the profile and close the form once the change is mined
+  useEffect(() => {
+    if (!changeSuccess) return;
+
+    refetchProfile();
+    setIsEditing(false);
+    setNewUsername("");
+  }, [changeSuccess, refetchProfile]);
+
   // Handle username input
   const handleUsernameInput = (value) => {
     const cleanValue = value.toLowerCase().replace(/[^a-z0-9]/g, "");
@@ -239,7 +265,10 @@ const ProfilePage = () => {
                   {changeError && (
                     <div className="bg-red-900 border border-red-500 p-3 rounded-lg">
                       <p className="text-red-300 font-mono text-sm">
-                        {changeError?.message || "Failed to change username"}
+                        {changeError.message}
+                      </p>
+                      <p className="text-red-400 font-mono text-xs mt-1">
+                        {changeError.action}
                       </p>
                     </div>
                   )}
@@ -371,6 +400,39 @@ const ProfilePage = () => {
                 </p>
               </div>
             </div>
+
+            {/* Local Cache */}
+            <div className="card">
+              <h3 className="text-xl font-bold text-amigo-green font-mono mb-4">
+                Local Cache
+              </h3>
+
+              <div className="flex items-center justify-between p-4 bg-amigo-gray-light rounded-lg gap-4">
+                <p className="text-amigo-gray-light font-mono text-sm">
+                  Chat history, profiles and direct messages are cached in this
+                  browser so the chat loads instantly. Clearing it forces a full
+                  resync from the blockchain.
+                </p>
+                <button
+                  onClick={handleClearCache}
+                  disabled={isClearing}
+                  className="btn btn-secondary shrink-0"
+                >
+                  {isClearing ? <ButtonLoader /> : "Clear Cache"}
+                </button>
+              </div>
+
+              {cacheCleared && (
+                <p className="mt-3 text-amigo-green font-mono text-sm">
+                  ✅ Local cache cleared
+                </p>
+              )}
+              {clearCacheError && (
+                <p className="mt-3 text-red-500 font-mono text-sm">
+                  {clearCacheError}
+                </p>
+              )}
+            </div>
           </Motion.div>
         </div>
       </div>
@@ -8,6 +8,7 @@ import { motion as Motion } from "framer-motion";
 import {
   useUsernameAvailability,
   useRegisterUser,
+  useUpdateProfilePicture,
   useIsUserRegistered,
 } from "../hooks/useAmigoContract.js";
 import {
@@ -38,6 +39,9 @@ const RegisterPage = () => {
   const [isUploading, setIsUploading] = useState(false);
   const [uploadError, setUploadError] = useState("");
   const [step, setStep] = useState(1); // 1: Picture, 2: Username, 3: Confirm
+  // The picture is saved once registered, or skipped if that fails
+  const [isPictureSkipped, setIsPictureSkipped] = useState(false);
+  const pictureStartedRef = useRef(false);
 
   // Custom hooks for contract interaction
   const {
@@ -54,6 +58,11 @@ const RegisterPage = () => {
     isConfirmed: registerSuccess,
     error: registerError,
   } = useRegisterUser();
+  const {
+    updateProfilePicture,
+    isConfirmed: pictureSaved,
+    error: pictureError,
+  } = useUpdateProfilePicture();
   const { refetch: refetchRegistrationStatus } = useIsUserRegistered();
 
   // Handle file selection for profile picture
@@ -137,17 +146,29 @@ const RegisterPage = () => {
     }
   }, [formData.username, checkAvailability]);
   //   console.log("Checking for Availability", handleUsernameChange);
-  // Upload to IPFS and register user
-  const handleRegistration = useCallback(async () => {
+  // Register user on blockchain; the upload proxy only accepts registered
+  // wallets, so the picture is uploaded afterwards
+  const handleRegistration = useCallback(() => {
     if (!formData.profilePicture || !formData.username) {
       return;
     }
 
+    setUploadError("");
+    registerUser(formData.username, "");
+  }, [formData, registerUser]);
+
+  // Upload the picture to IPFS and save it on the new profile
+  const savePicture = useCallback(async () => {
+    // A retry after a failed transaction reuses the uploaded picture
+    if (formData.ipfsHash) {
+      updateProfilePicture(`ipfs://${formData.ipfsHash}`);
+      return;
+    }
+
     try {
       setIsUploading(true);
       setUploadError("");
 
-      // Upload image to IPFS
       const uploadResult = await uploadToIPFS(
         formData.profilePicture,
         `${formData.username}-profile`
@@ -157,19 +178,34 @@ const RegisterPage = () => {
       const ipfsHash = uploadResult.ipfsHash;
       setFormData((prev) => ({ ...prev, ipfsHash }));
       console.log("Uploaded to IPFS:", ipfsHash);
-      // Register user on blockchain
-      await registerUser(formData.username, `ipfs://${ipfsHash}`);
+      updateProfilePicture(`ipfs://${ipfsHash}`);
     } catch (error) {
-      console.error("Registration error:", error);
-      setUploadError(error.message || "Registration failed. Please try again.");
+      console.error("Profile picture error:", error);
+      setUploadError(error.message || "Upload failed. Please try again.");
     } finally {
       setIsUploading(false);
     }
-  }, [formData, registerUser]);
+  }, [formData, updateProfilePicture]);
+
+  React.useEffect(() => {
+    if (registerSuccess && !pictureStartedRef.current) {
+      pictureStartedRef.current = true;
+      // Stay on this page while the picture is saved, even once the
+      // registration check sees the new profile
+      navigate("/register", {
+        replace: true,
+        state: { finishingProfile: true },
+      });
+      savePicture();
+    }
+  }, [registerSuccess, savePicture, navigate]);
+
+  const isProfileComplete =
+    registerSuccess && (pictureSaved || isPictureSkipped);
 
   // Handle successful registration
   React.useEffect(() => {
-    if (registerSuccess) {
+    if (isProfileComplete) {
       // Clean up preview URL
       if (previewUrl) {
         cleanupFilePreview(previewUrl);
@@ -195,7 +231,7 @@ const RegisterPage = () => {
       // Start the refetch and redirect process after initial delay
       setTimeout(performRedirect, 1500);
     }
-  }, [registerSuccess, navigate, previewUrl, refetchRegistrationStatus]);
+  }, [isProfileComplete, navigate, previewUrl, refetchRegistrationStatus]);
 
   // Animation variants
   const containerVariants = {
@@ -214,6 +250,8 @@ const RegisterPage = () => {
 
   // Show success message
   if (registerSuccess) {
+    const pictureProblem = uploadError || pictureError?.message;
+
     return (
       <div className="min-h-screen flex items-center justify-center px-4">
         <Motion.div
@@ -226,9 +264,41 @@ const RegisterPage = () => {
             Welcome to AmigosChat!
           </h2>
           <p className="text-amigo-gray-light mb-4 text-sm md:text-base">
-            Your registration was successful. Redirecting to chat...
+            {isProfileComplete
+              ? "Your registration was successful. Redirecting to chat..."
+              : "You're registered. Saving your profile picture..."}
           </p>
-          <div className="animate-pulse text-amigo-green">●●●</div>
+          {pictureProblem && !isProfileComplete ? (
+            <div className="space-y-3">
+              <div className="bg-red-900 border border-red-500 p-3 rounded-lg">
+                <p className="text-red-300 font-mono text-sm">
+                  {pictureProblem}
+                </p>
+                {!uploadError && pictureError?.action && (
+                  <p className="text-red-400 font-mono text-xs mt-1">
+                    {pictureError.action}
+                  </p>
+                )}
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => setIsPictureSkipped(true)}
+                  className="btn btn-ghost flex-1"
+                >
+                  Skip for now
+                </button>
+                <button
+                  onClick={savePicture}
+                  disabled={isUploading}
+                  className="btn btn-primary flex-1"
+                >
+                  {isUploading ? <ButtonLoader /> : "Retry"}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="animate-pulse text-amigo-green">●●●</div>
+          )}
         </Motion.div>
       </div>
     );
@@ -477,20 +547,21 @@ const RegisterPage = () => {
                   What happens next:
                 </h3>
                 <ul className="text-amigo-gray-light space-y-1">
-                  <li>• Your Picture will be Uploaded to IPFS</li>
                   <li>• You will be registered on Ethereum blockchain</li>
+                  <li>• Your Picture will be Uploaded to IPFS</li>
                   <li>• Your AmigoChat identity secured</li>
                   <li>• Join the decentralized community</li>
                 </ul>
               </div>
 
               {/* Error display */}
-              {(uploadError || registerError) && (
+              {registerError && (
                 <div className="bg-red-900 border border-red-500 p-3 rounded-lg">
                   <p className="text-red-300 font-mono text-sm">
-                    {uploadError ||
-                      registerError?.message ||
-                      "Registration failed"}
+                    {registerError.message}
+                  </p>
+                  <p className="text-red-400 font-mono text-xs mt-1">
+                    {registerError.action}
                   </p>
                 </div>
               )}
@@ -499,21 +570,17 @@ const RegisterPage = () => {
               <div className="flex space-x-3">
                 <button
                   onClick={() => setStep(2)}
-                  disabled={isUploading || isRegistering}
+                  disabled={isRegistering}
                   className="btn btn-ghost flex-1"
                 >
                   ← Back
                 </button>
                 <button
                   onClick={handleRegistration}
-                  disabled={isUploading || isRegistering}
+                  disabled={isRegistering}
                   className="btn btn-primary flex-1"
                 >
-                  {isUploading || isRegistering ? (
-                    <ButtonLoader />
-                  ) : (
-                    <>🚀 Register</>
-                  )}
+                  {isRegistering ? <ButtonLoader /> : <>🚀 Register</>}
                 </button>
               </div>
             </div>
@@ -0,0 +1,111 @@
+// Message attachments
+// Files are pinned to IPFS and the message only carries a reference
+// (CID, mime type, size and name) in an "attachment" envelope, with the
+// composer text as an optional caption. In encrypted DMs the file is
+// encrypted before upload and the envelope also carries its key and nonce
+
+import { encryptAttachmentFile } from "./dmEncryption.js";
+import { MESSAGE_TYPES, encodeMessage } from "./messageEnvelope.js";
+import { formatFileSize, isValidIPFSHash, uploadToIPFS } from "./ipfs.js";
+import {
+  DEFAULT_UPLOAD_TYPE,
+  getUploadLimit,
+  isAllowedUploadType,
+} from "./uploadPolicy.js";
+
+// Long file names are cut so the envelope stays under the contract limit
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Check whether a mime type is shown inline as an image
+ * @param {string} mime - Mime type of the attachment
+ * @returns {boolean} True for images
+ */
+export const isImageAttachment = (mime) =>
+  typeof mime === "string" && mime.startsWith("image/");
+
+/**
+ * Check a file before it is attached
+ * @param {File} file - File picked or dropped into the composer
+ * @returns {string|null} Why the file can't be attached, or null if it can
+ */
+export const validateAttachment = (file) => {
+  if (!file) return "No file selected";
+  if (file.size === 0) return "The file is empty";
+  if (!isAllowedUploadType(file.type)) {
+    return `${file.name} can't be attached (images, PDFs, text, JSON and zip files only)`;
+  }
+
+  const limit = getUploadLimit(file.type);
+  if (file.size > limit) {
+    return `${file.name} is too large (max ${formatFileSize(limit)})`;
+  }
+
+  return null;
+};
+
+/**
+ * Upload an attachment to IPFS
+ * @param {File} file - File to upload
+ * @param {Object} options - { encrypt } to pin an encrypted copy, for
+ * encrypted DMs
+ * @returns {Promise<Object>} { cid, mime, size, name }, plus { key, iv }
+ * when encrypted
+ */
+export const uploadAttachment = async (file, { encrypt = false } = {}) => {
+  const problem = validateAttachment(file);
+  if (problem) throw new Error(problem);
+
+  const encrypted = encrypt ? await encryptAttachmentFile(file) : null;
+  const upload = encrypted ? encrypted.file : file;
+  const { ipfsHash } = await uploadToIPFS(upload, upload.name, {
+    imagesOnly: false,
+    maxSize: getUploadLimit(upload.type),
+    fileType: encrypted ? "encrypted-attachment" : "attachment",
+  });
+
+  return {
+    cid: ipfsHash,
+    mime: file.type || DEFAULT_UPLOAD_TYPE,
+    size: file.size,
+    name: (file.name || "file").slice(0, MAX_NAME_LENGTH),
+    ...(encrypted ? { key: encrypted.key, iv: encrypted.iv } : {}),
+  };
+};
+
+/**
+ * Encode an attachment message
+ * @param {Object} attachment - { cid, mime, size, name, key?, iv? } from
+ * uploadAttachment
+ * @param {Object} options - { text, replyTo } caption and parent messageId
+ * @returns {string} Message content ready for sendMessage
+ */
+export const encodeAttachment = (attachment, { text, replyTo } = {}) =>
+  encodeMessage(MESSAGE_TYPES.attachment, {
+    ...attachment,
+    ...(text ? { text } : {}),
+    ...(replyTo !== undefined && replyTo !== null
+      ? { replyTo: String(replyTo) }
+      : {}),
+  });
+
+/**
+ * Read the file reference of an attachment envelope
+ * @param {Object} data - Envelope data
+ * @returns {Object|null} { cid, mime, size, name, encryption } where
+ * encryption is { key, iv } for encrypted files, or null if malformed
+ */
+export const getAttachment = (data) => {
+  if (!data || !isValidIPFSHash(data.cid)) return null;
+
+  return {
+    cid: data.cid,
+    mime: typeof data.mime === "string" ? data.mime : "",
+    size: Number.isFinite(data.size) ? data.size : null,
+    name: typeof data.name === "string" && data.name ? data.name : "file",
+    encryption:
+      typeof data.key === "string" && typeof data.iv === "string"
+        ? { key: data.key, iv: data.iv }
+        : null,
+  };
+};
@@ -0,0 +1,73 @@
+// Chainlink round helpers
+// Turns raw latestRoundData / getRoundData tuples into round objects and
+// checks them before any price is shown or posted
+
+// Longest time (seconds) an answer may go without an update before it's
+// treated as stale. Chainlink USD feeds on Sepolia update at least hourly.
+// Optional chaining keeps this importable from Node (bot/), which has no
+// import.meta.env
+export const PRICE_FEED_HEARTBEAT = Number(
+  import.meta.env?.VITE_PRICE_FEED_HEARTBEAT || 3600
+);
+
+// Why a round can't be trusted
+export const ROUND_ISSUES = {
+  missing: "missing",
+  invalidAnswer: "invalid-answer",
+  incomplete: "incomplete",
+  carriedOver: "carried-over",
+  stale: "stale",
+};
+
+/**
+ * Convert a raw round tuple into a round object
+ * @param {Array} data - [roundId, answer, startedAt, updatedAt, answeredInRound]
+ * @returns {Object|null} Round with bigint ids/answer and numeric timestamps
+ */
+export const parseRoundData = (data) => {
+  if (!Array.isArray(data) || data.length < 5) return null;
+
+  const [roundId, answer, startedAt, updatedAt, answeredInRound] = data;
+  return {
+    roundId,
+    answer,
+    startedAt: Number(startedAt),
+    updatedAt: Number(updatedAt),
+    answeredInRound,
+  };
+};
+
+/**
+ * Check a round for bad answers, unfinished rounds and staleness
+ * @param {Object|null} round - Round from parseRoundData
+ * @param {Object} options - { heartbeat (seconds), now (unix seconds) }
+ * @returns {Object} { isValid, isStale, issue } - issue is one of ROUND_ISSUES
+ */
+export const validateRound = (
+  round,
+  { heartbeat = PRICE_FEED_HEARTBEAT, now = Date.now() / 1000 } = {}
+) => {
+  if (!round) {
+    return { isValid: false, isStale: false, issue: ROUND_ISSUES.missing };
+  }
+  if (round.answer <= 0n) {
+    return {
+      isValid: false,
+      isStale: false,
+      issue: ROUND_ISSUES.invalidAnswer,
+    };
+  }
+  if (!round.updatedAt) {
+    return { isValid: false, isStale: false, issue: ROUND_ISSUES.incomplete };
+  }
+
+  // The answer was carried over from an earlier round
+  if (round.answeredInRound < round.roundId) {
+    return { isValid: true, isStale: true, issue: ROUND_ISSUES.carriedOver };
+  }
+  if (now - round.updatedAt > heartbeat) {
+    return { isValid: true, isStale: true, issue: ROUND_ISSUES.stale };
+  }
+
+  return { isValid: true, isStale: false, issue: null };
+};
@@ -0,0 +1,33 @@
+// Channel name helpers
+// Mirrors the rules in AmigoChat.isValidChannelName so bad names are caught
+// before a transaction is sent
+
+// Built-in channel backed by the contract's generalChatMessages
+export const GENERAL_CHANNEL = "general";
+
+// 1-32 characters of a-z, 0-9 and "-"
+const CHANNEL_NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+/**
+ * Turn user input like "#Trading Ideas" into a channel name
+ * @param {string} input - Raw channel name
+ * @returns {string} Lowercase name with spaces turned into dashes
+ */
+export const normalizeChannelName = (input) =>
+  (input || "").trim().replace(/^#+/, "").toLowerCase().replace(/\s+/g, "-");
+
+/**
+ * Check a channel name against the contract's rules
+ * @param {string} name - Normalized channel name
+ * @returns {boolean} True if the contract will accept it
+ */
+export const isValidChannelName = (name) =>
+  CHANNEL_NAME_PATTERN.test(name) && name !== GENERAL_CHANNEL;
+
+/**
+ * Route for a channel
+ * @param {string} name - Channel name
+ * @returns {string} "/chat" for #general, "/chat/<name>" otherwise
+ */
+export const getChannelPath = (name) =>
+  !name || name === GENERAL_CHANNEL ? "/chat" : `/chat/${name}`;
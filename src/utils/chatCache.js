@@ -0,0 +1,280 @@
+// Local chat cache for AmigoChat
+// Persists chat history, profiles, DM threads and price history in IndexedDB
+// so the chat renders instantly on reload and only has to catch up with the
+// chain
+
+import { CONTRACT_INFO } from "../contracts/AmigoChat.js";
+
+// Bump this when object stores change and add a step to upgradeSchema
+export const CHAT_CACHE_SCHEMA_VERSION = 2;
+
+// Object store names
+export const CACHE_STORES = {
+  messages: "messages", // General chat messages keyed by messageId
+  profiles: "profiles", // User profiles keyed by lowercase address
+  conversations: "conversations", // DM threads, channels and partner lists
+  meta: "meta", // Sync bookkeeping such as the last synced block
+  priceHistory: "priceHistory", // Price series keyed by "<pair>:<range>"
+};
+
+// Open database connections keyed by database name
+const connections = new Map();
+
+/**
+ * Build the database name for a chain and contract pair
+ * @param {number} chainId - Chain the contract is deployed on
+ * @param {string} contractAddress - AmigoChat contract address
+ * @returns {string} IndexedDB database name
+ */
+export const getChatCacheName = (
+  chainId,
+  contractAddress = CONTRACT_INFO.address
+) => `amigochat-${chainId}-${(contractAddress || "").toLowerCase()}`;
+
+/**
+ * Create or migrate object stores for a schema version change
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Schema version found on disk (0 if new)
+ */
+const upgradeSchema = (db, oldVersion) => {
+  if (oldVersion < 1) {
+    [
+      CACHE_STORES.messages,
+      CACHE_STORES.profiles,
+      CACHE_STORES.conversations,
+      CACHE_STORES.meta,
+    ].forEach((store) => db.createObjectStore(store));
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(CACHE_STORES.priceHistory);
+  }
+};
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open (or reuse) the cache database for a chain
+ * Resolves to null when IndexedDB is unavailable so callers can skip caching
+ * @param {number} chainId - Active chain id
+ * @returns {Promise<IDBDatabase|null>} Open database connection
+ */
+const openChatCache = (chainId) => {
+  if (typeof indexedDB === "undefined" || !chainId || !CONTRACT_INFO.address) {
+    return Promise.resolve(null);
+  }
+
+  const name = getChatCacheName(chainId);
+
+  if (!connections.has(name)) {
+    const connection = new Promise((resolve) => {
+      const request = indexedDB.open(name, CHAT_CACHE_SCHEMA_VERSION);
+
+      request.onupgradeneeded = (event) =>
+        upgradeSchema(request.result, event.oldVersion);
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let other tabs upgrade or delete the database
+        db.onversionchange = () => {
+          db.close();
+          connections.delete(name);
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        console.error("Error opening chat cache:", request.error);
+        connections.delete(name);
+        resolve(null);
+      };
+    });
+
+    connections.set(name, connection);
+  }
+
+  return connections.get(name);
+};
+
+/**
+ * Run a callback inside a transaction on one object store
+ * @param {number} chainId - Active chain id
+ * @param {string} storeName - Object store to use
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} callback - Receives the store, may return a promise
+ * @returns {Promise<any>} Callback result, or null if caching failed
+ */
+const withStore = async (chainId, storeName, mode, callback) => {
+  const db = await openChatCache(chainId);
+  if (!db) return null;
+
+  try {
+    const transaction = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    const result = await callback(transaction.objectStore(storeName));
+    await done;
+    return result;
+  } catch (error) {
+    console.error("Chat cache error:", error);
+    return null;
+  }
+};
+
+/**
+ * Read a single cached value
+ * @param {number} chainId - Active chain id
+ * @param {string} storeName - Object store to read from
+ * @param {string} key - Entry key
+ * @returns {Promise<any>} Cached value, or null if missing
+ */
+export const getCachedValue = async (chainId, storeName, key) => {
+  const value = await withStore(chainId, storeName, "readonly", (store) =>
+    requestToPromise(store.get(key))
+  );
+  return value ?? null;
+};
+
+/**
+ * Write a single cached value
+ * @param {number} chainId - Active chain id
+ * @param {string} storeName - Object store to write to
+ * @param {string} key - Entry key
+ * @param {any} value - Structured-cloneable value (BigInt is fine)
+ */
+export const putCachedValue = (chainId, storeName, key, value) =>
+  withStore(chainId, storeName, "readwrite", (store) => {
+    store.put(value, key);
+  });
+
+/**
+ * Load the cached general chat history, the block it was synced up to and
+ * the index of the oldest message loaded so far
+ * @param {number} chainId - Active chain id
+ * @returns {Promise<Object|null>} Sync state ({ messages, lastBlock,
+ * oldestIndex })
+ */
+export const loadGeneralChatSnapshot = async (chainId) => {
+  const [messages, lastBlock, oldestIndex] = await Promise.all([
+    withStore(chainId, CACHE_STORES.messages, "readonly", (store) =>
+      requestToPromise(store.getAll())
+    ),
+    getCachedValue(chainId, CACHE_STORES.meta, "generalChat.lastBlock"),
+    getCachedValue(chainId, CACHE_STORES.meta, "generalChat.oldestIndex"),
+  ]);
+
+  if (!messages || lastBlock == null) return null;
+
+  return { messages, lastBlock, oldestIndex };
+};
+
+/**
+ * Persist general chat messages, optionally recording the synced block and
+ * the oldest loaded index
+ * @param {number} chainId - Active chain id
+ * @param {Array} messages - Messages to store (existing ids are overwritten)
+ * @param {bigint} lastBlock - Block the history is complete up to
+ * @param {number} oldestIndex - Index of the oldest message in the history
+ */
+export const saveGeneralChatMessages = async (
+  chainId,
+  messages,
+  lastBlock = null,
+  oldestIndex = null
+) => {
+  await withStore(chainId, CACHE_STORES.messages, "readwrite", (store) => {
+    messages.forEach((message) =>
+      store.put(message, Number(message.messageId))
+    );
+  });
+
+  if (lastBlock != null) {
+    await putCachedValue(
+      chainId,
+      CACHE_STORES.meta,
+      "generalChat.lastBlock",
+      lastBlock
+    );
+  }
+  if (oldestIndex != null) {
+    await putCachedValue(
+      chainId,
+      CACHE_STORES.meta,
+      "generalChat.oldestIndex",
+      oldestIndex
+    );
+  }
+};
+
+/**
+ * Delete the whole cache for a chain and contract
+ * @param {number} chainId - Active chain id
+ */
+export const clearChatCache = async (chainId) => {
+  if (typeof indexedDB === "undefined") return;
+
+  const name = getChatCacheName(chainId);
+  const connection = connections.get(name);
+  connections.delete(name);
+
+  const db = connection ? await connection : null;
+  db?.close();
+
+  await requestToPromise(indexedDB.deleteDatabase(name));
+};
+
+/**
+ * Load every cached user profile
+ * @param {number} chainId - Active chain id
+ * @returns {Promise<Object>} Profiles keyed by lowercase address
+ */
+export const loadCachedProfiles = async (chainId) => {
+  const profiles = await withStore(
+    chainId,
+    CACHE_STORES.profiles,
+    "readonly",
+    async (store) => {
+      const [keys, values] = await Promise.all([
+        requestToPromise(store.getAllKeys()),
+        requestToPromise(store.getAll()),
+      ]);
+      return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+    }
+  );
+
+  return profiles || {};
+};
+
+/**
+ * Persist several user profiles at once
+ * @param {number} chainId - Active chain id
+ * @param {Object} profiles - Profiles keyed by lowercase address
+ */
+export const saveCachedProfiles = (chainId, profiles) =>
+  withStore(chainId, CACHE_STORES.profiles, "readwrite", (store) => {
+    Object.entries(profiles).forEach(([key, profile]) =>
+      store.put(profile, key)
+    );
+  });
+
+/**
+ * Remove cached profiles so they are fetched again
+ * @param {number} chainId - Active chain id
+ * @param {Array<string>} addresses - Addresses to evict
+ */
+export const deleteCachedProfiles = (chainId, addresses) =>
+  withStore(chainId, CACHE_STORES.profiles, "readwrite", (store) => {
+    addresses.forEach((address) => store.delete(address.toLowerCase()));
+  });
@@ -0,0 +1,242 @@
+// Contract error decoding
+// Turns viem/wagmi write errors (wallet rejections, reverts, funding and
+// network problems) into friendly text with a suggested next step
+
+export const CONTRACT_ERROR_CODES = {
+  rejected: "rejected",
+  insufficientFunds: "insufficient-funds",
+  wrongNetwork: "wrong-network",
+  notConnected: "not-connected",
+  reverted: "reverted",
+  unknown: "unknown",
+};
+
+// require() messages of AmigoChat.sol, matched as substrings
+const REVERT_REASONS = [
+  {
+    reason: "Username is already taken",
+    message: "That username is already taken.",
+    action: "Pick a different username.",
+  },
+  {
+    reason: "Username cannot be empty",
+    message: "The username is empty.",
+    action: "Enter a username.",
+  },
+  {
+    reason: "Username too long",
+    message: "The username is too long.",
+    action: "Use 50 characters or fewer.",
+  },
+  {
+    reason: "User is already registered",
+    message: "This wallet is already registered.",
+    action: "Head to the chat, or switch to another wallet.",
+  },
+  {
+    reason: "User must be registered",
+    message: "This wallet isn't registered yet.",
+    action: "Create your profile before chatting.",
+  },
+  {
+    reason: "Encryption key cannot be empty",
+    message: "The encryption key is empty.",
+    action: "Unlock encrypted messages again to publish a new key.",
+  },
+  {
+    reason: "Receiver must be registered",
+    message: "That member isn't registered.",
+    action: "Only registered members can receive direct messages.",
+  },
+  {
+    reason: "Message cannot be empty",
+    message: "The message is empty.",
+    action: "Type something before sending.",
+  },
+  {
+    reason: "Message too long",
+    message: "The message is too long.",
+    action: "Keep messages to 1000 characters or fewer.",
+  },
+  {
+    reason: "Message does not exist",
+    message: "That message doesn't exist.",
+    action: "Refresh the chat and try again.",
+  },
+  {
+    reason: "Message was deleted",
+    message: "That message was deleted.",
+    action: "Deleted messages can't be changed.",
+  },
+  {
+    reason: "Only the sender can do this",
+    message: "Only the sender can change this message.",
+    action: "Switch to the wallet that sent it.",
+  },
+  {
+    reason: "Invalid channel name",
+    message: "That channel name isn't valid.",
+    action: "Use lowercase letters, numbers and dashes.",
+  },
+  {
+    reason: "Channel already exists",
+    message: "That channel already exists.",
+    action: "Open it from the sidebar or pick another name.",
+  },
+  {
+    reason: "Channel does not exist",
+    message: "That channel doesn't exist.",
+    action: "Create it from the sidebar first.",
+  },
+  {
+    reason: "Invalid reaction",
+    message: "That reaction isn't supported.",
+    action: "Pick one of the offered emoji.",
+  },
+  {
+    reason: "Only contract owner",
+    message: "Only the contract owner can do this.",
+    action: "Switch to the owner wallet.",
+  },
+  {
+    reason: "Price feed not found",
+    message: "That price feed isn't registered.",
+    action: "Check the pair name.",
+  },
+  {
+    reason: "Pair cannot be empty",
+    message: "The price pair is empty.",
+    action: "Enter a pair such as BTC/USD.",
+  },
+  {
+    reason: "New owner cannot be zero address",
+    message: "The new owner address is empty.",
+    action: "Enter the new owner's wallet address.",
+  },
+];
+
+/**
+ * Walk an error and its causes
+ * @param {Error} error - viem/wagmi error, possibly wrapping others
+ * @returns {Array<Object>} The error followed by each nested cause
+ */
+const getErrorChain = (error) => {
+  const chain = [];
+  let current = error;
+
+  while (current && typeof current === "object" && chain.length < 10) {
+    chain.push(current);
+    current = current.cause;
+  }
+
+  return chain;
+};
+
+/**
+ * Decode a contract write error into user-facing text
+ * @param {Error|string} error - Error from useWriteContract, a receipt or a string
+ * @returns {Object|null} { code, message, action, reason } or null without an error
+ */
+export const decodeContractError = (error) => {
+  if (!error) return null;
+
+  const source = typeof error === "string" ? new Error(error) : error;
+  const chain = getErrorChain(source);
+  const names = chain.map((item) => item.name).filter(Boolean);
+  const codes = chain.map((item) => item.code);
+  const text = chain
+    .flatMap((item) => [
+      item.reason,
+      item.shortMessage,
+      item.details,
+      item.message,
+    ])
+    .filter((part) => typeof part === "string")
+    .join(" ");
+  const lowerText = text.toLowerCase();
+
+  if (
+    names.includes("UserRejectedRequestError") ||
+    codes.includes(4001) ||
+    lowerText.includes("user rejected") ||
+    lowerText.includes("user denied")
+  ) {
+    return {
+      code: CONTRACT_ERROR_CODES.rejected,
+      message: "You rejected the request in your wallet.",
+      action: "Try again and approve it when your wallet asks.",
+      reason: null,
+    };
+  }
+
+  const known = REVERT_REASONS.find(({ reason }) => text.includes(reason));
+  if (known) {
+    return {
+      code: CONTRACT_ERROR_CODES.reverted,
+      message: known.message,
+      action: known.action,
+      reason: known.reason,
+    };
+  }
+
+  if (
+    names.includes("InsufficientFundsError") ||
+    lowerText.includes("insufficient funds")
+  ) {
+    return {
+      code: CONTRACT_ERROR_CODES.insufficientFunds,
+      message: "Your wallet doesn't have enough ETH to pay for gas.",
+      action: "Top up the wallet and try again.",
+      reason: null,
+    };
+  }
+
+  if (
+    names.some((name) => /ChainMismatch|ChainNotConfigured/.test(name)) ||
+    codes.includes(4902) ||
+    lowerText.includes("does not match the target chain")
+  ) {
+    return {
+      code: CONTRACT_ERROR_CODES.wrongNetwork,
+      message: "Your wallet is on a different network.",
+      action: "Switch your wallet to the network AmigoChat runs on.",
+      reason: null,
+    };
+  }
+
+  if (
+    names.some((name) =>
+      /ConnectorNotConnected|ConnectorAccountNotFound/.test(name)
+    )
+  ) {
+    return {
+      code: CONTRACT_ERROR_CODES.notConnected,
+      message: "Your wallet isn't connected.",
+      action: "Connect your wallet and try again.",
+      reason: null,
+    };
+  }
+
+  // An unknown require() message is still more useful than a generic line
+  const revert = chain.find(
+    (item) => item.name === "ContractFunctionRevertedError" && item.reason
+  );
+  if (revert || lowerText.includes("revert")) {
+    return {
+      code: CONTRACT_ERROR_CODES.reverted,
+      message: revert
+        ? `The contract rejected the transaction: ${revert.reason}`
+        : "The contract rejected the transaction.",
+      action: "Check the details and try again.",
+      reason: revert?.reason || null,
+    };
+  }
+
+  return {
+    code: CONTRACT_ERROR_CODES.unknown,
+    message:
+      source.shortMessage || "Something went wrong with the transaction.",
+    action: "Try again in a moment.",
+    reason: null,
+  };
+};
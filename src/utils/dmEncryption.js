@@ -0,0 +1,271 @@
+// End-to-end encryption for direct messages
+// Each wallet signs getEncryptionKeyMessage() once per device; the signature
+// hashes to an X25519 private key, so signing again on a new device
+// recovers the same key (as long as the wallet signs deterministically). Both sides of a thread derive the same AES-GCM key
+// via ECDH + HKDF, and the ciphertext is stored as an "encrypted" envelope
+// naming both public keys. Files attached to encrypted DMs are encrypted
+// with their own key before upload; that key only travels inside the
+// encrypted message. Uses only WebCrypto (browsers and Node 20+).
+
+import { MESSAGE_TYPES, encodeMessage } from "./messageEnvelope.js";
+import { ENCRYPTED_UPLOAD_TYPE } from "./uploadPolicy.js";
+
+// Version of the signed message; bumping it changes every user's key
+export const ENCRYPTION_KEY_VERSION = 2;
+
+/**
+ * Message a wallet signs to derive its encryption key
+ * Anyone holding the signature holds the key, so the message names the site,
+ * chain and contract it is for; a signature another dapp asks for can't be
+ * replayed here. Changing any of them changes every user's key
+ * @param {Object} options - { origin, chainId, contractAddress }
+ * @returns {string} Message to sign
+ */
+export const getEncryptionKeyMessage = ({ origin, chainId, contractAddress }) =>
+  [
+    "AmigoChat encryption key",
+    "",
+    "Sign to unlock your encrypted direct messages on this device.",
+    "Only sign this on the site below: the signature unlocks your messages.",
+    "This does not send a transaction or cost gas.",
+    "",
+    `Site: ${origin}`,
+    `Chain ID: ${chainId}`,
+    `Contract: ${contractAddress.toLowerCase()}`,
+    `Version: ${ENCRYPTION_KEY_VERSION}`,
+  ].join("\n");
+
+// Unset keys read from the contract as bytes32(0)
+const EMPTY_KEY = `0x${"0".repeat(64)}`;
+
+// PKCS#8 header for a raw 32-byte X25519 private key (RFC 8410)
+const X25519_PKCS8_PREFIX = new Uint8Array([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04,
+  0x22, 0x04, 0x20,
+]);
+
+const HKDF_INFO = new TextEncoder().encode("amigochat-dm-v1");
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const hexToBytes = (hex) =>
+  Uint8Array.from(hex.slice(2).match(/.{2}/g), (byte) => parseInt(byte, 16));
+
+const bytesToHex = (bytes) =>
+  `0x${[...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join("")}`;
+
+/**
+ * Check whether a profile has published an encryption key
+ * @param {string} encryptionKey - bytes32 hex from the profile
+ * @returns {boolean} True if the key is set
+ */
+export const hasEncryptionKey = (encryptionKey) =>
+  typeof encryptionKey === "string" &&
+  /^0x[0-9a-f]{64}$/i.test(encryptionKey) &&
+  encryptionKey.toLowerCase() !== EMPTY_KEY;
+
+/**
+ * Derive the encryption key pair from a signature of getEncryptionKeyMessage()
+ * @param {string} signature - Hex signature from the wallet
+ * @returns {Promise<Object>} { privateKey: CryptoKey (not extractable),
+ * publicKey: bytes32 hex }
+ */
+export const deriveEncryptionKeyPair = async (signature) => {
+  const seed = new Uint8Array(
+    await crypto.subtle.digest("SHA-256", hexToBytes(signature))
+  );
+  const pkcs8 = new Uint8Array(X25519_PKCS8_PREFIX.length + seed.length);
+  pkcs8.set(X25519_PKCS8_PREFIX);
+  pkcs8.set(seed, X25519_PKCS8_PREFIX.length);
+
+  // Import once extractable to read the public half, then keep a copy that
+  // can't be exported
+  const exportable = await crypto.subtle.importKey(
+    "pkcs8",
+    pkcs8,
+    { name: "X25519" },
+    true,
+    ["deriveBits"]
+  );
+  const { x } = await crypto.subtle.exportKey("jwk", exportable);
+  const publicKey = bytesToHex(
+    fromBase64(x.replace(/-/g, "+").replace(/_/g, "/") + "=")
+  );
+  const privateKey = await crypto.subtle.importKey(
+    "pkcs8",
+    pkcs8,
+    { name: "X25519" },
+    false,
+    ["deriveBits"]
+  );
+
+  return { privateKey, publicKey };
+};
+
+/**
+ * Derive the AES-GCM key shared by a key pair and another public key
+ * @param {CryptoKey} privateKey - Our X25519 private key
+ * @param {Uint8Array} otherKey - The other side's raw public key
+ * @returns {Promise<CryptoKey>} AES-256-GCM key
+ */
+const deriveThreadKey = async (privateKey, otherKey) => {
+  const publicKey = await crypto.subtle.importKey(
+    "raw",
+    otherKey,
+    { name: "X25519" },
+    false,
+    []
+  );
+  const shared = await crypto.subtle.deriveBits(
+    { name: "X25519", public: publicKey },
+    privateKey,
+    256
+  );
+  const material = await crypto.subtle.importKey("raw", shared, "HKDF", false, [
+    "deriveKey",
+  ]);
+
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(32),
+      info: HKDF_INFO,
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+// Ciphertexts are bound to the sender and receiver, so a message can't be
+// replayed as if it came from someone else
+const getAdditionalData = (sender, receiver) =>
+  new TextEncoder().encode(`${sender.toLowerCase()}:${receiver.toLowerCase()}`);
+
+/**
+ * Encrypt direct message content for a receiver
+ * @param {string} content - Message content (plain text or an envelope)
+ * @param {Object} options - { keyPair, sender, receiver, receiverKey }
+ * @returns {Promise<string>} "encrypted" envelope ready for sendDirectMessage
+ */
+export const encryptDirectMessage = async (
+  content,
+  { keyPair, sender, receiver, receiverKey }
+) => {
+  const otherKey = hexToBytes(receiverKey);
+  const key = await deriveThreadKey(keyPair.privateKey, otherKey);
+  const nonce = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    {
+      name: "AES-GCM",
+      iv: nonce,
+      additionalData: getAdditionalData(sender, receiver),
+    },
+    key,
+    new TextEncoder().encode(content)
+  );
+
+  // Base64 and the key names grow the message, so encrypted DMs fit about
+  // 620 characters of the contract's 1000
+  try {
+    return encodeMessage(MESSAGE_TYPES.encrypted, {
+      k: toBase64(hexToBytes(keyPair.publicKey)),
+      r: toBase64(otherKey),
+      n: toBase64(nonce),
+      c: toBase64(new Uint8Array(ciphertext)),
+    });
+  } catch {
+    throw new Error(
+      "Message too long to encrypt. Shorten it to about 600 characters."
+    );
+  }
+};
+
+/**
+ * Decrypt an "encrypted" envelope from a DM thread
+ * @param {Object} envelope - Decoded message from decodeMessage
+ * @param {Object} options - { keyPair, sender, receiver } of the message
+ * @returns {Promise<string>} The original message content
+ */
+export const decryptDirectMessage = async (
+  envelope,
+  { keyPair, sender, receiver }
+) => {
+  const { k, r, n, c } = envelope.data;
+  const ownKey = toBase64(hexToBytes(keyPair.publicKey));
+
+  // Whichever key isn't ours belongs to the other side
+  const otherKey = ownKey === k ? r : ownKey === r ? k : null;
+  if (!otherKey) {
+    throw new Error("Message was encrypted for a different key");
+  }
+
+  const key = await deriveThreadKey(keyPair.privateKey, fromBase64(otherKey));
+  const plaintext = await crypto.subtle.decrypt(
+    {
+      name: "AES-GCM",
+      iv: fromBase64(n),
+      additionalData: getAdditionalData(sender, receiver),
+    },
+    key,
+    fromBase64(c)
+  );
+
+  return new TextDecoder().decode(plaintext);
+};
+
+/**
+ * Encrypt a file before it is pinned for an encrypted DM
+ * @param {Blob} file - File to encrypt
+ * @returns {Promise<Object>} { file: encrypted File to upload, key, iv }
+ * where key and iv are base64 and belong in the (encrypted) message
+ */
+export const encryptAttachmentFile = async (file) => {
+  const rawKey = crypto.getRandomValues(new Uint8Array(32));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await crypto.subtle.importKey("raw", rawKey, "AES-GCM", false, [
+    "encrypt",
+  ]);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    await file.arrayBuffer()
+  );
+
+  // The pinned copy gives away nothing but its size
+  return {
+    file: new File([ciphertext], "attachment.enc", {
+      type: ENCRYPTED_UPLOAD_TYPE,
+    }),
+    key: toBase64(rawKey),
+    iv: toBase64(iv),
+  };
+};
+
+/**
+ * Decrypt a file fetched for an encrypted attachment
+ * @param {ArrayBuffer} ciphertext - Pinned file contents
+ * @param {Object} options - { key, iv, mime } from the attachment
+ * @returns {Promise<Blob>} The original file
+ */
+export const decryptAttachmentFile = async (ciphertext, { key, iv, mime }) => {
+  const fileKey = await crypto.subtle.importKey(
+    "raw",
+    fromBase64(key),
+    "AES-GCM",
+    false,
+    ["decrypt"]
+  );
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(iv) },
+    fileKey,
+    ciphertext
+  );
+
+  return new Blob([plaintext], { type: mime });
+};
@@ -1,110 +1,70 @@
 // IPFS utilities for uploading and managing files
-// Uses Pinata service for reliable IPFS pinning
+// Uploads go through the storage provider picked by VITE_STORAGE_PROVIDER:
+// the upload proxy by default, or Pinata, a local Kubo node or an
+// in-memory mock (see ./storage)
 
-import axios from "axios";
-
-// Pinata configuration from environment variables
-const PINATA_JWT = import.meta.env.VITE_PINATA_JWT;
-const PINATA_API_URL =
-  import.meta.env.VITE_PINATA_API_URL ||
-  "https://api.pinata.cloud/pinning/pinFileToIPFS";
-const IPFS_GATEWAY =
-  import.meta.env.VITE_IPFS_GATEWAY || "https://gateway.pinata.cloud/ipfs/";
+import { getStorageProvider } from "./storage/index.js";
 
 /**
- * Upload a file to IPFS using Pinata service
- * @param {File} file - The file to upload (image for profile picture)
+ * Upload a file to IPFS using the configured storage provider
+ * Defaults fit profile pictures; attachments pass their own limits
+ * @param {File} file - The file to upload
  * @param {string} fileName - Optional custom filename
+ * @param {Object} options - { imagesOnly, maxSize (bytes), fileType }
  * @returns {Promise<Object>} Upload result with IPFS hash and URL
  */
-export const uploadToIPFS = async (file, fileName = null) => {
+export const uploadToIPFS = async (
+  file,
+  fileName = null,
+  {
+    imagesOnly = true,
+    maxSize = 5 * 1024 * 1024, // 5MB in bytes
+    fileType = "profile-picture",
+  } = {}
+) => {
   // Validate input file
   if (!file) {
     throw new Error("No file provided for upload");
   }
 
   // Check if file is an image
-  if (!file.type.startsWith("image/")) {
+  if (imagesOnly && !file.type.startsWith("image/")) {
     throw new Error("File must be an image");
   }
 
-  // Check file size (limit to 5MB for profile pictures)
-  const maxSize = 5 * 1024 * 1024; // 5MB in bytes
+  // Check file size
   if (file.size > maxSize) {
-    throw new Error("File size must be less than 5MB");
-  }
-
-  // Validate Pinata configuration
-  if (!PINATA_JWT) {
-    throw new Error("Pinata JWT token not configured");
+    throw new Error(`File size must be less than ${formatFileSize(maxSize)}`);
   }
 
   try {
-    // Create FormData for file upload
-    const formData = new FormData();
-
     // Use custom filename or original filename
     const uploadFileName =
-      fileName || file.name || `amigo-profile-${Date.now()}`;
-    formData.append("file", file, uploadFileName);
+      fileName || file.name || `amigo-${fileType}-${Date.now()}`;
 
-    // Add metadata for better organization
-    const metadata = JSON.stringify({
-      name: uploadFileName,
-      keyvalues: {
+    const { cid, size, timestamp } = await getStorageProvider().upload(file, {
+      fileName: uploadFileName,
+      metadata: {
         uploadedBy: "AmigoChat",
         uploadDate: new Date().toISOString(),
-        fileType: "profile-picture",
+        fileType,
         originalSize: file.size,
       },
     });
-    formData.append("pinataMetadata", metadata);
-
-    // Add pinning options
-    const options = JSON.stringify({
-      cidVersion: 1, // Use CIDv1 for better compatibility
-    });
-    formData.append("pinataOptions", options);
-
-    // Upload to Pinata
-    const response = await axios.post(PINATA_API_URL, formData, {
-      headers: {
-        "Content-Type": "multipart/form-data",
-        Authorization: `Bearer ${PINATA_JWT}`,
-      },
-      timeout: 30000, // 30 second timeout
-    });
-
-    // Extract IPFS hash from response
-    const { IpfsHash, PinSize, Timestamp } = response.data;
 
     // Return upload result
     return {
       success: true,
-      ipfsHash: IpfsHash,
-      ipfsUrl: `ipfs://${IpfsHash}`,
-      gatewayUrl: `${IPFS_GATEWAY}${IpfsHash}`,
-      pinSize: PinSize,
-      timestamp: Timestamp,
+      ipfsHash: cid,
+      ipfsUrl: `ipfs://${cid}`,
+      gatewayUrl: getIPFSUrl(cid),
+      pinSize: size,
+      timestamp,
       fileName: uploadFileName,
     };
   } catch (error) {
     console.error("IPFS upload error:", error);
-
-    // Handle different types of errors
-    if (error.response) {
-      // Server responded with error status
-      const { status, data } = error.response;
-      throw new Error(
-        `Upload failed (${status}): ${data.message || "Unknown error"}`
-      );
-    } else if (error.request) {
-      // Request was made but no response received
-      throw new Error("Upload failed: No response from server");
-    } else {
-      // Something else happened
-      throw new Error(`Upload failed: ${error.message}`);
-    }
+    throw error;
   }
 };
 
@@ -121,8 +81,8 @@ export const getIPFSUrl = (ipfsHash) => {
   // Remove ipfs:// prefix if present
   const cleanHash = ipfsHash.replace("ipfs://", "");
 
-  // Return full gateway URL
-  return `${IPFS_GATEWAY}${cleanHash}`;
+  // Return the provider's URL for it
+  return getStorageProvider().getUrl(cleanHash);
 };
 
 /**
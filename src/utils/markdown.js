@@ -0,0 +1,382 @@
+// Minimal markdown parser for chat messages
+// Produces a small tree of plain objects that Markdown.jsx turns into React
+// elements. There is no HTML pass-through: anything that isn't one of the
+// supported constructs stays literal text, so rendering is safe by design.
+//
+// Blocks: paragraphs, fenced code (``` or ~~~, optional language), block
+// quotes (>), bullet lists (-, *, +) and numbered lists (1. or 1)).
+// Inline: **bold** / __bold__, *italic* / _italic_, `code`, autolinks
+// (bare http(s) URLs and <https://...>), @mention tokens (<@0x...>),
+// backslash escapes and line breaks.
+
+// Characters that can be escaped with a backslash
+const ESCAPABLE = "\\`*_{}[]()#+-.!>~<";
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const QUOTE = /^\s*> ?(.*)$/;
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+const URL_AT_START = /^https?:\/\/[^\s<>]+/;
+const ANGLE_URL_AT_START = /^<(https?:\/\/[^\s<>]+)>/;
+const MENTION_AT_START = /^<@(0x[0-9a-fA-F]{40})>/;
+
+/**
+ * Trim punctuation that usually ends a sentence rather than a URL
+ * @param {string} url - URL as matched
+ * @returns {string} URL without trailing punctuation or unbalanced ")"
+ */
+const trimUrl = (url) => {
+  let trimmed = url.replace(/[.,;:!?'"]+$/, "");
+
+  while (
+    trimmed.endsWith(")") &&
+    (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length
+  ) {
+    trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"]+$/, "");
+  }
+
+  return trimmed;
+};
+
+/**
+ * Find where an emphasis run opened at `from` closes
+ * @param {string} text - Inline text
+ * @param {number} from - Index just after the opening marker
+ * @param {string} marker - "*", "_", "**" or "__"
+ * @returns {number} Index of the closing marker, or -1
+ */
+const findClosingMarker = (text, from, marker) => {
+  const char = marker[0];
+
+  for (let j = from; j < text.length; j++) {
+    // Skip over code spans so markers inside them don't count
+    if (text[j] === "`") {
+      const end = text.indexOf("`", j + 1);
+      if (end !== -1) j = end;
+      continue;
+    }
+    if (text[j] === "\\") {
+      j++;
+      continue;
+    }
+    if (text[j] !== char) continue;
+
+    // Length of the run of marker characters starting here
+    let run = 1;
+    while (text[j + run] === char) run++;
+
+    const isAfterSpace = /\s/.test(text[j - 1] || " ");
+    const isIntraword = char === "_" && /\w/.test(text[j + run] || "");
+
+    if (j > from && !isAfterSpace && !isIntraword && run >= marker.length) {
+      if (marker.length === 1 && run !== 1 && run !== 3) {
+        j += run - 1;
+        continue;
+      }
+      // Close on the last characters of the run so ***x*** nests properly
+      return j + run - marker.length;
+    }
+
+    j += run - 1;
+  }
+
+  return -1;
+};
+
+/**
+ * Parse inline markdown
+ * @param {string} text - Inline text (may contain line breaks)
+ * @returns {Array} Inline nodes: text, strong, em, code, link, mention,
+ * break
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = "";
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: "text", text: buffer });
+    buffer = "";
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Backslash escapes; a trailing backslash stays as literal text
+    if (
+      char === "\\" &&
+      i + 1 < text.length &&
+      ESCAPABLE.includes(text[i + 1])
+    ) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    // Code spans: a run of backticks closed by a run of the same length
+    if (char === "`") {
+      let run = 1;
+      while (text[i + run] === "`") run++;
+      const fence = "`".repeat(run);
+      const end = text.indexOf(fence, i + run);
+
+      if (end !== -1) {
+        flush();
+        nodes.push({
+          type: "code",
+          text: text.slice(i + run, end).replace(/^ (.+) $/, "$1"),
+        });
+        i = end + run;
+      } else {
+        buffer += fence;
+        i += run;
+      }
+      continue;
+    }
+
+    // Bold and italics
+    if (char === "*" || char === "_") {
+      const marker = text[i + 1] === char ? char + char : char;
+      const next = text[i + marker.length] || "";
+      const canOpen =
+        next &&
+        !/\s/.test(next) &&
+        !(char === "_" && /\w/.test(text[i - 1] || ""));
+      const close = canOpen
+        ? findClosingMarker(text, i + marker.length, marker)
+        : -1;
+
+      if (close !== -1) {
+        flush();
+        nodes.push({
+          type: marker.length === 2 ? "strong" : "em",
+          children: parseInline(text.slice(i + marker.length, close)),
+        });
+        i = close + marker.length;
+      } else {
+        buffer += marker;
+        i += marker.length;
+      }
+      continue;
+    }
+
+    // <@0x...> mention tokens
+    const mention = char === "<" && rest.match(MENTION_AT_START);
+    if (mention) {
+      flush();
+      nodes.push({ type: "mention", address: mention[1] });
+      i += mention[0].length;
+      continue;
+    }
+
+    // <https://...> autolinks
+    const angleUrl = char === "<" && rest.match(ANGLE_URL_AT_START);
+    if (angleUrl) {
+      flush();
+      nodes.push({ type: "link", href: angleUrl[1], text: angleUrl[1] });
+      i += angleUrl[0].length;
+      continue;
+    }
+
+    // Bare URLs (not in the middle of a word)
+    const bareUrl =
+      (char === "h" || char === "H") &&
+      !/[\w/]/.test(text[i - 1] || "") &&
+      rest.match(URL_AT_START);
+    if (bareUrl) {
+      const url = trimUrl(bareUrl[0]);
+      flush();
+      nodes.push({ type: "link", href: url, text: url });
+      i += url.length;
+      continue;
+    }
+
+    if (char === "\n") {
+      flush();
+      nodes.push({ type: "break" });
+      i++;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {string} line - Source line
+ * @returns {boolean} True for fences, quotes and list items
+ */
+const startsBlock = (line) =>
+  FENCE.test(line) ||
+  QUOTE.test(line) ||
+  BULLET_ITEM.test(line) ||
+  ORDERED_ITEM.test(line);
+
+/**
+ * Parse block-level markdown
+ * @param {string} text - Message text
+ * @returns {Array} Blocks: paragraph, code, blockquote, list
+ */
+export const parseMarkdown = (text) => {
+  const lines = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Blank lines only separate blocks
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code; an unclosed fence runs to the end of the message
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && lines[i].trim() !== fence[1]) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({
+        type: "code",
+        lang: fence[2].toLowerCase(),
+        code: code.join("\n"),
+      });
+      continue;
+    }
+
+    // Block quotes can hold any other block
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1]);
+        i++;
+      }
+      blocks.push({
+        type: "blockquote",
+        children: parseMarkdown(quoted.join("\n")),
+      });
+      continue;
+    }
+
+    // Lists: consecutive items of one kind, with indented continuation lines
+    const ordered = line.match(ORDERED_ITEM);
+    if (ordered || BULLET_ITEM.test(line)) {
+      const itemPattern = ordered ? ORDERED_ITEM : BULLET_ITEM;
+      const items = [];
+
+      while (i < lines.length) {
+        const item = lines[i].match(itemPattern);
+        if (item) {
+          items.push(ordered ? item[2] : item[1]);
+        } else if (
+          items.length > 0 &&
+          /^\s+\S/.test(lines[i]) &&
+          !startsBlock(lines[i])
+        ) {
+          items[items.length - 1] += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+
+      blocks.push({
+        type: "list",
+        ordered: !!ordered,
+        start: ordered ? Number(ordered[1]) : 1,
+        items: items.map(parseInline),
+      });
+      continue;
+    }
+
+    // Paragraph: everything up to a blank line or another block
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    blocks.push({
+      type: "paragraph",
+      children: parseInline(paragraph.join("\n")),
+    });
+  }
+
+  return blocks;
+};
+
+/**
+ * Show a mention as @username, falling back to a short address
+ * @param {string} address - Mentioned address
+ * @param {function} [getUsername] - Address -> username (or null)
+ * @returns {string} Mention label
+ */
+export const getMentionLabel = (address, getUsername) =>
+  `@${
+    getUsername?.(address) || `${address.slice(0, 6)}...${address.slice(-4)}`
+  }`;
+
+/**
+ * Flatten inline nodes into plain text
+ * @param {Array} nodes - Inline nodes
+ * @param {function} [getUsername] - Resolves mentions
+ * @returns {string} Text without markup
+ */
+const inlineToText = (nodes, getUsername) =>
+  nodes
+    .map((node) =>
+      node.type === "break"
+        ? " "
+        : node.type === "mention"
+        ? getMentionLabel(node.address, getUsername)
+        : node.children
+        ? inlineToText(node.children, getUsername)
+        : node.text
+    )
+    .join("");
+
+/**
+ * Flatten blocks into plain text
+ * @param {Array} blocks - Blocks from parseMarkdown
+ * @param {function} [getUsername] - Resolves mentions
+ * @returns {string} Text without markup
+ */
+const blocksToText = (blocks, getUsername) =>
+  blocks
+    .map((block) => {
+      switch (block.type) {
+        case "code":
+          return block.code;
+        case "blockquote":
+          return blocksToText(block.children, getUsername);
+        case "list":
+          return block.items
+            .map((item) => inlineToText(item, getUsername))
+            .join(" ");
+        default:
+          return inlineToText(block.children, getUsername);
+      }
+    })
+    .join(" ");
+
+/**
+ * Strip markdown for one-line previews (quotes, notifications, search)
+ * @param {string} text - Message text
+ * @param {function} [getUsername] - Address -> username, for mentions
+ * @returns {string} Plain text
+ */
+export const toPlainText = (text, getUsername) =>
+  blocksToText(parseMarkdown(text), getUsername).replace(/\s+/g, " ").trim();
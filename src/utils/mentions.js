@@ -0,0 +1,145 @@
+// @mention helpers
+// Mentions are stored in message text as address tokens like <@0xabc...>,
+// so they survive username changes; the composer shows @username while
+// typing and converts to tokens on send
+
+import { MESSAGE_TYPES, decodeMessage } from "./messageEnvelope.js";
+
+// A stored mention token
+const MENTION_TOKEN = /<@(0x[0-9a-fA-F]{40})>/g;
+
+// Code spans and fenced blocks, where @names are left alone
+const CODE_SEGMENTS = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build the stored token for an address
+ * @param {string} address - Wallet address
+ * @returns {string} Mention token, e.g. "<@0xabc...>"
+ */
+export const formatMention = (address) => `<@${address}>`;
+
+/**
+ * Get every address mentioned in a message
+ * @param {string} text - Message text
+ * @returns {Array<string>} Lowercase addresses, without duplicates
+ */
+export const extractMentions = (text) => [
+  ...new Set(
+    [...String(text || "").matchAll(MENTION_TOKEN)].map((match) =>
+      match[1].toLowerCase()
+    )
+  ),
+];
+
+/**
+ * Check whether a message mentions an address
+ * @param {string} text - Message text
+ * @param {string} address - Wallet address
+ * @returns {boolean} True if the address is mentioned
+ */
+export const mentionsAddress = (text, address) =>
+  !!address && extractMentions(text).includes(address.toLowerCase());
+
+/**
+ * Check whether a chat message mentions an address
+ * Deleted messages and envelopes without text (or a caption) never count
+ * @param {Object} message - Chat message ({ content, isDeleted, ... })
+ * @param {string} address - Wallet address
+ * @param {function} getPlaintext - On-chain content -> readable content, so
+ * decrypted DMs are checked instead of their "encrypted" envelope
+ * @returns {boolean} True if the message text mentions the address
+ */
+export const messageMentionsAddress = (
+  message,
+  address,
+  getPlaintext = (content) => content
+) => {
+  if (!message || message.isDeleted) return false;
+
+  const envelope = decodeMessage(getPlaintext(message.content));
+  return (
+    (envelope.type === MESSAGE_TYPES.text ||
+      envelope.type === MESSAGE_TYPES.attachment) &&
+    mentionsAddress(envelope.data?.text, address)
+  );
+};
+
+/**
+ * Replace @username with address tokens before sending
+ * Longer usernames go first so "@bob_smith" isn't taken for "@bob"
+ * @param {string} text - Draft text
+ * @param {Array} users - Registered users ({ address, username })
+ * @returns {string} Text with mention tokens
+ */
+export const encodeMentions = (text, users) => {
+  const named = (users || [])
+    .filter((user) => user?.username && user?.address)
+    .sort((a, b) => b.username.length - a.username.length);
+  if (named.length === 0) return text;
+
+  return text
+    .split(CODE_SEGMENTS)
+    .map((segment, index) => {
+      // Odd segments are code
+      if (index % 2 === 1) return segment;
+
+      return named.reduce(
+        (result, user) =>
+          result.replace(
+            new RegExp(
+              `(^|[^\\w<])@${escapeRegExp(user.username)}(?![\\w])`,
+              "g"
+            ),
+            `$1${formatMention(user.address)}`
+          ),
+        segment
+      );
+    })
+    .join("");
+};
+
+/**
+ * Turn address tokens back into @username for editing
+ * Tokens for unknown addresses are kept as they are
+ * @param {string} text - Stored message text
+ * @param {function} getUsername - Address -> username (or null)
+ * @returns {string} Editable text
+ */
+export const decodeMentions = (text, getUsername) =>
+  String(text || "").replace(MENTION_TOKEN, (token, address) => {
+    const username = getUsername(address);
+    return username ? `@${username}` : token;
+  });
+
+/**
+ * Find the @query being typed at the caret
+ * @param {string} text - Draft text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} { start (index of "@"), query } or null
+ */
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(^|\s)@([^\s@<>]{0,32})$/);
+  if (!match) return null;
+
+  return { start: caret - match[2].length - 1, query: match[2] };
+};
+
+/**
+ * Replace the @query at the caret with a full @username
+ * @param {string} text - Draft text
+ * @param {Object} mention - Result of getMentionQuery
+ * @param {number} caret - Caret position
+ * @param {string} username - Chosen username
+ * @returns {Object} { text, caret } after insertion
+ */
+export const insertMention = (text, mention, caret, username) => {
+  const after = text.slice(caret);
+  const inserted = /^\s/.test(after) ? `@${username}` : `@${username} `;
+
+  return {
+    text: text.slice(0, mention.start) + inserted + after,
+    caret: mention.start + inserted.length,
+  };
+};
@@ -0,0 +1,98 @@
+// Structured message envelopes for AmigoChat
+// Anything that isn't plain text (price updates, notices, future cards) is
+// stored on-chain as a small versioned JSON document with a type field, so
+// clients render it from data instead of pattern-matching emoji strings.
+// Kept free of browser and Vite APIs so the Node price bot can encode too.
+
+// Current envelope format version
+export const ENVELOPE_VERSION = 1;
+
+// Known message types
+export const MESSAGE_TYPES = {
+  text: "text",
+  priceUpdate: "price-update",
+  systemNotice: "system-notice",
+  encrypted: "encrypted",
+  attachment: "attachment",
+};
+
+// Contract limit from the validMessage modifier, in UTF-8 bytes
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// Envelopes always start with this key, so ordinary text that happens to be
+// JSON is never mistaken for one
+const ENVELOPE_PREFIX = '{"amigo":';
+
+/**
+ * Encode structured data as an on-chain message
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {Object} data - Type-specific payload
+ * @returns {string} Message content ready for sendMessage
+ */
+export const encodeMessage = (type, data) => {
+  if (!type || typeof type !== "string") {
+    throw new Error("Message type is required");
+  }
+
+  const content = JSON.stringify({ amigo: ENVELOPE_VERSION, type, data });
+
+  // The contract counts bytes, and emoji or accented text take several
+  if (new TextEncoder().encode(content).length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Message too long (max ${MAX_MESSAGE_LENGTH} bytes)`);
+  }
+
+  return content;
+};
+
+/**
+ * Decode message content into an envelope
+ * Plain text (and anything malformed) decodes to a "text" envelope
+ * @param {string} content - Raw message content from the chain
+ * @returns {Object} { type, version, data }
+ */
+export const decodeMessage = (content) => {
+  const text = typeof content === "string" ? content : "";
+  const plain = { type: MESSAGE_TYPES.text, version: 0, data: { text } };
+
+  if (!text.startsWith(ENVELOPE_PREFIX)) {
+    return plain;
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    const isValid =
+      Number.isInteger(parsed.amigo) &&
+      parsed.amigo > 0 &&
+      typeof parsed.type === "string" &&
+      parsed.data !== null &&
+      typeof parsed.data === "object";
+
+    if (!isValid) return plain;
+
+    return { type: parsed.type, version: parsed.amigo, data: parsed.data };
+  } catch {
+    return plain;
+  }
+};
+
+/**
+ * Encode a text reply to another message
+ * Replies are text envelopes carrying the parent's messageId
+ * @param {string} text - Reply text
+ * @param {bigint|number|string} parentId - messageId being replied to
+ * @returns {string} Message content ready for sendMessage
+ */
+export const encodeReply = (text, parentId) =>
+  encodeMessage(MESSAGE_TYPES.text, { text, replyTo: String(parentId) });
+
+/**
+ * Get the parent messageId of a reply
+ * @param {Object} envelope - Decoded message from decodeMessage
+ * @returns {string|null} Parent messageId, or null if not a reply
+ */
+export const getReplyParentId = (envelope) => {
+  const parentId = envelope?.data?.replyTo;
+  return typeof parentId === "string" && /^\d+$/.test(parentId)
+    ? parentId
+    : null;
+};
@@ -0,0 +1,310 @@
+// Message sync utilities for AmigoChat
+// Rebuilds chat history from contract event logs instead of re-reading storage
+
+import { AMIGO_CHAT_ABI, CONTRACT_INFO } from "../contracts/AmigoChat.js";
+
+// Largest block range requested per eth_getLogs call
+// RPC providers cap this differently, so the range shrinks on demand
+const MAX_LOG_BLOCK_RANGE = BigInt(
+  import.meta.env.VITE_LOG_BLOCK_RANGE || 50000
+);
+const MIN_LOG_BLOCK_RANGE = 10n;
+
+// General chat messages read per page from getGeneralChatMessagesRange
+export const GENERAL_CHAT_PAGE_SIZE = 50;
+
+/**
+ * Check whether an RPC error was caused by asking for too many logs at once
+ * @param {Error} error - Error thrown by the RPC client
+ * @returns {boolean} True if a smaller block range may succeed
+ */
+const isRangeError = (error) => {
+  const message = `${error?.shortMessage || ""} ${error?.details || ""} ${
+    error?.message || ""
+  }`.toLowerCase();
+
+  return ["range", "limit", "exceed", "too many", "10000 results"].some(
+    (hint) => message.includes(hint)
+  );
+};
+
+/**
+ * Fetch contract event logs between two blocks in provider-friendly chunks
+ * @param {Object} publicClient - viem public client for the active chain
+ * @param {string} eventName - Name of the AmigoChat event to fetch
+ * @param {bigint} fromBlock - First block to scan (inclusive)
+ * @param {bigint} toBlock - Last block to scan (inclusive)
+ * @param {Object} args - Optional indexed argument filter
+ * @returns {Promise<Array>} Decoded logs in block order
+ */
+export const fetchEventLogs = async (
+  publicClient,
+  eventName,
+  fromBlock,
+  toBlock,
+  args = undefined
+) => {
+  const logs = [];
+  let range = MAX_LOG_BLOCK_RANGE;
+  let start = fromBlock;
+
+  while (start <= toBlock) {
+    const end = start + range - 1n < toBlock ? start + range - 1n : toBlock;
+
+    try {
+      const chunk = await publicClient.getContractEvents({
+        address: CONTRACT_INFO.address,
+        abi: AMIGO_CHAT_ABI,
+        eventName,
+        args,
+        fromBlock: start,
+        toBlock: end,
+      });
+      logs.push(...chunk);
+      start = end + 1n;
+    } catch (error) {
+      // Retry the same window with half the range if the provider refused it
+      if (!isRangeError(error) || range <= MIN_LOG_BLOCK_RANGE) {
+        throw error;
+      }
+      range = range / 2n;
+    }
+  }
+
+  return logs;
+};
+
+/**
+ * Convert a MessageSent log into the same shape as the Message struct
+ * @param {Object} log - Decoded MessageSent log
+ * @returns {Object} Message with sender, content, timestamp and messageId
+ */
+export const logToMessage = (log) => ({
+  sender: log.args.sender,
+  content: log.args.content,
+  timestamp: log.args.timestamp,
+  messageId: log.args.messageId,
+  editCount: 0n,
+  isDeleted: false,
+});
+
+/**
+ * Order logs by block, then by position in the block
+ * @param {Object} a - Decoded log
+ * @param {Object} b - Decoded log
+ * @returns {number} Sort order
+ */
+const compareLogs = (a, b) =>
+  a.blockNumber === b.blockNumber
+    ? a.logIndex - b.logIndex
+    : a.blockNumber < b.blockNumber
+    ? -1
+    : 1;
+
+/**
+ * Merge two message lists, dropping duplicates and keeping messageId order
+ * @param {Array} existing - Messages already in the cache
+ * @param {Array} incoming - Newly fetched messages
+ * @returns {Array} Combined, de-duplicated and sorted message list
+ */
+export const mergeMessages = (existing = [], incoming = []) => {
+  const byId = new Map();
+
+  for (const message of [...existing, ...incoming]) {
+    byId.set(message.messageId.toString(), message);
+  }
+
+  return [...byId.values()].sort((a, b) =>
+    a.messageId < b.messageId ? -1 : a.messageId > b.messageId ? 1 : 0
+  );
+};
+
+// Events that change a message after it was sent
+export const MESSAGE_UPDATE_EVENTS = ["MessageEdited", "MessageDeleted"];
+
+/**
+ * Apply MessageEdited and MessageDeleted logs to a message list
+ * Logs for messages that aren't in the list (e.g. channel messages) are
+ * ignored, and each update is only applied if it is newer than what the
+ * message already reflects
+ * @param {Array} messages - Messages to update
+ * @param {Array} logs - Decoded MessageEdited / MessageDeleted logs
+ * @returns {Object} { messages (all), changed (only the updated ones) }
+ */
+export const applyMessageUpdates = (messages = [], logs = []) => {
+  const byId = new Map(
+    messages.map((message) => [message.messageId.toString(), message])
+  );
+  const changed = new Map();
+
+  for (const log of logs) {
+    const id = log.args.messageId.toString();
+    const message = changed.get(id) || byId.get(id);
+    if (!message || message.isDeleted) continue;
+
+    let updated = null;
+    if (log.eventName === "MessageDeleted") {
+      updated = { ...message, content: "", isDeleted: true };
+    } else if (log.args.editCount > (message.editCount ?? 0n)) {
+      updated = {
+        ...message,
+        content: log.args.content,
+        editCount: log.args.editCount,
+      };
+    }
+
+    if (updated) {
+      changed.set(id, updated);
+      byId.set(id, updated);
+    }
+  }
+
+  return {
+    messages: changed.size > 0 ? [...byId.values()] : messages,
+    changed: [...changed.values()],
+  };
+};
+
+/**
+ * Read a page of general chat messages from contract storage
+ * Storage already reflects edits and deletes, so no logs are needed
+ * @param {Object} publicClient - viem public client for the active chain
+ * @param {number} offset - Index of the first message
+ * @param {number} limit - Most messages to read
+ * @param {bigint} blockNumber - Block to read at, so pages line up with a sync
+ * @returns {Promise<Object>} { messages, total }
+ */
+export const fetchGeneralChatPage = async (
+  publicClient,
+  offset,
+  limit,
+  blockNumber = undefined
+) => {
+  const [messages, total] = await publicClient.readContract({
+    address: CONTRACT_INFO.address,
+    abi: AMIGO_CHAT_ABI,
+    functionName: "getGeneralChatMessagesRange",
+    args: [BigInt(offset), BigInt(limit)],
+    blockNumber,
+  });
+
+  return { messages: [...messages], total: Number(total) };
+};
+
+/**
+ * Read the page of general chat messages just before the oldest loaded one
+ * @param {Object} publicClient - viem public client for the active chain
+ * @param {number} oldestIndex - Index of the oldest loaded message
+ * @returns {Promise<Object>} { messages, oldestIndex (of the new page) }
+ */
+export const fetchOlderGeneralChat = async (publicClient, oldestIndex) => {
+  const offset = Math.max(0, oldestIndex - GENERAL_CHAT_PAGE_SIZE);
+  const { messages } = await fetchGeneralChatPage(
+    publicClient,
+    offset,
+    oldestIndex - offset
+  );
+
+  return { messages, oldestIndex: offset };
+};
+
+/**
+ * Bring the general chat history up to date with the chain
+ * A first run reads only the newest page from storage; "load older" pages
+ * back from oldestIndex. Later runs scan the MessageSent logs of the blocks
+ * mined since the previous sync, and merge the edits and deletes found in
+ * the same blocks into the messages they belong to
+ * @param {Object} publicClient - viem public client for the active chain
+ * @param {Object} previous - Earlier sync state ({ messages, lastBlock,
+ * oldestIndex })
+ * @returns {Promise<Object>} New sync state ({ messages, lastBlock,
+ * oldestIndex })
+ */
+export const syncGeneralChat = async (publicClient, previous = null) => {
+  const toBlock = await publicClient.getBlockNumber();
+
+  if (previous?.lastBlock == null) {
+    const { total } = await fetchGeneralChatPage(publicClient, 0, 0, toBlock);
+    const oldestIndex = Math.max(0, total - GENERAL_CHAT_PAGE_SIZE);
+    const { messages } = await fetchGeneralChatPage(
+      publicClient,
+      oldestIndex,
+      GENERAL_CHAT_PAGE_SIZE,
+      toBlock
+    );
+
+    return {
+      messages: mergeMessages(previous?.messages, messages),
+      lastBlock: toBlock,
+      oldestIndex,
+    };
+  }
+
+  // Histories cached before paging were backfilled from the first message
+  const oldestIndex = previous.oldestIndex ?? 0;
+  const fromBlock = previous.lastBlock + 1n;
+
+  if (fromBlock > toBlock) {
+    return {
+      messages: previous.messages || [],
+      lastBlock: toBlock,
+      oldestIndex,
+    };
+  }
+
+  const logs = await fetchEventLogs(
+    publicClient,
+    "MessageSent",
+    fromBlock,
+    toBlock
+  );
+  const updateLogs = [];
+  for (const eventName of MESSAGE_UPDATE_EVENTS) {
+    updateLogs.push(
+      ...(await fetchEventLogs(publicClient, eventName, fromBlock, toBlock))
+    );
+  }
+  updateLogs.sort(compareLogs);
+
+  const { messages } = applyMessageUpdates(
+    mergeMessages(previous.messages, logs.map(logToMessage)),
+    updateLogs
+  );
+
+  return { messages, lastBlock: toBlock, oldestIndex };
+};
+
+/**
+ * Fetch every version of a general chat or channel message
+ * The original comes from MessageSent or ChannelMessageSent, later versions
+ * from MessageEdited, all filtered on the indexed messageId
+ * @param {Object} publicClient - viem public client for the active chain
+ * @param {bigint} messageId - Message to look up
+ * @returns {Promise<Array>} Versions as { content, timestamp, editCount }, oldest first
+ */
+export const fetchMessageHistory = async (publicClient, messageId) => {
+  const fromBlock = BigInt(CONTRACT_INFO.deploymentBlock || 0);
+  const toBlock = await publicClient.getBlockNumber();
+  const args = { messageId: BigInt(messageId) };
+
+  const [sent, channelSent, edits] = await Promise.all(
+    ["MessageSent", "ChannelMessageSent", "MessageEdited"].map((eventName) =>
+      fetchEventLogs(publicClient, eventName, fromBlock, toBlock, args)
+    )
+  );
+
+  const original = [...sent, ...channelSent].map((log) => ({
+    content: log.args.content,
+    timestamp: log.args.timestamp,
+    editCount: 0n,
+  }));
+
+  return [
+    ...original,
+    ...edits.sort(compareLogs).map((log) => ({
+      content: log.args.content,
+      timestamp: log.args.timestamp,
+      editCount: log.args.editCount,
+    })),
+  ];
+};
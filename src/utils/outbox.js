@@ -0,0 +1,74 @@
+// Outbox helpers
+// Messages sent from the composer are tracked locally until their
+// transaction lands, so they show up immediately and failures can be retried
+
+export const OUTBOX_STATUS = {
+  pending: "pending",
+  confirmed: "confirmed",
+  failed: "failed",
+};
+
+// Seconds of clock drift tolerated between the browser and block timestamps
+const TIMESTAMP_SLACK = 120;
+
+let nextEntryId = 0;
+
+/**
+ * Create an outbox entry for a message that is about to be sent
+ * @param {Object} target - { peer } for a DM, { channel } for a channel, {} for #general
+ * @param {string} content - Encoded message content
+ * @returns {Object} Pending entry without a transaction hash yet
+ */
+export const createOutboxEntry = (target, content) => ({
+  id: `outbox-${Date.now()}-${nextEntryId++}`,
+  peer: target.peer ? target.peer.toLowerCase() : null,
+  channel: target.peer ? null : target.channel || null,
+  content,
+  status: OUTBOX_STATUS.pending,
+  hash: null,
+  error: null,
+  createdAt: Date.now(),
+});
+
+/**
+ * Check whether an entry belongs to a thread
+ * @param {Object} entry - Outbox entry
+ * @param {Object} thread - { peer } or { channel }, null channel for #general
+ * @returns {boolean} True if the entry was sent to that thread
+ */
+export const isEntryInThread = (entry, { peer = null, channel = null }) =>
+  peer
+    ? entry.peer === peer.toLowerCase()
+    : !entry.peer && entry.channel === channel;
+
+/**
+ * Check whether a thread already holds the on-chain copy of an entry
+ * @param {Object} entry - Outbox entry
+ * @param {Array} messages - The thread's messages
+ * @param {string} sender - Wallet that sent the entry
+ * @returns {boolean} True if a matching message was found
+ */
+export const isEntryDelivered = (entry, messages, sender) => {
+  if (!sender) return false;
+
+  const sentAfter = entry.createdAt / 1000 - TIMESTAMP_SLACK;
+  return (messages || []).some(
+    (message) =>
+      message.sender?.toLowerCase() === sender.toLowerCase() &&
+      message.content === entry.content &&
+      Number(message.timestamp) >= sentAfter
+  );
+};
+
+/**
+ * Turn an outbox entry into a message-shaped row for the list
+ * @param {Object} entry - Outbox entry
+ * @param {string} sender - Wallet that sent the entry
+ * @returns {Object} { sender, content, timestamp, outbox }
+ */
+export const outboxEntryToMessage = (entry, sender) => ({
+  sender,
+  content: entry.content,
+  timestamp: Math.floor(entry.createdAt / 1000),
+  outbox: entry,
+});
@@ -0,0 +1,208 @@
+// Price alert helpers
+// Alerts and the price samples used for "% move" alerts are kept in
+// localStorage so they survive reloads; evaluation is pure so the hook can
+// run it on every price refetch
+
+// localStorage keys
+const ALERTS_KEY = "amigochat.priceAlerts";
+const SAMPLES_KEY = "amigochat.priceSamples";
+
+// Alert kinds
+export const ALERT_KINDS = {
+  above: "above", // Price rises to or above a threshold
+  below: "below", // Price falls to or below a threshold
+  move: "move", // Price moves by a percentage (either way) within a window
+};
+
+// Windows offered for "% move" alerts (minutes)
+export const MOVE_WINDOWS = [15, 60, 240, 1440];
+
+// Longest window, so older samples can be dropped
+const MAX_SAMPLE_AGE = Math.max(...MOVE_WINDOWS) * 60;
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {any} fallback - Value used when missing or unreadable
+ * @returns {any} Parsed value
+ */
+const readStorage = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {any} value - JSON-serializable value
+ */
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+};
+
+/**
+ * Load saved alerts
+ * @returns {Array} Alerts
+ */
+export const loadPriceAlerts = () => readStorage(ALERTS_KEY, []);
+
+/**
+ * Save alerts
+ * @param {Array} alerts - Alerts to persist
+ */
+export const savePriceAlerts = (alerts) => writeStorage(ALERTS_KEY, alerts);
+
+/**
+ * Load saved price samples
+ * @returns {Object} Samples keyed by pair ([{ price, updatedAt }])
+ */
+export const loadPriceSamples = () => readStorage(SAMPLES_KEY, {});
+
+/**
+ * Save price samples
+ * @param {Object} samples - Samples keyed by pair
+ */
+export const savePriceSamples = (samples) => writeStorage(SAMPLES_KEY, samples);
+
+/**
+ * Create a new alert
+ * @param {Object} fields - { pairId, kind, value, windowMinutes }
+ * @returns {Object} Alert ready to save
+ */
+export const createPriceAlert = ({ pairId, kind, value, windowMinutes }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  pairId,
+  kind,
+  value: Number(value),
+  windowMinutes: kind === ALERT_KINDS.move ? Number(windowMinutes) : null,
+  snoozedUntil: null,
+  isTriggered: false,
+  lastTriggeredAt: null,
+  createdAt: Math.floor(Date.now() / 1000),
+});
+
+/**
+ * Add the latest answer of each feed to the sample history
+ * One sample per Chainlink round, trimmed to the longest move window
+ * @param {Object} samples - Current samples keyed by pair
+ * @param {Array} feeds - Feeds from usePriceFeeds
+ * @param {number} now - Unix seconds
+ * @returns {Object} Updated samples
+ */
+export const recordPriceSamples = (samples, feeds, now) => {
+  const next = { ...samples };
+
+  feeds.forEach((feed) => {
+    if (!feed.price || feed.isStale || !feed.updatedAt) return;
+
+    const history = (next[feed.pairId] || []).filter(
+      (sample) => now - sample.updatedAt <= MAX_SAMPLE_AGE
+    );
+    const last = history[history.length - 1];
+    if (!last || last.updatedAt !== feed.updatedAt) {
+      history.push({ price: Number(feed.price), updatedAt: feed.updatedAt });
+    }
+    next[feed.pairId] = history;
+  });
+
+  return next;
+};
+
+/**
+ * Describe an alert in a short sentence
+ * @param {Object} alert - Alert
+ * @returns {string} e.g. "ETH/USD below 3000"
+ */
+export const describeAlert = (alert) => {
+  switch (alert.kind) {
+    case ALERT_KINDS.above:
+      return `${alert.pairId} above ${alert.value}`;
+    case ALERT_KINDS.below:
+      return `${alert.pairId} below ${alert.value}`;
+    case ALERT_KINDS.move: {
+      const span =
+        alert.windowMinutes >= 60
+          ? `${alert.windowMinutes / 60}h`
+          : `${alert.windowMinutes}m`;
+      return `${alert.pairId} moves ${alert.value}% in ${span}`;
+    }
+    default:
+      return alert.pairId;
+  }
+};
+
+/**
+ * Check one alert against the current price
+ * Threshold alerts fire when their condition becomes true and re-arm once it
+ * clears; move alerts fire at most once per window. Snoozed alerts are skipped.
+ * @param {Object} alert - Alert
+ * @param {Object} feed - Matching feed from usePriceFeeds
+ * @param {Array} samples - Sample history for the pair
+ * @param {number} now - Unix seconds
+ * @returns {Object} { alert (updated), message (string if it fired) }
+ */
+export const evaluatePriceAlert = (alert, feed, samples, now) => {
+  if (!feed?.price || feed.isStale) return { alert, message: null };
+
+  // Snoozed alerts are left as they are and checked again afterwards
+  if (alert.snoozedUntil && now < alert.snoozedUntil) {
+    return { alert, message: null };
+  }
+
+  const price = Number(feed.price);
+  let isMet = false;
+  let detail = "";
+
+  if (alert.kind === ALERT_KINDS.above || alert.kind === ALERT_KINDS.below) {
+    isMet =
+      alert.kind === ALERT_KINDS.above
+        ? price >= alert.value
+        : price <= alert.value;
+    detail = `now ${price}`;
+  } else if (alert.kind === ALERT_KINDS.move) {
+    // Compare with the oldest sample still inside the window
+    const since = now - alert.windowMinutes * 60;
+    const reference = (samples || []).find(
+      (sample) => sample.updatedAt >= since
+    );
+    if (reference && reference.price > 0) {
+      const change = ((price - reference.price) / reference.price) * 100;
+      isMet = Math.abs(change) >= alert.value;
+      detail = `${change >= 0 ? "+" : ""}${change.toFixed(2)}% (now ${price})`;
+    }
+
+    // Re-arm once the last trigger is older than the window
+    const isCoolingDown =
+      alert.lastTriggeredAt &&
+      now - alert.lastTriggeredAt < alert.windowMinutes * 60;
+    if (alert.isTriggered && !isCoolingDown) {
+      alert = { ...alert, isTriggered: false };
+    }
+  }
+
+  if (!isMet) {
+    return {
+      alert:
+        alert.isTriggered && alert.kind !== ALERT_KINDS.move
+          ? { ...alert, isTriggered: false }
+          : alert,
+      message: null,
+    };
+  }
+
+  if (alert.isTriggered) return { alert, message: null };
+
+  return {
+    alert: { ...alert, isTriggered: true, lastTriggeredAt: now },
+    message: `${describeAlert(alert)}: ${detail}`,
+  };
+};
@@ -0,0 +1,135 @@
+// Price history from Chainlink rounds
+// Walks back from the latest round with getRoundData, sampling every Nth
+// round so a 30 day chart costs a few hundred reads instead of thousands
+
+import { CHAINLINK_ABI } from "../contracts/Chainlink.js";
+
+// Chart ranges: time covered, target number of points, and how long a
+// fetched series stays fresh (seconds)
+export const HISTORY_RANGES = {
+  "24h": { seconds: 24 * 60 * 60, points: 96, ttl: 5 * 60 },
+  "7d": { seconds: 7 * 24 * 60 * 60, points: 168, ttl: 30 * 60 },
+  "30d": { seconds: 30 * 24 * 60 * 60, points: 240, ttl: 2 * 60 * 60 },
+};
+
+// Rounds read right before the latest one to estimate the update interval
+const PROBE_ROUNDS = 10n;
+
+// Rounds requested per multicall while walking back
+const BATCH_SIZE = 50;
+
+// Fallback update interval (seconds) when the probe can't estimate one
+const DEFAULT_ROUND_INTERVAL = 3600;
+
+// Round ids are (phaseId << 64) | aggregatorRoundId; history stops at the
+// start of the current phase (i.e. the last aggregator upgrade)
+const PHASE_MASK = (1n << 64n) - 1n;
+
+/**
+ * Read a set of rounds from a feed in one multicall
+ * @param {Object} publicClient - viem public client
+ * @param {string} feedAddress - Chainlink aggregator address
+ * @param {Array<bigint>} roundIds - Rounds to read
+ * @returns {Promise<Array>} Rounds as { roundId, answer, updatedAt }, or null
+ */
+const readRounds = async (publicClient, feedAddress, roundIds) => {
+  const results = await publicClient.multicall({
+    contracts: roundIds.map((roundId) => ({
+      address: feedAddress,
+      abi: CHAINLINK_ABI,
+      functionName: "getRoundData",
+      args: [roundId],
+    })),
+    allowFailure: true,
+  });
+
+  return results.map((result) => {
+    if (result.status !== "success") return null;
+    const [roundId, answer, , updatedAt] = result.result;
+    return updatedAt > 0n && answer > 0n
+      ? { roundId, answer, updatedAt: Number(updatedAt) }
+      : null;
+  });
+};
+
+/**
+ * Fetch a sampled price series for one feed
+ * @param {Object} publicClient - viem public client
+ * @param {Object} feed - Registry feed ({ address })
+ * @param {string} range - One of HISTORY_RANGES
+ * @returns {Promise<Object>} { points: [{ roundId, price, updatedAt }], decimals }
+ */
+export const fetchPriceHistory = async (publicClient, feed, range) => {
+  const { seconds, points } = HISTORY_RANGES[range];
+
+  const [latest, decimals] = await Promise.all([
+    publicClient.readContract({
+      address: feed.address,
+      abi: CHAINLINK_ABI,
+      functionName: "latestRoundData",
+    }),
+    publicClient.readContract({
+      address: feed.address,
+      abi: CHAINLINK_ABI,
+      functionName: "decimals",
+    }),
+  ]);
+
+  const latestRoundId = latest[0];
+  const latestUpdatedAt = Number(latest[3]);
+  const firstRoundId = (latestRoundId & ~PHASE_MASK) + 1n;
+  const since = latestUpdatedAt - seconds;
+
+  // Estimate how often the feed updates to pick a sampling stride
+  const probeIds = [];
+  for (let i = 1n; i <= PROBE_ROUNDS; i++) {
+    if (latestRoundId - i >= firstRoundId) probeIds.push(latestRoundId - i);
+  }
+  const probe = (await readRounds(publicClient, feed.address, probeIds)).filter(
+    Boolean
+  );
+  const oldestProbe = probe[probe.length - 1];
+  const interval =
+    oldestProbe && oldestProbe.updatedAt < latestUpdatedAt
+      ? (latestUpdatedAt - oldestProbe.updatedAt) / probe.length
+      : DEFAULT_ROUND_INTERVAL;
+  const stride = BigInt(Math.max(1, Math.round(seconds / points / interval)));
+
+  // Walk back in batches until the range is covered or the phase starts
+  const rounds = [
+    {
+      roundId: latestRoundId,
+      answer: latest[1],
+      updatedAt: latestUpdatedAt,
+    },
+  ];
+  let nextId = latestRoundId - stride;
+  let isDone = false;
+
+  while (!isDone && nextId >= firstRoundId && rounds.length < points * 2) {
+    const batch = [];
+    for (let i = 0; i < BATCH_SIZE && nextId >= firstRoundId; i++) {
+      batch.push(nextId);
+      nextId -= stride;
+    }
+
+    const results = await readRounds(publicClient, feed.address, batch);
+    for (const round of results) {
+      if (!round || round.updatedAt < since) {
+        isDone = true;
+        break;
+      }
+      rounds.push(round);
+    }
+  }
+
+  const scale = Math.pow(10, Number(decimals));
+  return {
+    decimals: Number(decimals),
+    points: rounds.reverse().map((round) => ({
+      roundId: round.roundId.toString(),
+      price: Number(round.answer) / scale,
+      updatedAt: round.updatedAt,
+    })),
+  };
+};
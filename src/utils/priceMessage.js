@@ -0,0 +1,48 @@
+// Price message helpers shared by the chat UI and the price bot
+// Kept free of browser and Vite APIs so bot/priceBot.js can import it in Node
+
+import { encodeMessage, MESSAGE_TYPES } from "./messageEnvelope.js";
+
+/**
+ * Convert a raw Chainlink answer into a USD price string
+ * @param {bigint|number|string} answer - Raw aggregator answer
+ * @param {number} decimals - Decimals reported by the aggregator
+ * @returns {string|null} Price with 2 decimals, or null if unusable
+ */
+export const formatFeedAnswer = (answer, decimals = 8) => {
+  if (answer === null || answer === undefined) return null;
+
+  try {
+    const price = Number(answer) / Math.pow(10, decimals);
+    return price > 0 ? price.toFixed(2) : null;
+  } catch (error) {
+    console.error("Error converting feed answer:", error);
+    return null;
+  }
+};
+
+/**
+ * Build a structured "price-update" message for a set of prices
+ * @param {Object} prices - USD prices keyed by asset ({ btc, eth, link })
+ * @param {Date} date - When the prices were read
+ * @returns {string} Encoded envelope ready for sendMessage
+ */
+export const createPriceUpdateMessage = (prices, date = new Date()) =>
+  encodeMessage(MESSAGE_TYPES.priceUpdate, {
+    prices: Object.entries(prices)
+      .filter(([, price]) => !!price)
+      .map(([asset, price]) => ({
+        symbol: asset.toUpperCase(),
+        price: String(price),
+      })),
+    source: "Chainlink",
+    timestamp: Math.floor(date.getTime() / 1000),
+  });
+
+/**
+ * Check whether there is at least one price worth posting
+ * @param {Object} prices - USD prices keyed by asset
+ * @returns {boolean} True if any price is set
+ */
+export const hasPrices = (prices) =>
+  !!prices && Object.values(prices).some(Boolean);
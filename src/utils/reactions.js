@@ -0,0 +1,61 @@
+// Reaction helpers
+// Reactions are stored on-chain per messageId as { emoji, reactors[] };
+// these helpers normalize them and apply optimistic toggles locally
+
+// Emoji offered in the reaction picker (any emoji up to 32 bytes is valid)
+export const REACTION_EMOJIS = ["👍", "❤️", "😂", "🎉", "😮", "🚀"];
+
+/**
+ * Normalize reactions read from the contract
+ * @param {Array} raw - Result of getReactions
+ * @returns {Array} [{ emoji, reactors }] without empty entries
+ */
+export const parseReactions = (raw) =>
+  (raw || [])
+    .map((reaction) => ({
+      emoji: reaction.emoji,
+      reactors: [...(reaction.reactors || [])],
+    }))
+    .filter((reaction) => reaction.emoji && reaction.reactors.length > 0);
+
+/**
+ * Check whether an address reacted with an emoji
+ * @param {Object} reaction - { emoji, reactors }
+ * @param {string} address - Wallet address
+ * @returns {boolean} True if the address is among the reactors
+ */
+export const hasReacted = (reaction, address) =>
+  !!address &&
+  reaction.reactors.some(
+    (reactor) => reactor.toLowerCase() === address.toLowerCase()
+  );
+
+/**
+ * Toggle one address's reaction, mirroring AmigoChat.toggleReaction
+ * @param {Array} reactions - Current reactions
+ * @param {string} emoji - Reaction emoji
+ * @param {string} address - Reacting wallet address
+ * @returns {Array} Updated reactions
+ */
+export const applyReactionToggle = (reactions, emoji, address) => {
+  const existing = reactions.find((reaction) => reaction.emoji === emoji);
+
+  if (!existing) {
+    return [...reactions, { emoji, reactors: [address] }];
+  }
+
+  return reactions
+    .map((reaction) => {
+      if (reaction !== existing) return reaction;
+
+      return {
+        ...reaction,
+        reactors: hasReacted(reaction, address)
+          ? reaction.reactors.filter(
+              (reactor) => reactor.toLowerCase() !== address.toLowerCase()
+            )
+          : [...reaction.reactors, address],
+      };
+    })
+    .filter((reaction) => reaction.reactors.length > 0);
+};
@@ -0,0 +1,43 @@
+// Read receipt helpers for direct messages
+// The contract keeps a read count per reader and conversation (messages
+// [0, readCount) are read); this device also remembers how far each thread
+// was viewed, so badges clear without waiting for a transaction
+
+/**
+ * Cache key for the locally viewed read counts of a wallet
+ * @param {string} address - Wallet address of the reader
+ * @returns {string} Key in the conversations cache store
+ */
+export const getLocalReadsKey = (address) => `reads:${address.toLowerCase()}`;
+
+/**
+ * Find the newest message of a sender that the other side has read
+ * @param {Array} messages - DM thread, oldest first
+ * @param {string} sender - Wallet address of the sender
+ * @param {number} peerReadCount - How many messages the peer has read
+ * @returns {number} Index of that message, or -1 if none was seen yet
+ */
+export const getLastSeenIndex = (messages, sender, peerReadCount) => {
+  if (!sender) return -1;
+
+  const last = Math.min(peerReadCount, (messages || []).length) - 1;
+  for (let i = last; i >= 0; i--) {
+    if (messages[i].sender?.toLowerCase() === sender.toLowerCase()) return i;
+  }
+  return -1;
+};
+
+/**
+ * Check whether a thread holds received messages not yet marked read on-chain
+ * @param {Array} messages - DM thread, oldest first
+ * @param {string} address - Wallet address of the reader
+ * @param {number} readCount - The reader's on-chain read count
+ * @returns {boolean} True if a read receipt would mark something new
+ */
+export const hasUnreceiptedMessages = (messages, address, readCount) =>
+  !!address &&
+  (messages || [])
+    .slice(readCount)
+    .some(
+      (message) => message.receiver?.toLowerCase() === address.toLowerCase()
+    );
@@ -0,0 +1,244 @@
+// Client-side full-text search over loaded messages
+// An inverted index (term -> message ids) that is updated in place as
+// messages arrive, so new events only cost the words they add
+
+import { decodeMessage } from "./messageEnvelope.js";
+import { getMessagePreview } from "./threads.js";
+
+// Most results a search returns, newest first
+export const MAX_SEARCH_RESULTS = 50;
+
+// Filters with nothing selected
+export const EMPTY_SEARCH_FILTERS = {
+  query: "",
+  sender: "",
+  from: "",
+  to: "",
+  hasLink: false,
+};
+
+// Words are runs of letters, digits and underscores in any script
+const WORD = /[\p{L}\p{N}_]+/gu;
+const LINK = /https?:\/\/\S/i;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Any text
+ * @returns {Array<string>} Terms in order, with duplicates
+ */
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .match(WORD) || [];
+
+/**
+ * Stable id for a message in the index and in the message list
+ * Direct messages have no messageId, so they use their position in the
+ * conversation instead
+ * @param {Object} message - Chat message
+ * @param {string|null} peer - DM partner, or null for chat messages
+ * @param {number} index - Position in its conversation
+ * @returns {string} Search id
+ */
+export const getSearchId = (message, peer, index) =>
+  peer ? `dm:${peer.toLowerCase()}:${index}` : `msg:${message.messageId}`;
+
+/**
+ * Create an empty index
+ * @returns {Object} { docs: Map<id, doc>, terms: Map<term, Set<id>> }
+ */
+export const createSearchIndex = () => ({ docs: new Map(), terms: new Map() });
+
+/**
+ * Drop a message and its terms from the index
+ * @param {Object} index - Search index
+ * @param {string} id - Search id
+ */
+const removeDoc = (index, id) => {
+  const doc = index.docs.get(id);
+  if (!doc) return;
+
+  doc.terms.forEach((term) => {
+    const ids = index.terms.get(term);
+    ids?.delete(id);
+    if (ids?.size === 0) index.terms.delete(term);
+  });
+  index.docs.delete(id);
+};
+
+/**
+ * Add new or changed messages to the index, in place
+ * Unchanged messages are skipped and deleted ones are removed
+ * @param {Object} index - Search index from createSearchIndex
+ * @param {Array} messages - Messages of one conversation, oldest first
+ * @param {Object} options - { peer (DM partner or null), getUsername }
+ * @returns {number} How many messages were added, changed or removed
+ */
+export const indexMessages = (
+  index,
+  messages,
+  { peer = null, getUsername } = {}
+) => {
+  let changes = 0;
+
+  (messages || []).forEach((message, position) => {
+    if (!message?.sender) return;
+
+    const id = getSearchId(message, peer, position);
+    const existing = index.docs.get(id);
+    if (existing?.content === message.content && !message.isDeleted) return;
+    if (!existing && message.isDeleted) return;
+
+    removeDoc(index, id);
+    changes++;
+    if (message.isDeleted) return;
+
+    const envelope = decodeMessage(message.content);
+    const text = getMessagePreview(envelope, Infinity, getUsername);
+    const terms = new Set(tokenize(text));
+
+    index.docs.set(id, {
+      id,
+      peer,
+      message,
+      content: message.content,
+      sender: message.sender.toLowerCase(),
+      timestamp: Number(message.timestamp),
+      text,
+      hasLink: LINK.test(envelope.data?.text || ""),
+      terms,
+    });
+    terms.forEach((term) => {
+      if (!index.terms.has(term)) index.terms.set(term, new Set());
+      index.terms.get(term).add(id);
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Ids of messages with a term starting with the given prefix
+ * @param {Object} index - Search index
+ * @param {string} prefix - Lowercase term prefix
+ * @returns {Set<string>} Matching search ids
+ */
+const matchPrefix = (index, prefix) => {
+  const matches = new Set();
+
+  index.terms.forEach((ids, term) => {
+    if (term.startsWith(prefix)) ids.forEach((id) => matches.add(id));
+  });
+
+  return matches;
+};
+
+/**
+ * Convert a "YYYY-MM-DD" date input to unix seconds
+ * @param {string} date - Date from an <input type="date">
+ * @param {boolean} endOfDay - Use 23:59:59 instead of midnight
+ * @returns {number|null} Local-time unix seconds, or null if empty
+ */
+const parseDateFilter = (date, endOfDay) => {
+  if (!date) return null;
+
+  const time = new Date(`${date}T${endOfDay ? "23:59:59" : "00:00:00"}`);
+  return Number.isNaN(time.getTime()) ? null : time.getTime() / 1000;
+};
+
+/**
+ * Search the index
+ * Every word in the query must match the start of a word in the message.
+ * With no query and no filters there are no results.
+ * @param {Object} index - Search index
+ * @param {Object} filters - { query, sender (address), from, to
+ * ("YYYY-MM-DD"), hasLink }
+ * @returns {Array} Matching docs ({ id, peer, message, text, ... }),
+ * newest first
+ */
+export const searchMessages = (index, filters = {}) => {
+  const terms = [...new Set(tokenize(filters.query))];
+  const sender = filters.sender?.toLowerCase() || null;
+  const from = parseDateFilter(filters.from, false);
+  const to = parseDateFilter(filters.to, true);
+
+  if (
+    terms.length === 0 &&
+    !sender &&
+    from === null &&
+    to === null &&
+    !filters.hasLink
+  ) {
+    return [];
+  }
+
+  // Intersect the matches of every term
+  let ids = null;
+  for (const term of terms) {
+    const matches = matchPrefix(index, term);
+    ids = ids ? new Set([...ids].filter((id) => matches.has(id))) : matches;
+    if (ids.size === 0) return [];
+  }
+
+  return [...(ids || index.docs.keys())]
+    .map((id) => index.docs.get(id))
+    .filter(
+      (doc) =>
+        doc &&
+        (!sender || doc.sender === sender) &&
+        (from === null || doc.timestamp >= from) &&
+        (to === null || doc.timestamp <= to) &&
+        (!filters.hasLink || doc.hasLink)
+    )
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, MAX_SEARCH_RESULTS);
+};
+
+/**
+ * Split text into plain and matching parts for highlighting
+ * @param {string} text - Result text
+ * @param {string} query - Search query
+ * @returns {Array} Parts as { text, isMatch }
+ */
+export const splitHighlights = (text, query) => {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [{ text, isMatch: false }];
+
+  const pattern = new RegExp(
+    `(${terms
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|")})`,
+    "giu"
+  );
+
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({
+      text: part,
+      isMatch: terms.includes(part.toLowerCase()),
+    }));
+};
+
+/**
+ * Cut a long result down to the part around the first match
+ * @param {string} text - Result text
+ * @param {string} query - Search query
+ * @param {number} maxLength - Longest snippet
+ * @returns {string} Snippet, with … where text was cut
+ */
+export const getSnippet = (text, query, maxLength = 140) => {
+  if (text.length <= maxLength) return text;
+
+  const lower = text.toLowerCase();
+  const positions = tokenize(query)
+    .map((term) => lower.indexOf(term))
+    .filter((position) => position !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, Math.min(first - 30, text.length - maxLength));
+  const end = start + maxLength;
+
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${
+    end < text.length ? "…" : ""
+  }`;
+};
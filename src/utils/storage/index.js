@@ -0,0 +1,165 @@
+// Storage providers for IPFS uploads
+// Every provider has the same shape:
+//   name                              - "proxy", "pinata", "kubo" or "mock"
+//   upload(file, { fileName, metadata }) -> Promise<{ cid, size, timestamp }>
+//   getUrl(cid)                       -> URL the browser can load the file from
+// VITE_STORAGE_PROVIDER picks one; the factories take plain options so
+// Node services (like the upload proxy) can build their own
+
+import { getAccount, signMessage } from "wagmi/actions";
+import wagmiConfig from "../../config/web3.js";
+import { CONTRACT_INFO } from "../../contracts/AmigoChat.js";
+import { UPLOAD_AUTH_TTL, getUploadAuthMessage } from "../uploadPolicy.js";
+import { createKuboProvider } from "./kubo.js";
+import { createMockProvider } from "./mock.js";
+import { PINATA_GATEWAY, createPinataProvider } from "./pinata.js";
+import { createProxyProvider } from "./proxy.js";
+
+export {
+  createKuboProvider,
+  createMockProvider,
+  createPinataProvider,
+  createProxyProvider,
+};
+
+export const STORAGE_PROVIDERS = {
+  proxy: "proxy",
+  pinata: "pinata",
+  kubo: "kubo",
+  mock: "mock",
+};
+
+let provider = null;
+
+// Upload signature of the connected wallet, reused until it expires
+let authorization = null;
+
+/**
+ * Sign (or reuse) the upload proxy authorization of the connected wallet
+ * @param {Object} options - { proxyUrl, refresh } where refresh signs a new
+ * one even if the cached one is valid
+ * @returns {Promise<Object>} { address, expires, signature }
+ */
+const authorizeUpload = async ({ proxyUrl, refresh = false }) => {
+  const { address, chainId } = getAccount(wagmiConfig);
+  if (!address) throw new Error("Connect your wallet to upload files");
+  if (!CONTRACT_INFO.address) throw new Error("Contract address not set");
+
+  const now = Math.floor(Date.now() / 1000);
+  const isValid =
+    authorization &&
+    authorization.address === address.toLowerCase() &&
+    authorization.proxyUrl === proxyUrl &&
+    authorization.chainId === chainId &&
+    authorization.expires > now + 60;
+  if (isValid && !refresh) return authorization;
+
+  const expires = now + UPLOAD_AUTH_TTL;
+  const signature = await signMessage(wagmiConfig, {
+    message: getUploadAuthMessage({
+      address,
+      expires,
+      proxyUrl,
+      chainId,
+      contractAddress: CONTRACT_INFO.address,
+    }),
+  });
+  authorization = {
+    address: address.toLowerCase(),
+    proxyUrl,
+    chainId,
+    expires,
+    signature,
+  };
+
+  return authorization;
+};
+
+/**
+ * Build the provider named by VITE_STORAGE_PROVIDER (the proxy by default)
+ * @returns {Object} Storage provider
+ */
+const createConfiguredProvider = () => {
+  // Each key is read on its own: referencing import.meta.env as a whole
+  // makes Vite inline every VITE_* variable into the bundle
+  const name = (
+    import.meta.env.VITE_STORAGE_PROVIDER || STORAGE_PROVIDERS.proxy
+  )
+    .trim()
+    .toLowerCase();
+  // Only pass the gateway when set, so each provider keeps its own default
+  const gateway = import.meta.env.VITE_IPFS_GATEWAY
+    ? { gatewayUrl: import.meta.env.VITE_IPFS_GATEWAY }
+    : {};
+
+  // Direct Pinata uploads need the JWT in the browser, so they only exist in
+  // the dev server; production builds drop this branch and never see the JWT
+  if (import.meta.env.DEV && name === STORAGE_PROVIDERS.pinata) {
+    return createPinataProvider({
+      jwt: import.meta.env.VITE_PINATA_JWT,
+      ...(import.meta.env.VITE_PINATA_API_URL
+        ? { apiUrl: import.meta.env.VITE_PINATA_API_URL }
+        : {}),
+      ...gateway,
+    });
+  }
+
+  switch (name) {
+    case STORAGE_PROVIDERS.proxy:
+      return createProxyProvider({
+        ...(import.meta.env.VITE_UPLOAD_PROXY_URL
+          ? { url: import.meta.env.VITE_UPLOAD_PROXY_URL }
+          : {}),
+        ...gateway,
+        authorize: authorizeUpload,
+      });
+    case STORAGE_PROVIDERS.kubo:
+      return createKuboProvider({
+        ...(import.meta.env.VITE_KUBO_API_URL
+          ? { apiUrl: import.meta.env.VITE_KUBO_API_URL }
+          : {}),
+        ...gateway,
+      });
+    case STORAGE_PROVIDERS.mock:
+      return createMockProvider(gateway);
+    case STORAGE_PROVIDERS.pinata:
+      throw new Error(
+        'The "pinata" storage provider is only available in development; use the upload proxy'
+      );
+    default:
+      throw new Error(`Unknown storage provider "${name}"`);
+  }
+};
+
+/**
+ * Stand-in for a provider the env couldn't build
+ * Gateway URLs are rendered for every avatar and attachment, so they keep
+ * working; only uploads fail, with the configuration error
+ * @param {Error} error - Why the configured provider couldn't be built
+ * @returns {Object} Storage provider
+ */
+const createUnavailableProvider = (error) => ({
+  name: "unavailable",
+  upload: async () => {
+    throw error;
+  },
+  getUrl: (cid) =>
+    `${import.meta.env.VITE_IPFS_GATEWAY || PINATA_GATEWAY}${cid}`,
+});
+
+/**
+ * Get the storage provider configured for this build
+ * Never throws: a bad VITE_STORAGE_PROVIDER only makes upload() fail
+ * @returns {Object} Storage provider, created on first use
+ */
+export const getStorageProvider = () => {
+  if (!provider) {
+    try {
+      provider = createConfiguredProvider();
+    } catch (error) {
+      console.error("Storage provider unavailable:", error.message);
+      provider = createUnavailableProvider(error);
+    }
+  }
+  return provider;
+};
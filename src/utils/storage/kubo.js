@@ -0,0 +1,58 @@
+// Kubo storage provider
+// Adds and pins files through the HTTP API of a (usually local) IPFS node,
+// so the app can run offline. ipfs-http-client is only loaded when used.
+
+export const KUBO_API_URL = "http://127.0.0.1:5001";
+export const KUBO_GATEWAY = "http://127.0.0.1:8080/ipfs/";
+
+/**
+ * Create a Kubo storage provider
+ * The node must allow the app's origin in API.HTTPHeaders.Access-Control-Allow-Origin
+ * @param {Object} options - { apiUrl, gatewayUrl }
+ * @returns {Object} Storage provider ({ name, upload, getUrl })
+ */
+export const createKuboProvider = ({
+  apiUrl = KUBO_API_URL,
+  gatewayUrl = KUBO_GATEWAY,
+} = {}) => {
+  let client = null;
+
+  const getClient = async () => {
+    if (!client) {
+      const { create } = await import("ipfs-http-client");
+      client = create({ url: `${apiUrl.replace(/\/$/, "")}/api/v0` });
+    }
+    return client;
+  };
+
+  /**
+   * Add and pin a file
+   * @param {Blob} file - File to upload
+   * @returns {Promise<Object>} { cid, size, timestamp }
+   */
+  const upload = async (file) => {
+    try {
+      const ipfs = await getClient();
+      const { cid, size } = await ipfs.add(file, {
+        cidVersion: 1,
+        pin: true,
+      });
+
+      return {
+        cid: cid.toString(),
+        size,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      throw new Error(
+        `Upload failed: ${error.message || "IPFS node not reachable"}`
+      );
+    }
+  };
+
+  return {
+    name: "kubo",
+    upload,
+    getUrl: (cid) => `${gatewayUrl}${cid}`,
+  };
+};
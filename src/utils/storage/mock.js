@@ -0,0 +1,68 @@
+// In-memory storage provider for development
+// Files stay in this page's memory and are served from blob: URLs; CIDs are
+// real CIDv1 (raw, sha2-256) so they pass the same validation as pinned ones
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// CIDv1 header: version 1, raw codec, sha2-256 multihash of 32 bytes
+const CID_PREFIX = [0x01, 0x55, 0x12, 0x20];
+
+/**
+ * Encode bytes as unpadded lowercase base32 (RFC 4648)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base32 text
+ */
+const toBase32 = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Create an in-memory storage provider
+ * @param {Object} options - { gatewayUrl } used for CIDs not stored here
+ * @returns {Object} Storage provider ({ name, upload, getUrl })
+ */
+export const createMockProvider = ({
+  gatewayUrl = "https://ipfs.io/ipfs/",
+} = {}) => {
+  const files = new Map();
+
+  /**
+   * Store a file in memory
+   * @param {Blob} file - File to store
+   * @returns {Promise<Object>} { cid, size, timestamp }
+   */
+  const upload = async (file) => {
+    const digest = new Uint8Array(
+      await crypto.subtle.digest("SHA-256", await file.arrayBuffer())
+    );
+    const cid = `b${toBase32(new Uint8Array([...CID_PREFIX, ...digest]))}`;
+
+    if (!files.has(cid)) {
+      files.set(cid, URL.createObjectURL(file));
+    }
+
+    return { cid, size: file.size, timestamp: new Date().toISOString() };
+  };
+
+  return {
+    name: "mock",
+    upload,
+    getUrl: (cid) => files.get(cid) || `${gatewayUrl}${cid}`,
+  };
+};
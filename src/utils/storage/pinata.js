@@ -0,0 +1,79 @@
+// Pinata storage provider
+// Pins files with Pinata's pinFileToIPFS endpoint
+
+import axios from "axios";
+
+export const PINATA_API_URL = "https://api.pinata.cloud/pinning/pinFileToIPFS";
+export const PINATA_GATEWAY = "https://gateway.pinata.cloud/ipfs/";
+
+/**
+ * Create a Pinata storage provider
+ * The JWT is optional when apiUrl points at a service that adds it
+ * @param {Object} options - { jwt, apiUrl, gatewayUrl }
+ * @returns {Object} Storage provider ({ name, upload, getUrl })
+ */
+export const createPinataProvider = ({
+  jwt,
+  apiUrl = PINATA_API_URL,
+  gatewayUrl = PINATA_GATEWAY,
+} = {}) => {
+  /**
+   * Pin a file
+   * @param {Blob} file - File to upload
+   * @param {Object} options - { fileName, metadata } (metadata as keyvalues)
+   * @returns {Promise<Object>} { cid, size, timestamp }
+   */
+  const upload = async (file, { fileName, metadata = {} } = {}) => {
+    if (!jwt && apiUrl === PINATA_API_URL) {
+      throw new Error("Pinata JWT token not configured");
+    }
+
+    const formData = new FormData();
+    formData.append("file", file, fileName);
+
+    // Add metadata for better organization
+    formData.append(
+      "pinataMetadata",
+      JSON.stringify({ name: fileName, keyvalues: metadata })
+    );
+
+    // Use CIDv1 for better compatibility
+    formData.append("pinataOptions", JSON.stringify({ cidVersion: 1 }));
+
+    try {
+      const response = await axios.post(apiUrl, formData, {
+        headers: {
+          "Content-Type": "multipart/form-data",
+          ...(jwt ? { Authorization: `Bearer ${jwt}` } : {}),
+        },
+        timeout: 30000, // 30 second timeout
+      });
+
+      const { IpfsHash, PinSize, Timestamp } = response.data;
+      return { cid: IpfsHash, size: PinSize, timestamp: Timestamp };
+    } catch (error) {
+      // Handle different types of errors
+      if (error.response) {
+        // Server responded with error status
+        const { status, data } = error.response;
+        throw new Error(
+          `Upload failed (${status}): ${
+            data?.message || data?.error || "Unknown error"
+          }`
+        );
+      } else if (error.request) {
+        // Request was made but no response received
+        throw new Error("Upload failed: No response from server");
+      } else {
+        // Something else happened
+        throw new Error(`Upload failed: ${error.message}`);
+      }
+    }
+  };
+
+  return {
+    name: "pinata",
+    upload,
+    getUrl: (cid) => `${gatewayUrl}${cid}`,
+  };
+};
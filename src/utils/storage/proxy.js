@@ -0,0 +1,90 @@
+// Upload proxy storage provider
+// Sends files to server/uploadProxy.js, which holds the pinning credentials
+// and forwards them to Pinata or Kubo. Requests carry a wallet signature
+// naming this proxy (see uploadPolicy.js) so only registered members can pin
+// files.
+
+import axios from "axios";
+import { UPLOAD_AUTH_HEADERS } from "../uploadPolicy.js";
+import { PINATA_GATEWAY } from "./pinata.js";
+
+export const UPLOAD_PROXY_URL = "http://localhost:8787";
+
+/**
+ * Create an upload proxy storage provider
+ * @param {Object} options - { url, gatewayUrl, authorize } where
+ * authorize({ proxyUrl, refresh }) resolves to { address, expires, signature }
+ * @returns {Object} Storage provider ({ name, upload, getUrl })
+ */
+export const createProxyProvider = ({
+  url = UPLOAD_PROXY_URL,
+  gatewayUrl = PINATA_GATEWAY,
+  authorize,
+}) => {
+  const proxyUrl = url.replace(/\/+$/, "");
+
+  const post = async (file, { fileName, metadata }, refresh) => {
+    const { address, expires, signature } = await authorize({
+      proxyUrl,
+      refresh,
+    });
+
+    const formData = new FormData();
+    formData.append("file", file, fileName);
+    formData.append("metadata", JSON.stringify(metadata));
+
+    return axios.post(`${proxyUrl}/upload`, formData, {
+      headers: {
+        "Content-Type": "multipart/form-data",
+        [UPLOAD_AUTH_HEADERS.address]: address,
+        [UPLOAD_AUTH_HEADERS.expires]: String(expires),
+        [UPLOAD_AUTH_HEADERS.signature]: signature,
+      },
+      timeout: 60000, // The proxy waits for the pinning backend
+    });
+  };
+
+  /**
+   * Upload a file through the proxy
+   * @param {Blob} file - File to upload
+   * @param {Object} options - { fileName, metadata }
+   * @returns {Promise<Object>} { cid, size, timestamp }
+   */
+  const upload = async (file, { fileName, metadata = {} } = {}) => {
+    try {
+      let response;
+      try {
+        response = await post(file, { fileName, metadata }, false);
+      } catch (error) {
+        // A rejected signature (expired, or another wallet) is signed again once
+        if (error.response?.status !== 401) throw error;
+        response = await post(file, { fileName, metadata }, true);
+      }
+
+      const { cid, size, timestamp } = response.data;
+      return { cid, size, timestamp };
+    } catch (error) {
+      if (error.response) {
+        // Proxy responded with error status
+        const { status, data } = error.response;
+        throw new Error(
+          `Upload failed (${status}): ${data?.error || "Unknown error"}`
+        );
+      } else if (error.request) {
+        // Request was made but no response received
+        throw new Error("Upload failed: Upload service not reachable");
+      } else {
+        // Something else happened (e.g. the signature was rejected)
+        throw new Error(
+          `Upload failed: ${error.shortMessage || error.message}`
+        );
+      }
+    }
+  };
+
+  return {
+    name: "proxy",
+    upload,
+    getUrl: (cid) => `${gatewayUrl}${cid}`,
+  };
+};
@@ -0,0 +1,142 @@
+// Lightweight syntax highlighting for fenced code blocks
+// Splits code into typed tokens with one regex per language; good enough
+// for chat snippets without shipping a full grammar library
+
+// Languages and the fence names that select them
+const LANGUAGES = {
+  javascript: {
+    aliases: ["js", "jsx", "mjs", "ts", "tsx", "typescript", "javascript"],
+    keywords:
+      "async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield",
+    literals: "true false null undefined NaN Infinity",
+    lineComment: "//",
+    blockComment: true,
+    quotes: ['"', "'", "`"],
+  },
+  solidity: {
+    aliases: ["sol", "solidity"],
+    keywords:
+      "address bool bytes bytes32 calldata constant contract emit enum event external function if else for while return returns import interface internal library mapping memory modifier payable pragma private public pure require revert storage string struct uint uint256 uint128 uint64 uint32 uint8 int int256 using view virtual override immutable constructor",
+    literals: "true false",
+    lineComment: "//",
+    blockComment: true,
+    quotes: ['"', "'"],
+  },
+  json: {
+    aliases: ["json"],
+    keywords: "",
+    literals: "true false null",
+    quotes: ['"'],
+  },
+  python: {
+    aliases: ["py", "python"],
+    keywords:
+      "and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield",
+    literals: "True False None",
+    lineComment: "#",
+    quotes: ['"', "'"],
+  },
+  bash: {
+    aliases: ["sh", "bash", "shell", "zsh", "console"],
+    keywords:
+      "if then else elif fi for in do done while until case esac function return export local echo cd",
+    literals: "",
+    lineComment: "#",
+    quotes: ['"', "'"],
+  },
+};
+
+// Fence name -> language definition
+const LANGUAGE_BY_ALIAS = new Map(
+  Object.values(LANGUAGES).flatMap((language) =>
+    language.aliases.map((alias) => [alias, language])
+  )
+);
+
+// Compiled patterns, built on first use
+const patternCache = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build the tokenizer regex for a language
+ * Each alternative is a capture group whose position gives the token type
+ * @param {Object} language - Entry from LANGUAGES
+ * @returns {Object} { pattern, types, keywords, literals }
+ */
+const buildPattern = (language) => {
+  const parts = [];
+  const types = [];
+
+  if (language.blockComment) {
+    parts.push("\\/\\*[\\s\\S]*?(?:\\*\\/|$)");
+    types.push("comment");
+  }
+  if (language.lineComment) {
+    parts.push(`${escapeRegExp(language.lineComment)}[^\\n]*`);
+    types.push("comment");
+  }
+  language.quotes.forEach((quote) => {
+    // Template strings may span lines, other strings end at the line
+    const body = quote === "`" ? "[^\\\\`]" : `[^\\\\${quote}\\n]`;
+    parts.push(`${quote}(?:\\\\[\\s\\S]|${body})*${quote}?`);
+    types.push("string");
+  });
+  parts.push("\\b(?:0x[0-9a-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b");
+  types.push("number");
+  parts.push("[A-Za-z_$][\\w$]*");
+  types.push("word");
+
+  return {
+    pattern: new RegExp(parts.map((part) => `(${part})`).join("|"), "g"),
+    types,
+    keywords: new Set(language.keywords.split(" ").filter(Boolean)),
+    literals: new Set(language.literals.split(" ").filter(Boolean)),
+  };
+};
+
+/**
+ * Split code into highlighted tokens
+ * @param {string} code - Source code
+ * @param {string} lang - Fence language (unknown languages stay plain)
+ * @returns {Array} Tokens as { type, text }; type is plain, keyword,
+ * literal, string, number or comment
+ */
+export const highlightCode = (code, lang) => {
+  const language = LANGUAGE_BY_ALIAS.get(lang);
+  if (!language) return [{ type: "plain", text: code }];
+
+  if (!patternCache.has(language)) {
+    patternCache.set(language, buildPattern(language));
+  }
+  const { pattern, types, keywords, literals } = patternCache.get(language);
+
+  const tokens = [];
+  let last = 0;
+
+  for (const match of code.matchAll(pattern)) {
+    const text = match[0];
+    const group = match.findIndex((value, index) => index > 0 && value);
+    let type = types[group - 1];
+
+    if (type === "word") {
+      type = keywords.has(text)
+        ? "keyword"
+        : literals.has(text)
+        ? "literal"
+        : "plain";
+    }
+
+    if (match.index > last) {
+      tokens.push({ type: "plain", text: code.slice(last, match.index) });
+    }
+    tokens.push({ type, text });
+    last = match.index + text.length;
+  }
+
+  if (last < code.length) {
+    tokens.push({ type: "plain", text: code.slice(last) });
+  }
+
+  return tokens;
+};
@@ -0,0 +1,59 @@
+// Reply thread helpers
+// Replies are ordinary channel messages whose envelope names a parent
+// messageId, so threads are rebuilt from the loaded messages
+
+import {
+  MESSAGE_TYPES,
+  decodeMessage,
+  getReplyParentId,
+} from "./messageEnvelope.js";
+import { toPlainText } from "./markdown.js";
+
+/**
+ * Group the replies in a channel by the message they answer
+ * @param {Array} messages - Channel messages ({ messageId, content, ... })
+ * @returns {Map<string, Array>} Replies keyed by parent messageId, oldest first
+ */
+export const buildReplyIndex = (messages) => {
+  const index = new Map();
+
+  (messages || []).forEach((message) => {
+    const parentId = getReplyParentId(decodeMessage(message?.content));
+    if (parentId === null) return;
+
+    const replies = index.get(parentId) || [];
+    replies.push(message);
+    index.set(parentId, replies);
+  });
+
+  return index;
+};
+
+/**
+ * Short one-line preview of a message for quotes
+ * @param {Object} envelope - Decoded message from decodeMessage
+ * @param {number} maxLength - Longest preview before it is cut
+ * @param {function} [getUsername] - Address -> username, for @mentions
+ * @returns {string} Preview text
+ */
+export const getMessagePreview = (envelope, maxLength = 80, getUsername) => {
+  if (envelope?.type === MESSAGE_TYPES.priceUpdate) return "📊 Price update";
+  if (envelope?.type === MESSAGE_TYPES.systemNotice) return "📢 Notice";
+  if (envelope?.type === MESSAGE_TYPES.encrypted) return "🔒 Encrypted message";
+
+  // Attachments preview as their caption, or the file name without one
+  if (
+    envelope?.type === MESSAGE_TYPES.attachment &&
+    typeof envelope.data?.text !== "string"
+  ) {
+    return `📎 ${String(envelope.data?.name || "Attachment")}`;
+  }
+
+  const text =
+    typeof envelope?.data?.text === "string"
+      ? toPlainText(envelope.data.text, getUsername)
+      : "";
+  if (!text) return "Message";
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
@@ -0,0 +1,101 @@
+// Upload policy shared by the app and the upload proxy
+// Size and type limits for pinned files, and the EIP-191 message a wallet
+// signs to use the proxy. Kept free of browser and Vite APIs so the Node
+// proxy enforces exactly what the composer checks.
+
+// Images and PDFs may be larger than other files
+export const ATTACHMENT_MAX_SIZE = 10 * 1024 * 1024;
+export const FILE_ATTACHMENT_MAX_SIZE = 2 * 1024 * 1024;
+
+// Attachments of encrypted DMs are pinned under this type whatever they
+// contain; they may be as large as the largest plain attachment plus the
+// 16-byte AES-GCM tag
+export const ENCRYPTED_UPLOAD_TYPE = "application/x-amigochat-encrypted";
+const AES_GCM_TAG_SIZE = 16;
+
+// Mime types that may be pinned; entries ending in "/" match a prefix.
+// SVGs are left out because they can carry scripts
+const ALLOWED_UPLOAD_TYPES = [
+  "image/",
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+  "application/json",
+  "application/zip",
+  "application/octet-stream",
+  ENCRYPTED_UPLOAD_TYPE,
+];
+const BLOCKED_UPLOAD_TYPES = ["image/svg+xml"];
+
+// Files without a type are uploaded as generic binaries
+export const DEFAULT_UPLOAD_TYPE = "application/octet-stream";
+
+/**
+ * Check whether files of a mime type may be uploaded
+ * @param {string} mime - Mime type of the file
+ * @returns {boolean} True if the type is allowed
+ */
+export const isAllowedUploadType = (mime) => {
+  const type = (mime || DEFAULT_UPLOAD_TYPE).split(";")[0].trim().toLowerCase();
+  if (BLOCKED_UPLOAD_TYPES.includes(type)) return false;
+
+  return ALLOWED_UPLOAD_TYPES.some((allowed) =>
+    allowed.endsWith("/") ? type.startsWith(allowed) : type === allowed
+  );
+};
+
+/**
+ * Largest allowed size for a file of a mime type
+ * @param {string} mime - Mime type of the file
+ * @returns {number} Size limit in bytes
+ */
+export const getUploadLimit = (mime) => {
+  if (mime === ENCRYPTED_UPLOAD_TYPE) {
+    return ATTACHMENT_MAX_SIZE + AES_GCM_TAG_SIZE;
+  }
+
+  return typeof mime === "string" &&
+    (mime.startsWith("image/") || mime === "application/pdf")
+    ? ATTACHMENT_MAX_SIZE
+    : FILE_ATTACHMENT_MAX_SIZE;
+};
+
+// How long one upload signature stays valid, in seconds. Kept short since
+// a signature a wallet was tricked into giving works until it expires
+export const UPLOAD_AUTH_TTL = 60 * 60;
+
+// Request headers carrying the upload signature
+export const UPLOAD_AUTH_HEADERS = {
+  address: "x-amigo-address",
+  expires: "x-amigo-expires",
+  signature: "x-amigo-signature",
+};
+
+/**
+ * Message a wallet signs (EIP-191) to upload through the proxy
+ * It names the proxy, chain and contract it is meant for, so the proxy can
+ * reject signatures collected for anything else
+ * @param {Object} options - { address, expires, proxyUrl, chainId, contractAddress }
+ * where expires is the Unix time in seconds the signature expires at
+ * @returns {string} Message to sign
+ */
+export const getUploadAuthMessage = ({
+  address,
+  expires,
+  proxyUrl,
+  chainId,
+  contractAddress,
+}) =>
+  [
+    "AmigoChat upload access",
+    "",
+    "Sign to upload files to IPFS through AmigoChat.",
+    "This does not send a transaction or cost gas.",
+    "",
+    `Upload proxy: ${proxyUrl.replace(/\/+$/, "")}`,
+    `Chain ID: ${chainId}`,
+    `Contract: ${contractAddress.toLowerCase()}`,
+    `Address: ${address.toLowerCase()}`,
+    `Expires: ${expires}`,
+  ].join("\n");